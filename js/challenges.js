@@ -0,0 +1,308 @@
+// challenges.js
+// Mission challenges: goals for MISSION flights, with constraints on the gas and the
+// fill, a score computed from the flight telemetry and a leaderboard per challenge.
+// A scored run keeps its launch configuration and pilot action log, so it can be
+// simulated again with createMission() to verify the score and to replay the flight.
+// Pure module: it does not touch the DOM, main.js runs the challenge in the app.
+import { createMission } from './mission.js';
+import { telemetrySample } from './telemetry.js';
+import { normalizeScenario } from './scenarios.js';
+import { getGasSymbol } from './gases.js';
+import { t, formatNumber } from './i18n.js';
+
+const STORAGE_KEY = 'challenges.leaderboard';
+const LEADERBOARD_SIZE = 10;
+
+// A verified score may differ slightly from the live one: the app scores every
+// rendered frame, the verification every physics step
+const VERIFY_TOLERANCE = 0.02; // Relative
+const VERIFY_MIN_POINTS = 5;
+
+// Physics steps simulated per task by verifyRunInChunks: short enough for the page to keep responding
+const VERIFY_CHUNK_STEPS = 1000;
+
+/**
+ * Challenge library. Names and descriptions are in the language bundles
+ * ('challenge.<id>.name' and 'challenge.<id>.description').
+ *   setup: partial scenario applied when the challenge is activated (see scenarios.js)
+ *   constraints: { gases, maxMoles, windProfile } checked at launch
+ *   goal.type:
+ *     FLOAT   - stay within ±band of altitude for duration s. Score: 1000 · (1 - mean error / band)
+ *     PAYLOAD - reach altitude before burst. Score: payload mass at that moment (g)
+ *     LANDING - touch down within radius of the target (east, north in m). Score: 1000 · (1 - distance / radius)
+ *   timeLimit: s of flight
+ */
+export const CHALLENGES = [
+    {
+        id: 'float-10km',
+        setup: { mode: 'MISSION', windProfile: 'CALM', seaLevelTemperature: 288.15 },
+        constraints: { gases: ['HE', 'H2'], maxMoles: 200 },
+        goal: { type: 'FLOAT', altitude: 10000, band: 250, duration: 60 },
+        timeLimit: 3 * 3600
+    },
+    {
+        id: 'heavy-payload-5km',
+        setup: { mode: 'MISSION', windProfile: 'CALM', seaLevelTemperature: 288.15 },
+        constraints: { gases: ['HE'], maxMoles: 180 },
+        goal: { type: 'PAYLOAD', altitude: 5000 },
+        timeLimit: 2 * 3600
+    },
+    {
+        id: 'target-landing',
+        setup: { mode: 'MISSION', windProfile: 'JET_STREAM', seaLevelTemperature: 288.15 },
+        constraints: { gases: ['HE', 'H2'], maxMoles: 250, windProfile: 'JET_STREAM' },
+        goal: { type: 'LANDING', east: 90000, north: 0, radius: 15000 },
+        timeLimit: 4 * 3600
+    }
+];
+
+export function getChallenge(id) {
+    return CHALLENGES.find(challenge => challenge.id === id) || null;
+}
+
+/**
+ * Scenario applied when a challenge is activated
+ */
+export function challengeScenario(challenge) {
+    return normalizeScenario({ ...challenge.setup, name: t(`challenge.${challenge.id}.name`) });
+}
+
+/**
+ * Constraints a launch breaks
+ * @param {Object} launch - { gasType, moles, windProfile }
+ * @returns {string[]} Translated messages (empty when the launch is allowed)
+ */
+export function checkConstraints(challenge, launch) {
+    const { gases, maxMoles, windProfile } = challenge.constraints;
+    const problems = [];
+    if (gases && !gases.includes(launch.gasType)) {
+        problems.push(t('challenge.error.gas', { gases: gases.map(getGasSymbol).join(', ') }));
+    }
+    if (maxMoles !== undefined && launch.moles > maxMoles) {
+        problems.push(t('challenge.error.moles', { moles: formatNumber(launch.moles, 1), max: formatNumber(maxMoles, 0) }));
+    }
+    if (windProfile && launch.windProfile !== windProfile) {
+        problems.push(t('challenge.error.wind', { profile: t(`wind.profile.${windProfile}`) }));
+    }
+    return problems;
+}
+
+/**
+ * runMission() configuration that reproduces a launch from the app
+ * @param {Object} s - Simulation state on the launch pad
+ * @param {Object} fill - { initialRadius, fillPressure, fillTemperature } (fill sliders)
+ */
+export function captureMissionConfig(s, fill) {
+    const { unstretchedRadius, thickness, modulus, mooneyRatio, criticalStretch, burstStress } = s.envelope;
+    const { enabled, daytime, infrared, solarAbsorptivity, emissivity, internalTransfer, externalTransfer } = s.thermal;
+    const { parachuteArea, parachuteCd, fragmentFraction } = s.descent;
+    const { ballast, ballastStep, valveArea, valveCd } = s.pilot;
+    return {
+        gasType: s.balloon.gasType,
+        eos: s.eos,
+        initialRadius: fill.initialRadius,
+        massPayload: s.balloon.massPayload,
+        massBalloon: s.balloon.massBalloon,
+        envelope: { unstretchedRadius, thickness, modulus, mooneyRatio, criticalStretch, burstStress },
+        thermal: { enabled, daytime, infrared, solarAbsorptivity, emissivity, internalTransfer, externalTransfer },
+        descent: { parachuteArea, parachuteCd, fragmentFraction },
+        pilot: { ballast, ballastStep, valveArea, valveCd },
+        windProfile: s.wind.profile,
+        windTable: s.wind.table.map(row => ({ ...row })),
+        fillPressure: fill.fillPressure,
+        fillTemperature: fill.fillTemperature,
+        seaLevelTemperature: s.env.seaLevelTemperature,
+        integrator: s.physics.integrator,
+        fixedStep: s.physics.fixedStep
+    };
+}
+
+/**
+ * Follows a flight and scores it against the challenge goal. Fed with telemetry
+ * samples (see telemetry.js) and the flight phase, in the app every frame and
+ * in the verification every physics step.
+ */
+export class ChallengeTracker {
+    constructor(challenge) {
+        this.challenge = challenge;
+        this.status = 'RUNNING'; // 'RUNNING', 'COMPLETED', 'FAILED'
+        this.score = 0;
+        this.reason = null;      // FAILED: 'burst', 'timeLimit', 'missed'
+        this.lastTime = null;
+        this.inBand = 0;         // FLOAT: s within the band, and the error integrated over them
+        this.errorIntegral = 0;
+        this.progress = { time: 0, altitude: 0, inBand: 0, massPayload: 0, distance: null };
+    }
+
+    get finished() {
+        return this.status !== 'RUNNING';
+    }
+
+    complete(score) {
+        this.status = 'COMPLETED';
+        this.score = Math.max(0, Math.round(score));
+        return true;
+    }
+
+    fail(reason) {
+        this.status = 'FAILED';
+        this.reason = reason;
+        this.score = 0;
+        return true;
+    }
+
+    /**
+     * @param {Object} sample - Telemetry sample (telemetrySample())
+     * @param {string} flightPhase - 'ASCENT', 'DESCENT' or 'LANDED'
+     * @returns {boolean} true when the run has just finished
+     */
+    record(sample, flightPhase) {
+        if (this.finished) return false;
+        const goal = this.challenge.goal;
+        const dt = this.lastTime === null ? 0 : Math.max(sample.time - this.lastTime, 0);
+        this.lastTime = sample.time;
+        Object.assign(this.progress, { time: sample.time, altitude: sample.altitude, massPayload: sample.massPayload });
+
+        if (goal.type === 'FLOAT') {
+            if (flightPhase !== 'ASCENT') return this.fail('burst');
+            const error = Math.abs(sample.altitude - goal.altitude);
+            if (error <= goal.band) {
+                this.inBand += dt;
+                this.errorIntegral += error * dt;
+            } else {
+                this.inBand = 0;
+                this.errorIntegral = 0;
+            }
+            this.progress.inBand = this.inBand;
+            if (this.inBand >= goal.duration) {
+                return this.complete(1000 * (1 - this.errorIntegral / this.inBand / goal.band));
+            }
+        } else if (goal.type === 'PAYLOAD') {
+            if (flightPhase !== 'ASCENT') return this.fail('burst');
+            if (sample.altitude >= goal.altitude) return this.complete(sample.massPayload * 1000);
+        } else if (goal.type === 'LANDING') {
+            const distance = Math.hypot(sample.east - goal.east, sample.north - goal.north);
+            this.progress.distance = distance;
+            if (flightPhase === 'LANDED') {
+                return distance <= goal.radius ? this.complete(1000 * (1 - distance / goal.radius)) : this.fail('missed');
+            }
+        }
+
+        if (sample.time > this.challenge.timeLimit) return this.fail('timeLimit');
+        return false;
+    }
+}
+
+/**
+ * Simulates a scored run again from its configuration and action log
+ * @param {Object} run - { challengeId, config, actions, status, score }
+ * @param {Function} onStep - Optional (s) => void after every physics step (e.g. a FlightRecorder)
+ * @returns {Object} { verified, status, score, reason, problems }
+ */
+export function verifyRun(run, onStep = null) {
+    const verification = startVerification(run, onStep);
+    if (verification.result) return verification.result;
+    verification.mission.advance(Infinity);
+    return verification.finish();
+}
+
+/**
+ * verifyRun() spread over several tasks, VERIFY_CHUNK_STEPS physics steps each,
+ * so the page keeps responding during a long flight
+ * @param {Object} run - { challengeId, config, actions, status, score }
+ * @param {Object} callbacks - { onStep, onProgress(fraction 0-1), onDone(result) }
+ * @returns {Function} Cancels the verification (onDone is not called)
+ */
+export function verifyRunInChunks(run, { onStep = null, onProgress = null, onDone }) {
+    const verification = startVerification(run, onStep);
+    let timer = null;
+
+    const chunk = () => {
+        timer = null;
+        if (verification.result || verification.mission.advance(VERIFY_CHUNK_STEPS)) {
+            onDone(verification.result || verification.finish());
+            return;
+        }
+        if (onProgress) onProgress(verification.mission.progress());
+        timer = setTimeout(chunk, 0);
+    };
+    timer = setTimeout(chunk, 0);
+
+    return () => {
+        if (timer !== null) clearTimeout(timer);
+        timer = null;
+    };
+}
+
+// Mission and tracker of a verification; result is already set for an unknown challenge
+function startVerification(run, onStep) {
+    const challenge = getChallenge(run.challengeId);
+    if (!challenge) {
+        return { result: { verified: false, status: 'FAILED', score: 0, reason: null, problems: [t('challenge.error.unknown', { id: run.challengeId })] } };
+    }
+
+    const tracker = new ChallengeTracker(challenge);
+    const mission = createMission({
+        ...run.config,
+        actions: run.actions,
+        maxTime: challenge.timeLimit + 1,
+        stopOnFloat: false,
+        onStep: (s) => {
+            if (onStep) onStep(s);
+            tracker.record(telemetrySample(s), s.flightPhase);
+            return tracker.finished;
+        }
+    });
+
+    const finish = () => {
+        const result = mission.result();
+        const problems = checkConstraints(challenge, {
+            gasType: run.config.gasType,
+            moles: result.series[0].moles,
+            windProfile: run.config.windProfile
+        });
+        const tolerance = Math.max(VERIFY_MIN_POINTS, VERIFY_TOLERANCE * Math.abs(run.score));
+        return {
+            verified: problems.length === 0 && tracker.status === run.status && Math.abs(tracker.score - run.score) <= tolerance,
+            status: tracker.status,
+            score: tracker.score,
+            reason: tracker.reason,
+            problems
+        };
+    };
+
+    return { result: null, mission, finish };
+}
+
+/**
+ * Leaderboard of a challenge, best score first
+ * @returns {Object[]} [{ name, score, date, challengeId, config, actions, status }]
+ */
+export function loadLeaderboard(challengeId) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return Array.isArray(saved[challengeId]) ? saved[challengeId] : [];
+    } catch (e) {
+        console.warn(t('warn.leaderboardLoad'), e);
+        return [];
+    }
+}
+
+/**
+ * Adds a verified run to the leaderboard of its challenge
+ * @returns {number} Position (0 = best), or -1 if it did not make the top
+ */
+export function submitRun(entry) {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (e) {
+        saved = {};
+    }
+    const board = (saved[entry.challengeId] || []).concat(entry)
+        .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+        .slice(0, LEADERBOARD_SIZE);
+    saved[entry.challengeId] = board;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    return board.indexOf(entry);
+}
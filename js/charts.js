@@ -0,0 +1,442 @@
+// charts.js
+// Live 2D charts drawn with the plain Canvas API (no chart libraries).
+import { SimulationState } from './state.js';
+import { calculatePressure, calculateVolume, getEosConstants, getGasGamma, adiabaticTemperature } from './physics.js';
+import { t, formatNumber, formatPrecision } from './i18n.js';
+
+// Chart styling (matches style.css variables)
+const COLORS = {
+    background: 'rgba(0, 20, 40, 0.6)',
+    grid: 'rgba(255, 255, 255, 0.08)',
+    axis: '#94a3b8',
+    text: '#94a3b8',
+    title: '#e0e6ed',
+    current: '#00f2ff',
+    theory: '#ffd700',
+    comparison: '#ff9f43',
+    history: ['rgba(255, 51, 153, 0.6)', 'rgba(74, 144, 226, 0.6)', 'rgba(148, 163, 184, 0.5)']
+};
+
+const MAX_POINTS = 2000;  // Points kept per trace (older points are decimated)
+const MAX_HISTORY = 3;    // Previous runs kept per chart
+const CURVE_SAMPLES = 80; // Samples used to draw theoretical curves
+
+/**
+ * Chart definitions per mode (title is a language bundle key).
+ * x / y read a value from the state; theory (optional) returns the theoretical y for a given x
+ * using the active equation of state (ideal gas or van der Waals);
+ * comparison (optional) is a second curve drawn for contrast, labelled with comparisonLabel;
+ * includeOrigin forces the axes to start at 0 (used to show the extrapolation to 0 K).
+ */
+export const CHART_DEFINITIONS = {
+    'BOYLE': [{
+        title: 'chart.pv',
+        xLabel: 'V (m³)', yLabel: 'P (kPa)',
+        x: s => s.balloon.volume,
+        y: s => s.env.pressure / 1000,
+        // Isotherm: P = nRT / V
+        theory: (V, s) => calculatePressure(s.balloon.moles, s.env.temperature, V, getEosConstants(s)) / 1000
+    }],
+    'CHARLES': [{
+        title: 'chart.vt',
+        xLabel: 'T (K)', yLabel: 'V (m³)',
+        x: s => s.env.temperature,
+        y: s => s.balloon.volume,
+        // V = (nR / P) · T, extrapolated down to 0 K
+        theory: (T, s) => calculateVolume(s.balloon.moles, T, s.env.pressure, getEosConstants(s)),
+        includeOrigin: true
+    }],
+    'GAY-LUSSAC': [{
+        title: 'chart.pt',
+        xLabel: 'T (K)', yLabel: 'P (kPa)',
+        x: s => s.env.temperature,
+        y: s => s.env.pressure / 1000,
+        // P = (nR / V) · T
+        theory: (T, s) => calculatePressure(s.balloon.moles, T, s.balloon.constantVolume, getEosConstants(s)) / 1000,
+        includeOrigin: true
+    }],
+    'AVOGADRO': [{
+        title: 'chart.vn',
+        xLabel: 'n (mol)', yLabel: 'V (m³)',
+        x: s => s.balloon.moles,
+        y: s => s.balloon.volume,
+        // V = (RT / P) · n
+        theory: (n, s) => calculateVolume(n, s.env.temperature, s.env.pressure, getEosConstants(s)),
+        includeOrigin: true
+    }],
+    'COMBINED': [{
+        title: 'chart.vtp',
+        xLabel: 'T/P (K/kPa)', yLabel: 'V (m³)',
+        x: s => s.env.temperature / (s.env.pressure / 1000),
+        y: s => s.balloon.volume,
+        // PV/T = nR: V = nR · (T/P), a straight line through the origin (at the current P for van der Waals)
+        theory: (ratio, s) => calculateVolume(s.balloon.moles, ratio * s.env.pressure / 1000, s.env.pressure, getEosConstants(s)),
+        includeOrigin: true
+    }, {
+        title: 'chart.ptPath',
+        xLabel: 'T (K)', yLabel: 'P (kPa)',
+        x: s => s.env.temperature,
+        y: s => s.env.pressure / 1000
+    }],
+    'ADIABATIC': [{
+        title: 'chart.pvAdiabatic',
+        xLabel: 'V (m³)', yLabel: 'P (kPa)',
+        x: s => s.balloon.volume,
+        y: s => s.env.pressure / 1000,
+        // Adiabat: P·V^γ constant through the reference state
+        theory: (V, s) => {
+            const { pressure, temperature } = s.balloon.adiabaticReference;
+            const volume = calculateVolume(s.balloon.moles, temperature, pressure, getEosConstants(s));
+            return pressure * Math.pow(volume / V, getGasGamma(s)) / 1000;
+        },
+        // Boyle isotherm through the same state: the adiabat is steeper
+        comparison: (V, s) => calculatePressure(s.balloon.moles, s.balloon.adiabaticReference.temperature, V, getEosConstants(s)) / 1000,
+        comparisonLabel: 'chart.isotherm'
+    }, {
+        title: 'chart.tpAdiabatic',
+        xLabel: 'P (kPa)', yLabel: 'T (K)',
+        x: s => s.env.pressure / 1000,
+        y: s => s.env.temperature,
+        // T = T₀ (P/P₀)^((γ−1)/γ)
+        theory: (P, s) => adiabaticTemperature(P * 1000, s.balloon.adiabaticReference, getGasGamma(s)),
+        comparison: (P, s) => s.balloon.adiabaticReference.temperature,
+        comparisonLabel: 'chart.isotherm'
+    }],
+    'CYCLE': [{
+        // The area enclosed by the loop is the net work of the cycle
+        title: 'chart.pvCycle',
+        xLabel: 'V (m³)', yLabel: 'P (kPa)',
+        x: s => s.balloon.volume,
+        y: s => s.env.pressure / 1000
+    }, {
+        title: 'chart.tvCycle',
+        xLabel: 'V (m³)', yLabel: 'T (K)',
+        x: s => s.balloon.volume,
+        y: s => s.env.temperature
+    }],
+    'MISSION': [{
+        title: 'chart.altitude',
+        xLabel: 't (s)', yLabel: 'h (m)',
+        x: s => s.physics.time,
+        y: s => s.env.altitude
+    }, {
+        title: 'chart.velocity',
+        xLabel: 't (s)', yLabel: 'v (m/s)',
+        x: s => s.physics.time,
+        y: s => s.balloon.velocity
+    }, {
+        title: 'chart.radius',
+        xLabel: 't (s)', yLabel: 'r (m)',
+        x: s => s.physics.time,
+        y: s => s.balloon.radius
+    }]
+};
+
+// Rounds a raw tick step to 1, 2 or 5 × 10^n
+function niceStep(range, targetTicks) {
+    const raw = range / targetTicks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const residual = raw / magnitude;
+    if (residual > 5) return 10 * magnitude;
+    if (residual > 2) return 5 * magnitude;
+    if (residual > 1) return 2 * magnitude;
+    return magnitude;
+}
+
+function formatTick(value) {
+    const abs = Math.abs(value);
+    if (abs >= 10000) return value.toExponential(1);
+    if (abs >= 100 || value === 0) return formatNumber(value, 0);
+    if (abs >= 1) return formatNumber(value, 1);
+    return formatPrecision(value, 2);
+}
+
+export class LineChart {
+    constructor(canvas, definition) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.def = definition;
+        this.points = [];   // Current run: [{ x, y }]
+        this.history = [];  // Previous runs: [[{ x, y }]]
+        this.padding = { left: 48, right: 10, top: 22, bottom: 30 };
+        this.resize();
+    }
+
+    resize() {
+        // Crisp lines on high DPI screens
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || 318;
+        const height = this.canvas.clientHeight || 170;
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Adds a point read from the state (skips repeated points)
+     */
+    sample(s) {
+        const x = this.def.x(s);
+        const y = this.def.y(s);
+        if (!isFinite(x) || !isFinite(y)) return;
+
+        const last = this.points[this.points.length - 1];
+        if (last && last.x === x && last.y === y) return;
+
+        this.points.push({ x, y });
+
+        // Keep memory bounded: drop every other point of the older half
+        if (this.points.length > MAX_POINTS) {
+            const half = Math.floor(this.points.length / 2);
+            const older = this.points.slice(0, half).filter((_, i) => i % 2 === 0);
+            this.points = older.concat(this.points.slice(half));
+        }
+    }
+
+    /**
+     * Moves the current trace to the history (for comparison) and starts a new one
+     */
+    newRun() {
+        if (this.points.length > 1) {
+            this.history.unshift(this.points);
+            this.history.length = Math.min(this.history.length, MAX_HISTORY);
+        }
+        this.points = [];
+    }
+
+    clear() {
+        this.points = [];
+        this.history = [];
+    }
+
+    getBounds() {
+        const all = this.points.concat(...this.history);
+        if (all.length === 0) return null;
+
+        let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        for (const p of all) {
+            xMin = Math.min(xMin, p.x); xMax = Math.max(xMax, p.x);
+            yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y);
+        }
+
+        if (this.def.includeOrigin) {
+            xMin = Math.min(0, xMin);
+            yMin = Math.min(0, yMin);
+        }
+
+        // Avoid zero-size ranges and leave a small margin
+        const xSpan = (xMax - xMin) || Math.abs(xMax) || 1;
+        const ySpan = (yMax - yMin) || Math.abs(yMax) || 1;
+        if (!this.def.includeOrigin) {
+            xMin -= xSpan * 0.05;
+            yMin -= ySpan * 0.05;
+        }
+        return { xMin, xMax: xMax + xSpan * 0.05, yMin, yMax: yMax + ySpan * 0.05 };
+    }
+
+    draw(s) {
+        const ctx = this.ctx;
+        const { left, right, top, bottom } = this.padding;
+        const plotW = this.width - left - right;
+        const plotH = this.height - top - bottom;
+
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        // Title
+        ctx.fillStyle = COLORS.title;
+        ctx.font = '11px "Courier New", monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(t(this.def.title), left, 5);
+
+        const bounds = this.getBounds();
+        if (!bounds) {
+            ctx.fillStyle = COLORS.text;
+            ctx.textAlign = 'center';
+            ctx.fillText(t('chart.noData'), left + plotW / 2, top + plotH / 2);
+            return;
+        }
+
+        const toX = x => left + ((x - bounds.xMin) / (bounds.xMax - bounds.xMin)) * plotW;
+        const toY = y => top + plotH - ((y - bounds.yMin) / (bounds.yMax - bounds.yMin)) * plotH;
+
+        this.drawAxes(bounds, toX, toY, plotW, plotH);
+
+        // Everything below is clipped to the plot area
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, plotW, plotH);
+        ctx.clip();
+
+        // Theoretical curve for the current run (and the comparison curve, if any)
+        const sampleCurve = fn => {
+            const curve = [];
+            for (let i = 0; i <= CURVE_SAMPLES; i++) {
+                const x = bounds.xMin + (bounds.xMax - bounds.xMin) * (i / CURVE_SAMPLES);
+                if (x > 0) curve.push({ x, y: fn(x, s) });
+            }
+            return curve.filter(p => isFinite(p.y));
+        };
+        if (this.def.theory && s) {
+            this.drawTrace(sampleCurve(this.def.theory), toX, toY, COLORS.theory, 1, [5, 4]);
+        }
+        if (this.def.comparison && s) {
+            this.drawTrace(sampleCurve(this.def.comparison), toX, toY, COLORS.comparison, 1, [2, 3]);
+            ctx.fillStyle = COLORS.comparison;
+            ctx.font = '9px "Courier New", monospace';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`- - ${t(this.def.comparisonLabel)}`, left + plotW - 4, top + 4);
+        }
+
+        // Previous runs, then the current one on top
+        this.history.forEach((trace, i) => {
+            this.drawTrace(trace, toX, toY, COLORS.history[i % COLORS.history.length], 1.5);
+        });
+        this.drawTrace(this.points, toX, toY, COLORS.current, 2);
+
+        // Current point marker
+        const last = this.points[this.points.length - 1];
+        if (last) {
+            ctx.fillStyle = COLORS.current;
+            ctx.beginPath();
+            ctx.arc(toX(last.x), toY(last.y), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    drawAxes(bounds, toX, toY, plotW, plotH) {
+        const ctx = this.ctx;
+        const { left, top } = this.padding;
+
+        ctx.strokeStyle = COLORS.grid;
+        ctx.fillStyle = COLORS.text;
+        ctx.lineWidth = 1;
+        ctx.font = '9px "Courier New", monospace';
+
+        // X ticks
+        const xStep = niceStep(bounds.xMax - bounds.xMin, 4);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let x = Math.ceil(bounds.xMin / xStep) * xStep; x <= bounds.xMax; x += xStep) {
+            const px = toX(x);
+            ctx.beginPath();
+            ctx.moveTo(px, top);
+            ctx.lineTo(px, top + plotH);
+            ctx.stroke();
+            ctx.fillText(formatTick(x), px, top + plotH + 3);
+        }
+
+        // Y ticks
+        const yStep = niceStep(bounds.yMax - bounds.yMin, 4);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let y = Math.ceil(bounds.yMin / yStep) * yStep; y <= bounds.yMax; y += yStep) {
+            const py = toY(y);
+            ctx.beginPath();
+            ctx.moveTo(left, py);
+            ctx.lineTo(left + plotW, py);
+            ctx.stroke();
+            ctx.fillText(formatTick(y), left - 4, py);
+        }
+
+        // Axes
+        ctx.strokeStyle = COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(left, top);
+        ctx.lineTo(left, top + plotH);
+        ctx.lineTo(left + plotW, top + plotH);
+        ctx.stroke();
+
+        // Axis labels
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.def.xLabel, left + plotW, this.height - 1);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.def.yLabel, this.width - this.padding.right, 5);
+    }
+
+    drawTrace(points, toX, toY, color, width, dash = []) {
+        if (points.length < 2) return;
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(toX(points[0].x), toY(points[0].y));
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(toX(points[i].x), toY(points[i].y));
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * Manages the charts shown for the active mode.
+ * Charts (and their run history) are created once per mode and kept when switching modes.
+ */
+export class ChartPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.chartsByMode = {};
+        this.mode = null;
+    }
+
+    get charts() {
+        return this.chartsByMode[this.mode] || [];
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.container.innerHTML = '';
+
+        const definitions = CHART_DEFINITIONS[mode];
+        if (!definitions) return;
+
+        if (!this.chartsByMode[mode]) {
+            this.chartsByMode[mode] = definitions.map(def => {
+                const canvas = document.createElement('canvas');
+                canvas.className = 'chart-canvas';
+                return new LineChart(canvas, def);
+            });
+        }
+
+        this.charts.forEach(chart => {
+            this.container.appendChild(chart.canvas);
+            chart.resize();
+        });
+    }
+
+    /**
+     * Starts a new run: the current traces become the comparison history
+     */
+    newRun() {
+        this.charts.forEach(chart => chart.newRun());
+    }
+
+    clear() {
+        this.charts.forEach(chart => chart.clear());
+    }
+
+    update(s = SimulationState) {
+        this.charts.forEach(chart => {
+            chart.sample(s);
+            chart.draw(s);
+        });
+    }
+
+    /**
+     * Redraws without sampling (e.g. after a language change while the charts are paused)
+     */
+    draw(s = SimulationState) {
+        this.charts.forEach(chart => chart.draw(s));
+    }
+}
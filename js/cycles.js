@@ -0,0 +1,266 @@
+// cycles.js
+// Thermodynamic cycles: a chain of ideal gas processes (isothermal, isobaric,
+// isochoric, adiabatic) run one after another by the educational animation.
+// The runner gives P, V and T along each process and integrates, over the path the
+// simulation actually follows, the work W = ∫P dV done by the gas, the change of
+// internal energy ΔU = n·Cv·ΔT with Cv = R/(γ − 1), and the heat Q = ΔU + W.
+// Pure module: main.js edits the steps and drives the runner every frame.
+import { t } from './i18n.js';
+import { R } from './physics.js';
+
+// The path is closed when the last state is this close to the first one
+const CLOSED_TOLERANCE = 0.01; // Relative, on P, V and T
+
+/**
+ * Process types and the quantity a step of each type can end at
+ * (names in the language bundles: 'cycle.process.<id>')
+ */
+export const PROCESSES = {
+    ISOTHERMAL: { targets: ['volume', 'pressure'] },              // T constant
+    ISOBARIC: { targets: ['volume', 'temperature'] },             // P constant
+    ISOCHORIC: { targets: ['temperature', 'pressure'] },          // V constant
+    ADIABATIC: { targets: ['volume', 'temperature', 'pressure'] } // PV^γ constant, Q = 0
+};
+
+/**
+ * Validates the steps of a cycle (e.g. from a scenario)
+ * @param {Object[]} steps - [{ process, target, value }], value in SI units (m³, K, Pa)
+ * @returns {Object[]} Copy of the steps (may be empty)
+ */
+export function normalizeCycle(steps) {
+    if (!Array.isArray(steps)) throw new Error(t('cycle.error.invalid'));
+    return steps.map((step, i) => {
+        const process = step && step.process;
+        if (!PROCESSES[process]) throw new Error(t('cycle.error.unknownProcess', { process, step: i + 1 }));
+        if (!PROCESSES[process].targets.includes(step.target)) {
+            throw new Error(t('cycle.error.invalidTarget', { step: i + 1 }));
+        }
+        const value = Number(step.value);
+        if (!Number.isFinite(value) || value <= 0) throw new Error(t('cycle.error.invalidValue', { step: i + 1 }));
+        return { process, target: step.target, value };
+    });
+}
+
+/**
+ * Ideal gas state from P and T
+ * @returns {Object} { pressure (Pa), volume (m³), temperature (K) }
+ */
+export function idealState(moles, pressure, temperature) {
+    return { pressure, volume: moles * R * temperature / pressure, temperature };
+}
+
+/**
+ * State where a step ends, starting from another state
+ * @param {Object} step - { process, target, value }
+ * @param {Object} from - { pressure, volume, temperature }
+ */
+export function processEnd(step, from, moles, gamma) {
+    const { pressure: P1, volume: V1, temperature: T1 } = from;
+    let volume = V1;
+    let temperature = T1;
+
+    if (step.process === 'ISOTHERMAL') {
+        volume = step.target === 'volume' ? step.value : P1 * V1 / step.value;
+    } else if (step.process === 'ISOBARIC') {
+        volume = step.target === 'volume' ? step.value : V1 * step.value / T1;
+        temperature = T1 * volume / V1;
+    } else if (step.process === 'ISOCHORIC') {
+        temperature = step.target === 'temperature' ? step.value : T1 * step.value / P1;
+    } else if (step.process === 'ADIABATIC') {
+        // TV^(γ−1) and PV^γ are constant
+        if (step.target === 'volume') volume = step.value;
+        else if (step.target === 'temperature') volume = V1 * Math.pow(T1 / step.value, 1 / (gamma - 1));
+        else volume = V1 * Math.pow(P1 / step.value, 1 / gamma);
+        temperature = T1 * Math.pow(V1 / volume, gamma - 1);
+    }
+
+    return { pressure: moles * R * temperature / volume, volume, temperature };
+}
+
+/**
+ * State along a process: V moves evenly from start to end (T for isochoric steps)
+ * @param {number} progress - 0 to 1
+ */
+export function processState(process, from, to, progress, moles, gamma) {
+    let volume = from.volume + (to.volume - from.volume) * progress;
+    let temperature;
+    if (process === 'ISOCHORIC') {
+        volume = from.volume;
+        temperature = from.temperature + (to.temperature - from.temperature) * progress;
+    } else if (process === 'ISOBARIC') {
+        temperature = from.temperature * volume / from.volume;
+    } else if (process === 'ADIABATIC') {
+        temperature = from.temperature * Math.pow(from.volume / volume, gamma - 1);
+    } else {
+        temperature = from.temperature;
+    }
+    return { pressure: moles * R * temperature / volume, volume, temperature };
+}
+
+/**
+ * States at the start of each step and at the end of the last one
+ * @param {Object} start - { pressure, volume, temperature }
+ */
+export function cycleStates(steps, start, moles, gamma) {
+    const states = [start];
+    steps.forEach(step => states.push(processEnd(step, states[states.length - 1], moles, gamma)));
+    return states;
+}
+
+/**
+ * Whether two states are the same (the path closes)
+ */
+export function isSameState(a, b) {
+    return ['pressure', 'volume', 'temperature'].every(quantity =>
+        Math.abs(a[quantity] - b[quantity]) <= CLOSED_TOLERANCE * Math.abs(b[quantity]));
+}
+
+// Preset cycles, built from the current state of the gas (the first corner)
+const PRESETS = {
+    // Isothermal expansion at T_hot, adiabatic expansion down to T_cold,
+    // isothermal compression, adiabatic compression back to T_hot
+    CARNOT: (start, moles, gamma) => {
+        const expansion = 2;
+        const hot = start.temperature;
+        const cold = 0.75 * hot;
+        return [
+            { process: 'ISOTHERMAL', target: 'volume', value: start.volume * expansion },
+            { process: 'ADIABATIC', target: 'temperature', value: cold },
+            { process: 'ISOTHERMAL', target: 'volume', value: start.volume * Math.pow(hot / cold, 1 / (gamma - 1)) },
+            { process: 'ADIABATIC', target: 'temperature', value: hot }
+        ];
+    },
+    // Adiabatic compression, heating at constant volume (combustion),
+    // adiabatic expansion (power stroke), cooling at constant volume (exhaust)
+    OTTO: (start, moles, gamma) => {
+        const compression = 3;
+        const compressed = start.temperature * Math.pow(compression, gamma - 1);
+        return [
+            { process: 'ADIABATIC', target: 'volume', value: start.volume / compression },
+            { process: 'ISOCHORIC', target: 'temperature', value: 1.5 * compressed },
+            { process: 'ADIABATIC', target: 'volume', value: start.volume },
+            { process: 'ISOCHORIC', target: 'temperature', value: start.temperature }
+        ];
+    }
+};
+
+export const CYCLE_PRESETS = Object.keys(PRESETS);
+
+/**
+ * Steps of a preset cycle ('CARNOT', 'OTTO') starting at the given state
+ * @param {Object} start - { pressure, volume, temperature }
+ */
+export function buildPresetCycle(id, start, moles, gamma) {
+    return PRESETS[id](start, moles, gamma);
+}
+
+/**
+ * Runs a cycle: state along the current step, and the energy of every step
+ * integrated from the states the simulation reaches (see record()).
+ */
+export class CycleRunner {
+    /**
+     * @param {Object[]} steps - Normalized steps (at least one)
+     * @param {Object} start - { pressure, volume, temperature }
+     * @param {number} moles
+     * @param {number} gamma - Heat capacity ratio Cp/Cv of the gas
+     */
+    constructor(steps, start, moles, gamma) {
+        this.steps = steps;
+        this.moles = moles;
+        this.gamma = gamma;
+        this.cv = R / (gamma - 1); // J/(mol·K)
+        this.start = { ...start };
+        this.index = 0;
+        this.from = this.start;
+        this.to = processEnd(steps[0], this.from, moles, gamma);
+        this.last = null; // Last recorded state
+        this.results = steps.map(() => ({ work: 0, heat: 0, deltaU: 0 })); // J, per step
+        this.temperatureMin = start.temperature;
+        this.temperatureMax = start.temperature;
+    }
+
+    get step() {
+        return this.steps[this.index];
+    }
+
+    get finished() {
+        return this.index >= this.steps.length;
+    }
+
+    /**
+     * State along the current step
+     * @param {number} progress - 0 to 1
+     */
+    stateAt(progress) {
+        return processState(this.step.process, this.from, this.to, progress, this.moles, this.gamma);
+    }
+
+    /**
+     * Adds the change since the previous recorded state to the current step:
+     * W by the trapezoidal rule, ΔU = n·Cv·ΔT, Q from the first law
+     * @param {Object} state - { pressure, volume, temperature } reached by the simulation
+     */
+    record(state) {
+        if (this.last && !this.finished) {
+            const result = this.results[this.index];
+            const work = (state.pressure + this.last.pressure) / 2 * (state.volume - this.last.volume);
+            const deltaU = this.moles * this.cv * (state.temperature - this.last.temperature);
+            result.work += work;
+            result.deltaU += deltaU;
+            result.heat += deltaU + work;
+        }
+        this.last = { ...state };
+        this.temperatureMin = Math.min(this.temperatureMin, state.temperature);
+        this.temperatureMax = Math.max(this.temperatureMax, state.temperature);
+    }
+
+    /**
+     * Moves on to the next step, from where the current one ends
+     * @returns {boolean} false when the cycle is over
+     */
+    next() {
+        this.index++;
+        if (this.finished) return false;
+        this.from = this.to;
+        this.to = processEnd(this.step, this.from, this.moles, this.gamma);
+        return true;
+    }
+
+    /**
+     * Net work, heat absorbed (Q > 0) and released (Q < 0), ΔU, in J
+     */
+    get totals() {
+        const totals = { work: 0, heat: 0, deltaU: 0, heatIn: 0, heatOut: 0 };
+        this.results.forEach(result => {
+            totals.work += result.work;
+            totals.heat += result.heat;
+            totals.deltaU += result.deltaU;
+            if (result.heat > 0) totals.heatIn += result.heat;
+            else totals.heatOut += result.heat;
+        });
+        return totals;
+    }
+
+    /**
+     * Efficiency η = W / Q absorbed (null while no heat has been absorbed)
+     */
+    get efficiency() {
+        const { work, heatIn } = this.totals;
+        return heatIn > 0 ? work / heatIn : null;
+    }
+
+    /**
+     * Upper limit for any cycle between the extreme temperatures reached: 1 − T_min/T_max
+     */
+    get carnotEfficiency() {
+        return 1 - this.temperatureMin / this.temperatureMax;
+    }
+
+    /**
+     * Whether the gas is back at the start state
+     */
+    get closed() {
+        return this.last !== null && isSameState(this.last, this.start);
+    }
+}
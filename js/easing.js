@@ -0,0 +1,19 @@
+// easing.js
+// Timing curves for the educational animations: they map the elapsed fraction of
+// an animation (0 to 1) to how far the animated value has moved (0 to 1).
+// Names are in the language bundles ('edu.easing.<id>').
+
+export const EASINGS = {
+    LINEAR: progress => progress,
+    EASE_IN: progress => progress * progress,                       // Starts slowly, speeds up
+    EASE_OUT: progress => 1 - (1 - progress) * (1 - progress),      // Starts fast, slows down
+    EASE_IN_OUT: progress => progress * progress * (3 - 2 * progress) // Smoothstep: slow at both ends
+};
+
+/**
+ * @param {string} easing - Key of EASINGS (unknown keys are linear)
+ * @param {number} progress - 0 to 1
+ */
+export function ease(easing, progress) {
+    return (EASINGS[easing] || EASINGS.LINEAR)(Math.min(Math.max(progress, 0), 1));
+}
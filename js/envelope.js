@@ -0,0 +1,49 @@
+// envelope.js
+// Latex envelope modelled as a thin hyperelastic (Mooney-Rivlin) spherical membrane.
+// Stretch ratio λ = r / r0 (r0 = unstretched radius). Below λ = 1 the envelope is slack.
+
+/**
+ * Elastic superpressure of the membrane (P_int - P_ext):
+ * ΔP = 2μ · (t0 / r0) · (λ⁻¹ - λ⁻⁷) · (1 + α·λ²)
+ * μ: shear modulus, t0: unstretched thickness, α = C2/C1 (Mooney-Rivlin ratio)
+ * @param {number} stretch - λ
+ * @param {Object} envelope - Envelope parameters (see state.js)
+ * @returns {number} Pa
+ */
+export function envelopePressure(stretch, envelope) {
+    if (stretch <= 1) return 0;
+    const { modulus, thickness, unstretchedRadius, mooneyRatio } = envelope;
+    const inv = 1 / stretch;
+    const inv3 = inv * inv * inv;
+    return 2 * modulus * (thickness / unstretchedRadius) *
+        (inv - inv3 * inv3 * inv) * (1 + mooneyRatio * stretch * stretch);
+}
+
+/**
+ * True (Cauchy) hoop stress in the wall. From Laplace's law σ = ΔP·r / (2t) with t = t0 / λ²:
+ * σ = μ · (λ² - λ⁻⁴) · (1 + α·λ²)
+ * @returns {number} Pa
+ */
+export function envelopeWallStress(stretch, envelope) {
+    if (stretch <= 1) return 0;
+    const { modulus, mooneyRatio } = envelope;
+    return modulus * (stretch * stretch - Math.pow(stretch, -4)) * (1 + mooneyRatio * stretch * stretch);
+}
+
+/**
+ * How close the envelope is to bursting (0 = relaxed, 1 = burst).
+ * The most critical of the stretch and stress criteria.
+ */
+export function envelopeTension(stretch, envelope) {
+    const stretchRatio = (stretch - 1) / (envelope.criticalStretch - 1);
+    const stressRatio = envelopeWallStress(stretch, envelope) / envelope.burstStress;
+    return Math.max(0, Math.min(Math.max(stretchRatio, stressRatio), 1));
+}
+
+/**
+ * Burst criterion: critical stretch ratio or rupture wall stress reached
+ */
+export function hasEnvelopeFailed(stretch, envelope) {
+    return stretch >= envelope.criticalStretch ||
+        envelopeWallStress(stretch, envelope) >= envelope.burstStress;
+}
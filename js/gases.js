@@ -0,0 +1,137 @@
+// gases.js
+// Custom gases and gas mixtures. Entries are added to GAS_PROPERTIES so the rest
+// of the simulation (physics, dropdown) treats them like the built-in gases.
+import { GAS_PROPERTIES } from './state.js';
+import { t, hasTranslation, DEFAULT_LANGUAGE } from './i18n.js';
+import { R } from './physics.js';
+
+const STORAGE_KEY = 'gases.custom';
+
+// Used when a custom gas does not define its heat capacity ratio (diatomic gas)
+export const DEFAULT_GAMMA = 1.4;
+
+/**
+ * Heat capacity ratio of a gas, falling back to DEFAULT_GAMMA
+ */
+export function getGamma(gas) {
+    return gas.gamma || DEFAULT_GAMMA;
+}
+
+/**
+ * Display name of a gas: built-in gases are translated, custom gases keep their own name
+ * @param {string} id - Key of GAS_PROPERTIES
+ */
+export function getGasName(id) {
+    const gas = GAS_PROPERTIES[id];
+    return gas.custom ? gas.name : t(`gas.${id}.name`);
+}
+
+/**
+ * Display symbol of a gas (only a few, like air, depend on the language)
+ */
+export function getGasSymbol(id) {
+    const key = `gas.${id}.symbol`;
+    return !GAS_PROPERTIES[id].custom && hasTranslation(key, DEFAULT_LANGUAGE) ? t(key) : GAS_PROPERTIES[id].symbol;
+}
+
+function nextCustomId(prefix) {
+    let i = 1;
+    while (GAS_PROPERTIES[`${prefix}_${i}`]) i++;
+    return `${prefix}_${i}`;
+}
+
+/**
+ * Defines a new pure gas
+ * @param {Object} def - { name, molarMass (kg/mol), gamma, a, b (optional) }
+ *   Without a and b the gas behaves ideally under the van der Waals equation.
+ * @returns {string} Key of the new entry in GAS_PROPERTIES
+ */
+export function addCustomGas({ name, molarMass, gamma = null, a = 0, b = 0 }) {
+    if (!name || !name.trim()) throw new Error(t('gasEditor.error.name'));
+    if (!(molarMass > 0)) throw new Error(t('gasEditor.error.molarMass'));
+    if (gamma !== null && !(gamma > 1)) throw new Error(t('gasEditor.error.gamma'));
+    if (a < 0 || b < 0) throw new Error(t('gasEditor.error.vdwConstants'));
+
+    const id = nextCustomId('CUSTOM');
+    GAS_PROPERTIES[id] = { name: name.trim(), symbol: name.trim(), molarMass, gamma, a, b, custom: true };
+    return id;
+}
+
+/**
+ * Defines a mixture by mole fraction.
+ * Effective molar mass: M = Σ xᵢ·Mᵢ
+ * Heat capacities mix by mole fraction: Cv = Σ xᵢ·Cvᵢ with Cvᵢ = R / (γᵢ - 1), γ = (Cv + R) / Cv
+ * Van der Waals mixing rules: a = (Σ xᵢ·√aᵢ)², b = Σ xᵢ·bᵢ
+ * @param {string} name - Mixture name
+ * @param {Array} components - [{ gasType, fraction }] (fractions are normalized)
+ * @returns {string} Key of the new entry in GAS_PROPERTIES
+ */
+export function addMixture(name, components) {
+    if (!name || !name.trim()) throw new Error(t('gasEditor.error.mixtureName'));
+
+    const valid = components.filter(c => GAS_PROPERTIES[c.gasType] && c.fraction > 0);
+    const total = valid.reduce((sum, c) => sum + c.fraction, 0);
+    if (valid.length === 0 || total <= 0) throw new Error(t('gasEditor.error.mixtureComponents'));
+
+    const normalized = valid.map(c => ({ gasType: c.gasType, fraction: c.fraction / total }));
+
+    let molarMass = 0;
+    let cv = 0;
+    let sqrtA = 0;
+    let b = 0;
+    normalized.forEach(c => {
+        const gas = GAS_PROPERTIES[c.gasType];
+        molarMass += c.fraction * gas.molarMass;
+        cv += c.fraction * (R / (getGamma(gas) - 1));
+        sqrtA += c.fraction * Math.sqrt(gas.a || 0);
+        b += c.fraction * (gas.b || 0);
+    });
+
+    const id = nextCustomId('MIX');
+    GAS_PROPERTIES[id] = {
+        name: name.trim(),
+        symbol: normalized.map(c => `${(c.fraction * 100).toFixed(0)}% ${getGasSymbol(c.gasType)}`).join(' + '),
+        molarMass,
+        gamma: (cv + R) / cv,
+        a: sqrtA * sqrtA,
+        b,
+        components: normalized,
+        custom: true
+    };
+    return id;
+}
+
+export function removeCustomGas(id) {
+    if (GAS_PROPERTIES[id] && GAS_PROPERTIES[id].custom) {
+        delete GAS_PROPERTIES[id];
+    }
+}
+
+export function getCustomGasIds() {
+    return Object.keys(GAS_PROPERTIES).filter(id => GAS_PROPERTIES[id].custom);
+}
+
+/**
+ * Persists custom gases and mixtures in localStorage
+ */
+export function saveCustomGases() {
+    const custom = {};
+    getCustomGasIds().forEach(id => { custom[id] = GAS_PROPERTIES[id]; });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+}
+
+/**
+ * Restores custom gases and mixtures from localStorage
+ */
+export function loadCustomGases() {
+    try {
+        const custom = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        Object.entries(custom).forEach(([id, gas]) => {
+            if (!GAS_PROPERTIES[id] && gas.molarMass > 0) {
+                GAS_PROPERTIES[id] = { ...gas, custom: true };
+            }
+        });
+    } catch (e) {
+        console.warn(t('warn.customGasesLoad'), e);
+    }
+}
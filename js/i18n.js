@@ -0,0 +1,113 @@
+// i18n.js
+// Translations of the UI, logs and formula text, and locale-aware number formatting.
+// Strings are looked up by key in the bundle of the current language, then in the
+// default language (Spanish), so a string missing from a bundle still shows up.
+// Pure module except for translatePage(), which only runs in the browser.
+import { es } from './locales/es.js';
+import { en } from './locales/en.js';
+
+const STORAGE_KEY = 'language';
+
+export const DEFAULT_LANGUAGE = 'es';
+
+// Bundles and the locale used to format numbers (es: decimal comma)
+export const LANGUAGES = {
+    'es': { name: 'Español', locale: 'es-ES', bundle: es },
+    'en': { name: 'English', locale: 'en-US', bundle: en }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+const numberFormats = new Map(); // Intl.NumberFormat cache, rebuilt on language change
+
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Changes the language used by t() and the number formatters.
+ * Unknown languages fall back to DEFAULT_LANGUAGE.
+ * @returns {string} Language actually set
+ */
+export function setLanguage(language) {
+    currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    numberFormats.clear();
+    return currentLanguage;
+}
+
+export function hasTranslation(key, language = currentLanguage) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES[language].bundle, key);
+}
+
+/**
+ * Translated string for a key, with {name} placeholders replaced from params.
+ * Falls back to the default language, and to the key itself if no bundle has it.
+ * @param {string} key - e.g. 'log.burst'
+ * @param {Object} params - Placeholder values, e.g. { altitude: '23150' }
+ */
+export function t(key, params = {}) {
+    let text = LANGUAGES[currentLanguage].bundle[key];
+    if (text === undefined) text = LANGUAGES[DEFAULT_LANGUAGE].bundle[key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function numberFormat(options) {
+    const cacheKey = JSON.stringify(options);
+    let format = numberFormats.get(cacheKey);
+    if (!format) {
+        format = new Intl.NumberFormat(LANGUAGES[currentLanguage].locale, { useGrouping: false, ...options });
+        numberFormats.set(cacheKey, format);
+    }
+    return format;
+}
+
+/**
+ * Number with a fixed count of decimals in the current locale (toFixed equivalent)
+ */
+export function formatNumber(value, decimals = 0) {
+    return numberFormat({ minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+}
+
+/**
+ * Number with a count of significant digits in the current locale (toPrecision equivalent)
+ */
+export function formatPrecision(value, digits) {
+    return numberFormat({ minimumSignificantDigits: digits, maximumSignificantDigits: digits }).format(value);
+}
+
+/**
+ * Language chosen in this browser, or the browser language if it has a bundle
+ */
+export function loadLanguage() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (LANGUAGES[saved]) return saved;
+    } catch (e) {
+        console.warn(t('warn.languageLoad'), e);
+    }
+    const browser = (typeof navigator !== 'undefined' && navigator.language || '').slice(0, 2);
+    return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(language) {
+    localStorage.setItem(STORAGE_KEY, language);
+}
+
+/**
+ * Translates the static page: text of [data-i18n], title of [data-i18n-title]
+ * and placeholder of [data-i18n-placeholder]
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    if (root === document) {
+        document.documentElement.lang = currentLanguage;
+    }
+}
@@ -0,0 +1,76 @@
+// integrators.js
+// Numerical integrators for second order systems: x'' = a(x, v)
+// Positions and velocities are arrays so the same code works for 1D and 3D motion.
+
+export const INTEGRATORS = {
+    'EULER': { name: 'Euler explícito' },
+    'SEMI_IMPLICIT': { name: 'Euler semi-implícito' },
+    'RK4': { name: 'Runge-Kutta 4' }
+};
+
+// out[i] = a[i] + b[i] * k
+function axpy(a, b, k) {
+    return a.map((value, i) => value + b[i] * k);
+}
+
+/**
+ * Explicit Euler: uses the derivatives at the start of the step.
+ */
+function eulerStep(x, v, dt, accelFn) {
+    const a = accelFn(x, v);
+    return { x: axpy(x, v, dt), v: axpy(v, a, dt), a };
+}
+
+/**
+ * Semi-implicit (symplectic) Euler: updates velocity first,
+ * then moves with the new velocity. Much more stable with drag.
+ */
+function semiImplicitStep(x, v, dt, accelFn) {
+    const a = accelFn(x, v);
+    const vNext = axpy(v, a, dt);
+    return { x: axpy(x, vNext, dt), v: vNext, a };
+}
+
+/**
+ * Classic 4th order Runge-Kutta for the system (x' = v, v' = a(x, v)).
+ */
+function rk4Step(x, v, dt, accelFn) {
+    const a1 = accelFn(x, v);
+
+    const x2 = axpy(x, v, dt / 2);
+    const v2 = axpy(v, a1, dt / 2);
+    const a2 = accelFn(x2, v2);
+
+    const x3 = axpy(x, v2, dt / 2);
+    const v3 = axpy(v, a2, dt / 2);
+    const a3 = accelFn(x3, v3);
+
+    const x4 = axpy(x, v3, dt);
+    const v4 = axpy(v, a3, dt);
+    const a4 = accelFn(x4, v4);
+
+    const xNext = x.map((value, i) => value + (dt / 6) * (v[i] + 2 * v2[i] + 2 * v3[i] + v4[i]));
+    const vNext = v.map((value, i) => value + (dt / 6) * (a1[i] + 2 * a2[i] + 2 * a3[i] + a4[i]));
+
+    return { x: xNext, v: vNext, a: a1 };
+}
+
+const STEPPERS = {
+    'EULER': eulerStep,
+    'SEMI_IMPLICIT': semiImplicitStep,
+    'RK4': rk4Step
+};
+
+/**
+ * Advance (x, v) by one step of size dt
+ * @param {string} method - Key of INTEGRATORS
+ * @param {number[]} x - Positions
+ * @param {number[]} v - Velocities
+ * @param {number} dt - Time step in seconds
+ * @param {Function} accelFn - (x, v) => accelerations
+ * @returns {Object} { x, v, a } where a is the acceleration at the start of the step
+ */
+export function integrate(method, x, v, dt, accelFn) {
+    const step = STEPPERS[method] || STEPPERS['RK4'];
+    return step(x, v, dt, accelFn);
+}
@@ -0,0 +1,190 @@
+// kinetic.js
+// Molecular view of the gas: a few thousand particles inside the balloon, with
+// Maxwell–Boltzmann velocities at the gas temperature and molar mass, bouncing
+// off the moving wall. The momentum they hand to the wall over time and area is
+// the "measured" pressure, to compare with P = nRT/V.
+// Pure module: scene.js draws the particles and main.js shows the measurement.
+import { R } from './physics.js';
+
+// Slow motion: particles move at their real speed (m/s) in the real balloon (m),
+// but kinetic time runs this many times slower than the animation
+const SLOW_MOTION = 500;
+
+// Momentum is summed over this much animation time per measurement (s)
+const MEASURE_WINDOW = 0.5;
+
+// A larger radius change in one frame (reset, slider) is not a wall movement:
+// the particles are spread over the new sphere instead
+const MAX_WALL_JUMP = 0.1; // Relative
+
+// Standard normal sample (Box–Muller)
+function gaussian() {
+    let u = 0;
+    while (u === 0) u = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+export class KineticGas {
+    /**
+     * @param {number} count - Number of particles
+     */
+    constructor(count) {
+        this.count = count;
+        this.positions = new Float32Array(count * 3);  // m, from the balloon centre
+        this.velocities = new Float32Array(count * 3); // m/s
+        this.radius = 0;
+        this.temperature = 0;
+        this.molarMass = 0;
+
+        // Wall collisions: total count, and the window being measured
+        this.collisions = 0;
+        this.window = { time: 0, kineticTime: 0, momentum: 0, areaTime: 0, collisions: 0 };
+        // Last completed measurement: { pressure (Pa), collisionRate (1/s of kinetic time) }
+        this.measured = null;
+    }
+
+    /**
+     * Scatters the particles uniformly in the sphere with fresh Maxwell–Boltzmann velocities
+     * @param {number} radius - m
+     * @param {number} temperature - K
+     * @param {number} molarMass - kg/mol
+     */
+    reset(radius, temperature, molarMass) {
+        this.radius = radius;
+        this.temperature = temperature;
+        this.molarMass = molarMass;
+        // Each velocity component is normal with variance RT/M
+        const sigma = Math.sqrt(R * temperature / molarMass);
+        for (let i = 0; i < this.count * 3; i += 3) {
+            // Uniform in the volume: direction from a normal vector, r ∝ ∛u
+            let x, y, z, length;
+            do {
+                x = gaussian(); y = gaussian(); z = gaussian();
+                length = Math.hypot(x, y, z);
+            } while (length === 0);
+            const r = radius * Math.cbrt(Math.random()) / length;
+            this.positions[i] = x * r;
+            this.positions[i + 1] = y * r;
+            this.positions[i + 2] = z * r;
+
+            this.velocities[i] = gaussian() * sigma;
+            this.velocities[i + 1] = gaussian() * sigma;
+            this.velocities[i + 2] = gaussian() * sigma;
+        }
+        this.collisions = 0;
+        this.clearWindow();
+        this.measured = null;
+    }
+
+    clearWindow() {
+        Object.assign(this.window, { time: 0, kineticTime: 0, momentum: 0, areaTime: 0, collisions: 0 });
+    }
+
+    // Root mean square speed of the particles (m/s)
+    rmsSpeed() {
+        let sum = 0;
+        for (let i = 0; i < this.count * 3; i++) sum += this.velocities[i] * this.velocities[i];
+        return Math.sqrt(sum / this.count);
+    }
+
+    /**
+     * Advances the particles by one animation frame
+     * @param {number} deltaTime - Animation time (s), slowed down by SLOW_MOTION
+     * @param {Object} gas - { radius (m), temperature (K), molarMass (kg/mol), moles }
+     */
+    step(deltaTime, { radius, temperature, molarMass, moles }) {
+        if (this.radius === 0 || molarMass !== this.molarMass) {
+            this.reset(radius, temperature, molarMass);
+            return;
+        }
+        if (deltaTime <= 0) return;
+
+        // Jumps are rescaled, not bounced off
+        if (Math.abs(radius - this.radius) > MAX_WALL_JUMP * this.radius) {
+            const scale = radius / this.radius;
+            for (let i = 0; i < this.count * 3; i++) this.positions[i] *= scale;
+            this.radius = radius;
+            this.clearWindow();
+        }
+
+        // Thermostat: the temperature is set by the simulation (heating, isothermal
+        // expansion...), so the speeds are rescaled to its mean kinetic energy
+        const target = Math.sqrt(3 * R * temperature / molarMass);
+        const current = this.rmsSpeed();
+        if (current > 0) {
+            const factor = target / current;
+            for (let i = 0; i < this.count * 3; i++) this.velocities[i] *= factor;
+        }
+        this.temperature = temperature;
+
+        const dt = deltaTime / SLOW_MOTION;
+        const wallSpeed = (radius - this.radius) / dt; // m/s, outwards
+        const particleMass = moles * molarMass / this.count; // kg each particle stands for
+        const p = this.positions;
+        const v = this.velocities;
+        let momentum = 0;
+        let collisions = 0;
+
+        for (let i = 0; i < this.count * 3; i += 3) {
+            p[i] += v[i] * dt;
+            p[i + 1] += v[i + 1] * dt;
+            p[i + 2] += v[i + 2] * dt;
+
+            const distance = Math.hypot(p[i], p[i + 1], p[i + 2]);
+            if (distance <= radius) continue;
+
+            // Back to the point where the particle crossed the wall, τ ago:
+            // |p - v·τ| = radius (a shrinking wall may have overtaken it instead)
+            const speed2 = v[i] * v[i] + v[i + 1] * v[i + 1] + v[i + 2] * v[i + 2];
+            const pv = p[i] * v[i] + p[i + 1] * v[i + 1] + p[i + 2] * v[i + 2];
+            const discriminant = pv * pv - speed2 * (distance * distance - radius * radius);
+            let tau = discriminant >= 0 && speed2 > 0 ? (pv - Math.sqrt(discriminant)) / speed2 : -1;
+            if (tau < 0 || tau > dt) tau = 0;
+            p[i] -= v[i] * tau;
+            p[i + 1] -= v[i + 1] * tau;
+            p[i + 2] -= v[i + 2] * tau;
+
+            // Specular bounce off a wall moving at wallSpeed: the normal velocity
+            // relative to the wall is reversed
+            const hit = Math.hypot(p[i], p[i + 1], p[i + 2]);
+            const nx = p[i] / hit;
+            const ny = p[i + 1] / hit;
+            const nz = p[i + 2] / hit;
+            const relative = v[i] * nx + v[i + 1] * ny + v[i + 2] * nz - wallSpeed;
+            if (relative > 0) {
+                v[i] -= 2 * relative * nx;
+                v[i + 1] -= 2 * relative * ny;
+                v[i + 2] -= 2 * relative * nz;
+                momentum += 2 * particleMass * relative;
+                collisions++;
+            }
+
+            // The rest of the step after the bounce, kept inside the sphere
+            p[i] += v[i] * tau;
+            p[i + 1] += v[i + 1] * tau;
+            p[i + 2] += v[i + 2] * tau;
+            const after = Math.hypot(p[i], p[i + 1], p[i + 2]);
+            if (after > radius) {
+                const scale = radius / after;
+                p[i] *= scale;
+                p[i + 1] *= scale;
+                p[i + 2] *= scale;
+            }
+        }
+
+        this.radius = radius;
+        this.collisions += collisions;
+
+        // Pressure = momentum / (area · time), in kinetic time
+        const w = this.window;
+        w.time += deltaTime;
+        w.kineticTime += dt;
+        w.momentum += momentum;
+        w.areaTime += 4 * Math.PI * radius * radius * dt;
+        w.collisions += collisions;
+        if (w.time >= MEASURE_WINDOW) {
+            this.measured = { pressure: w.momentum / w.areaTime, collisionRate: w.collisions / w.kineticTime };
+            this.clearWindow();
+        }
+    }
+}
@@ -0,0 +1,564 @@
+// lessons.js
+// Guided lessons: scripted steps with objectives checked against the simulation
+// state, hints and prediction quizzes. Lessons are JSON documents, so teachers can
+// write their own, keep them in localStorage and share them as files.
+// Pure module: it does not touch the DOM, main.js shows the lesson and feeds it the state.
+import { STATE_EVENTS } from './state.js';
+import { normalizeScenario } from './scenarios.js';
+import { formatQuantity, fromDisplay } from './units.js';
+import { t, getLanguage, formatNumber, formatPrecision, DEFAULT_LANGUAGE } from './i18n.js';
+
+export const LESSON_VERSION = 1;
+const STORAGE_KEY = 'lessons.saved';
+
+const DEFAULT_TOLERANCE = 0.02;      // Objectives: relative margin of equals / ratio / change
+const DEFAULT_QUIZ_TOLERANCE = 0.05; // Quizzes: relative error accepted in a prediction
+
+// State paths with a display unit (objective texts and quiz answers use it)
+const PATH_QUANTITIES = {
+    'env.pressure': 'pressure',
+    'env.temperature': 'temperature',
+    'env.altitude': 'altitude',
+    'balloon.volume': 'volume'
+};
+
+const OBJECTIVE_KINDS = ['equals', 'ratio', 'min', 'max', 'change'];
+
+// Lessons shipped with the app. Texts may be a string or { es, en } (see localize()).
+export const BUILTIN_LESSONS = [
+    {
+        id: 'boyle-half-pressure',
+        title: { es: 'Boyle: la mitad de presión', en: 'Boyle: half the pressure' },
+        description: {
+            es: 'Con T fija en 300 K, reduce P a la mitad y predice el nuevo volumen.',
+            en: 'With T fixed at 300 K, halve P and predict the new volume.'
+        },
+        setup: {
+            mode: 'BOYLE',
+            fillTemperature: 300,
+            fillPressure: 101325,
+            animation: { direction: -1, limits: { pressureMin: 50662.5, pressureMax: 202650 } }
+        },
+        steps: [
+            {
+                text: {
+                    es: 'La temperatura está fijada en 300 K. Reduce la presión a la mitad (deslizador o "Iniciar simulación" con DISMINUIR). ¿Qué le pasa al volumen?',
+                    en: 'The temperature is fixed at 300 K. Reduce the pressure to half (slider, or "Start simulation" with DECREASE). What happens to the volume?'
+                },
+                hints: [
+                    { es: 'Ley de Boyle: con T constante, P₁·V₁ = P₂·V₂.', en: "Boyle's law: at constant T, P₁·V₁ = P₂·V₂." },
+                    { es: 'Si P₂ = P₁/2, entonces V₂ = 2·V₁.', en: 'If P₂ = P₁/2, then V₂ = 2·V₁.' }
+                ],
+                objectives: [
+                    { path: 'env.temperature', equals: 300 },
+                    { path: 'env.pressure', ratio: 0.5 }
+                ],
+                quiz: {
+                    question: { es: '¿Qué volumen tendrá el globo con la mitad de presión?', en: 'What will the balloon volume be at half the pressure?' },
+                    path: 'balloon.volume'
+                }
+            },
+            {
+                text: {
+                    es: 'Ahora sube la presión hasta 2 atm (202650 Pa), el doble de la inicial.',
+                    en: 'Now raise the pressure to 2 atm (202650 Pa), twice the initial value.'
+                },
+                hints: [
+                    { es: 'Desde la mitad hasta el doble, P se multiplica por 4: V se divide entre 4.', en: 'From half to double, P is multiplied by 4: V is divided by 4.' }
+                ],
+                objectives: [
+                    { path: 'env.pressure', equals: 202650 }
+                ],
+                quiz: {
+                    question: { es: '¿Qué volumen tendrá el globo a 2 atm?', en: 'What will the balloon volume be at 2 atm?' },
+                    path: 'balloon.volume'
+                }
+            }
+        ]
+    },
+    {
+        id: 'boyle-burst-pressure',
+        title: { es: 'Boyle: ¿a qué presión explota?', en: 'Boyle: at what pressure does it burst?' },
+        description: {
+            es: 'El globo explota al llegar a 2 m de radio. Calcula antes la presión de la explosión.',
+            en: 'The balloon bursts when it reaches a 2 m radius. Work out the burst pressure first.'
+        },
+        setup: {
+            mode: 'BOYLE',
+            maxRadius: 2.0,
+            animation: { direction: -1, limits: { pressureMin: 10000 } }
+        },
+        steps: [
+            {
+                text: {
+                    es: 'Baja la presión hasta que el globo explote.',
+                    en: 'Lower the pressure until the balloon bursts.'
+                },
+                hints: [
+                    { es: 'El volumen máximo es el de una esfera de 2 m: V = 4/3·π·2³ ≈ 33,5 m³.', en: 'The maximum volume is that of a 2 m sphere: V = 4/3·π·2³ ≈ 33.5 m³.' },
+                    { es: 'P_explosión = P₁·V₁ / V_máx, con V₁ el volumen inicial.', en: 'P_burst = P₁·V₁ / V_max, with V₁ the initial volume.' }
+                ],
+                objectives: [
+                    { event: 'burst' }
+                ],
+                quiz: {
+                    question: { es: '¿A qué presión explotará el globo?', en: 'At what pressure will the balloon burst?' },
+                    path: 'env.pressure'
+                }
+            }
+        ]
+    },
+    {
+        id: 'charles-heating',
+        title: { es: 'Charles: calentar y enfriar', en: 'Charles: heating and cooling' },
+        description: {
+            es: 'Con P constante, el volumen es proporcional a la temperatura absoluta.',
+            en: 'At constant P, the volume is proportional to the absolute temperature.'
+        },
+        setup: {
+            mode: 'CHARLES',
+            fillTemperature: 300,
+            animation: { direction: 1, limits: { temperatureMin: 150, temperatureMax: 450 } }
+        },
+        steps: [
+            {
+                text: {
+                    es: 'Calienta el gas de 300 K a 450 K sin cambiar la presión.',
+                    en: 'Heat the gas from 300 K to 450 K without changing the pressure.'
+                },
+                hints: [
+                    { es: 'Ley de Charles: V₁/T₁ = V₂/T₂.', en: "Charles's law: V₁/T₁ = V₂/T₂." },
+                    { es: '450 / 300 = 1,5: el volumen crece un 50 %.', en: '450 / 300 = 1.5: the volume grows by 50 %.' }
+                ],
+                objectives: [
+                    { path: 'env.temperature', equals: 450 }
+                ],
+                quiz: {
+                    question: { es: '¿Qué volumen tendrá el globo a 450 K?', en: 'What will the balloon volume be at 450 K?' },
+                    path: 'balloon.volume'
+                }
+            },
+            {
+                text: {
+                    es: 'Ahora enfría el gas hasta 150 K.',
+                    en: 'Now cool the gas down to 150 K.'
+                },
+                hints: [
+                    { es: 'De 450 K a 150 K la temperatura se divide entre 3.', en: 'From 450 K to 150 K the temperature is divided by 3.' }
+                ],
+                objectives: [
+                    { path: 'env.temperature', max: 150 }
+                ],
+                quiz: {
+                    question: { es: '¿Qué volumen tendrá el globo a 150 K?', en: 'What will the balloon volume be at 150 K?' },
+                    path: 'balloon.volume'
+                }
+            }
+        ]
+    },
+    {
+        id: 'gay-lussac-heating',
+        title: { es: 'Gay-Lussac: presión a volumen constante', en: 'Gay-Lussac: pressure at constant volume' },
+        description: {
+            es: 'En un recipiente rígido, la presión es proporcional a la temperatura absoluta.',
+            en: 'In a rigid container, the pressure is proportional to the absolute temperature.'
+        },
+        setup: {
+            mode: 'GAY-LUSSAC',
+            fillTemperature: 300,
+            animation: { direction: 1, limits: { temperatureMax: 450 } }
+        },
+        steps: [
+            {
+                text: {
+                    es: 'Calienta el gas de 300 K a 450 K. El volumen no puede cambiar.',
+                    en: 'Heat the gas from 300 K to 450 K. The volume cannot change.'
+                },
+                hints: [
+                    { es: 'Ley de Gay-Lussac: P₁/T₁ = P₂/T₂.', en: "Gay-Lussac's law: P₁/T₁ = P₂/T₂." },
+                    { es: 'P₂ = 101325 Pa · 450 / 300.', en: 'P₂ = 101325 Pa · 450 / 300.' }
+                ],
+                objectives: [
+                    { path: 'env.temperature', equals: 450 }
+                ],
+                quiz: {
+                    question: { es: '¿Qué presión tendrá el gas a 450 K?', en: 'What will the gas pressure be at 450 K?' },
+                    path: 'env.pressure'
+                }
+            }
+        ]
+    }
+];
+
+/**
+ * Text of a lesson in the current language. Lesson texts are a plain string or
+ * an object by language code ({ es, en }); missing languages fall back to the
+ * default one, then to any language the teacher wrote.
+ */
+export function localize(text) {
+    if (text === null || text === undefined) return '';
+    if (typeof text !== 'object') return String(text);
+    const fallback = text[getLanguage()] ?? text[DEFAULT_LANGUAGE] ?? Object.values(text)[0];
+    return fallback === undefined ? '' : String(fallback);
+}
+
+function readPath(s, path) {
+    return path.split('.').reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), s);
+}
+
+function isText(value) {
+    if (typeof value === 'string') return value.trim() !== '';
+    return value !== null && typeof value === 'object' && Object.values(value).some(text => typeof text === 'string' && text.trim() !== '');
+}
+
+function finite(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(t('lesson.error.invalidValue', { field }));
+    return number;
+}
+
+function normalizeObjective(data, where) {
+    if (!data || typeof data !== 'object') throw new Error(t('lesson.error.invalidObjective', { where }));
+
+    if (data.event !== undefined) {
+        if (!Object.values(STATE_EVENTS).includes(data.event)) {
+            throw new Error(t('lesson.error.unknownEvent', { where, event: data.event }));
+        }
+        return { event: data.event, label: data.label ?? null };
+    }
+
+    if (typeof data.path !== 'string' || !data.path) throw new Error(t('lesson.error.invalidObjective', { where }));
+    const kinds = OBJECTIVE_KINDS.filter(kind => data[kind] !== undefined);
+    if (kinds.length === 0) throw new Error(t('lesson.error.invalidObjective', { where }));
+
+    const objective = { path: data.path, label: data.label ?? null };
+    objective.tolerance = data.tolerance === undefined ? DEFAULT_TOLERANCE : finite(data.tolerance, `${where}.tolerance`);
+    if (data.equals !== undefined) {
+        // Strings compare as they are (e.g. { "path": "mode", "equals": "BOYLE" })
+        objective.equals = typeof data.equals === 'string' ? data.equals : finite(data.equals, `${where}.equals`);
+    }
+    if (data.ratio !== undefined) objective.ratio = finite(data.ratio, `${where}.ratio`);
+    if (data.min !== undefined) objective.min = finite(data.min, `${where}.min`);
+    if (data.max !== undefined) objective.max = finite(data.max, `${where}.max`);
+    if (data.change !== undefined) {
+        if (data.change !== 'increase' && data.change !== 'decrease') {
+            throw new Error(t('lesson.error.invalidChange', { where, change: data.change }));
+        }
+        objective.change = data.change;
+    }
+    return objective;
+}
+
+function normalizeStep(data, index) {
+    const where = `steps[${index}]`;
+    if (!data || typeof data !== 'object' || !isText(data.text)) throw new Error(t('lesson.error.stepText', { where }));
+
+    const step = {
+        text: data.text,
+        hints: [].concat(data.hints || []).filter(isText),
+        objectives: [].concat(data.objectives || []).map((objective, i) => normalizeObjective(objective, `${where}.objectives[${i}]`)),
+        quiz: null
+    };
+    if (data.quiz) {
+        if (!isText(data.quiz.question) || typeof data.quiz.path !== 'string' || !data.quiz.path) {
+            throw new Error(t('lesson.error.invalidQuiz', { where }));
+        }
+        step.quiz = {
+            question: data.quiz.question,
+            path: data.quiz.path,
+            tolerance: data.quiz.tolerance === undefined ? DEFAULT_QUIZ_TOLERANCE : finite(data.quiz.tolerance, `${where}.quiz.tolerance`)
+        };
+    }
+    return step;
+}
+
+/**
+ * Validates a lesson (e.g. from an imported file) and fills the optional fields
+ * @param {Object} data - Parsed lesson
+ * @returns {Object} Complete lesson
+ */
+export function normalizeLesson(data) {
+    if (!data || typeof data !== 'object') throw new Error(t('lesson.error.invalid'));
+    if (data.version > LESSON_VERSION) throw new Error(t('lesson.error.newerVersion'));
+    if (!isText(data.title)) throw new Error(t('lesson.error.needsTitle'));
+    if (!Array.isArray(data.steps) || data.steps.length === 0) throw new Error(t('lesson.error.noSteps'));
+
+    const setup = data.setup || {};
+    normalizeScenario(setup); // Only to reject an invalid setup now rather than on start
+
+    const title = data.title;
+    const id = String(data.id || localize(title)).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'lesson';
+    return {
+        version: LESSON_VERSION,
+        id,
+        title,
+        description: data.description || '',
+        setup,
+        steps: data.steps.map(normalizeStep)
+    };
+}
+
+/**
+ * Scenario applied when a lesson starts (see scenarios.js)
+ */
+export function lessonScenario(lesson) {
+    return normalizeScenario({ ...lesson.setup, name: localize(lesson.title) });
+}
+
+export function getBuiltinLesson(id) {
+    const builtin = BUILTIN_LESSONS.find(lesson => lesson.id === id);
+    return builtin ? normalizeLesson(builtin) : null;
+}
+
+/**
+ * Lesson as a JSON document (export file, template for teachers)
+ */
+export function lessonToJSON(lesson) {
+    return JSON.stringify(lesson, null, 2);
+}
+
+/**
+ * Parses a lesson JSON document
+ */
+export function lessonFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('lesson.error.invalidJson'));
+    }
+    return normalizeLesson(data);
+}
+
+/**
+ * Lessons imported in this browser, by id
+ */
+export function loadSavedLessons() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const lessons = {};
+        Object.entries(saved).forEach(([id, data]) => {
+            try {
+                lessons[id] = normalizeLesson(data);
+            } catch (e) {
+                console.warn(t('warn.savedLessonInvalid', { id }), e);
+            }
+        });
+        return lessons;
+    } catch (e) {
+        console.warn(t('warn.lessonsLoad'), e);
+        return {};
+    }
+}
+
+export function saveLesson(lesson) {
+    const saved = loadSavedLessons();
+    saved[lesson.id] = lesson;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+export function deleteSavedLesson(id) {
+    const saved = loadSavedLessons();
+    delete saved[id];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Display unit of a state path, or null if it has none (see PATH_QUANTITIES)
+export function pathQuantity(path) {
+    return PATH_QUANTITIES[path] || null;
+}
+
+export function formatPathValue(units, path, value) {
+    const quantity = pathQuantity(path);
+    if (typeof value !== 'number') return String(value);
+    return quantity ? formatQuantity(units, quantity, value) : formatPrecision(value, 4);
+}
+
+/**
+ * Objective as text, e.g. "Presión = 50 % del valor al empezar el paso".
+ * Teachers can write their own with "label".
+ * @param {Object} units - Display units (state.units)
+ */
+export function describeObjective(objective, units) {
+    if (objective.label) return localize(objective.label);
+    if (objective.event) return t(`lesson.objective.event.${objective.event}`);
+
+    const quantity = pathQuantity(objective.path);
+    const params = { quantity: quantity ? t(`lesson.quantity.${quantity}`) : objective.path };
+    const parts = [];
+    if (objective.equals !== undefined) {
+        parts.push(t('lesson.objective.equals', { ...params, value: formatPathValue(units, objective.path, objective.equals) }));
+    }
+    if (objective.ratio !== undefined) {
+        parts.push(t('lesson.objective.ratio', { ...params, percent: formatNumber(objective.ratio * 100, Number.isInteger(objective.ratio * 100) ? 0 : 1) }));
+    }
+    if (objective.min !== undefined) {
+        parts.push(t('lesson.objective.min', { ...params, value: formatPathValue(units, objective.path, objective.min) }));
+    }
+    if (objective.max !== undefined) {
+        parts.push(t('lesson.objective.max', { ...params, value: formatPathValue(units, objective.path, objective.max) }));
+    }
+    if (objective.change) parts.push(t(`lesson.objective.${objective.change}`, params));
+    return parts.join(' · ');
+}
+
+/**
+ * Whether a state meets an objective
+ * @param {Object} baseline - Path values when the step started (ratio, change)
+ * @param {Set} events - STATE_EVENTS seen since the step started
+ */
+export function objectiveMet(objective, s, baseline, events) {
+    if (objective.event) return events.has(objective.event);
+
+    const value = readPath(s, objective.path);
+    if (typeof objective.equals === 'string') return value === objective.equals;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+
+    const tolerance = objective.tolerance;
+    const start = baseline[objective.path];
+    if (objective.equals !== undefined &&
+        Math.abs(value - objective.equals) > tolerance * (Math.abs(objective.equals) || 1)) return false;
+    if (objective.ratio !== undefined &&
+        (!start || Math.abs(value / start - objective.ratio) > tolerance * Math.abs(objective.ratio))) return false;
+    if (objective.min !== undefined && value < objective.min) return false;
+    if (objective.max !== undefined && value > objective.max) return false;
+    if (objective.change === 'increase' && !(value > start * (1 + tolerance))) return false;
+    if (objective.change === 'decrease' && !(value < start * (1 - tolerance))) return false;
+    return true;
+}
+
+/**
+ * Prediction typed in the display unit of the quiz path, in SI
+ */
+export function predictionFromDisplay(quiz, units, value) {
+    const quantity = pathQuantity(quiz.path);
+    return quantity ? fromDisplay(units, quantity, value) : value;
+}
+
+/**
+ * Runs a lesson: current step, objectives met, hints shown and quiz results.
+ * main.js calls update() when the state changes and notify() on STATE_EVENTS.
+ */
+export class LessonRunner {
+    constructor(lesson) {
+        this.lesson = lesson;
+        this.stepIndex = 0;
+        this.results = []; // One per quiz: { step, prediction, actual, error, correct } (prediction null if missed)
+    }
+
+    get step() {
+        return this.lesson.steps[this.stepIndex] || null;
+    }
+
+    get finished() {
+        return this.stepIndex >= this.lesson.steps.length;
+    }
+
+    // The step is done and its quiz (if any) has been answered
+    get canAdvance() {
+        return !this.finished && this.completed && (!this.step.quiz || this.quizResult !== null);
+    }
+
+    get score() {
+        return { correct: this.results.filter(result => result.correct).length, total: this.results.length };
+    }
+
+    start(s) {
+        this.stepIndex = 0;
+        this.results = [];
+        this.beginStep(s);
+    }
+
+    beginStep(s) {
+        const step = this.step;
+        // Values the ratio and change objectives are measured against
+        this.baseline = {};
+        step.objectives.filter(objective => objective.path).forEach(objective => {
+            this.baseline[objective.path] = readPath(s, objective.path);
+        });
+        this.events = new Set();
+        this.met = step.objectives.map(() => false);
+        this.completed = false;
+        this.hintsShown = 0;
+        this.prediction = null;
+        this.actual = null;     // Quiz path value when the objectives were met
+        this.quizResult = null;
+        this.update(s);
+    }
+
+    notify(type) {
+        if (!this.finished && !this.completed) this.events.add(type);
+    }
+
+    /**
+     * Checks the objectives against the state. All of them must hold at the same
+     * time; once they do, the step stays completed.
+     * @returns {boolean} Whether anything changed
+     */
+    update(s) {
+        if (this.finished || this.completed) return false;
+        const met = this.step.objectives.map(objective => objectiveMet(objective, s, this.baseline, this.events));
+        const changed = met.some((value, i) => value !== this.met[i]);
+        this.met = met;
+        if (!met.every(Boolean)) return changed;
+
+        this.completed = true;
+        if (this.step.quiz) {
+            this.actual = readPath(s, this.step.quiz.path);
+            // The quiz closes here: the computed value is now on screen
+            if (this.prediction !== null) this.grade();
+            else this.miss();
+        }
+        return true;
+    }
+
+    /**
+     * Records the student's prediction (SI). It is compared with the computed value
+     * once the objectives are met; until then it can still be changed, after that
+     * it is no longer accepted.
+     */
+    predict(value) {
+        if (this.finished || !this.step.quiz || this.quizResult !== null || !Number.isFinite(value)) return;
+        this.prediction = value;
+        if (this.completed) this.grade();
+    }
+
+    grade() {
+        const actual = this.actual;
+        const error = Math.abs(this.prediction - actual) / (Math.abs(actual) || 1);
+        this.quizResult = {
+            step: this.stepIndex,
+            prediction: this.prediction,
+            actual,
+            error,
+            correct: error <= this.step.quiz.tolerance
+        };
+        this.results.push(this.quizResult);
+    }
+
+    // Objectives met with no prediction: the quiz counts as failed
+    miss() {
+        this.quizResult = {
+            step: this.stepIndex,
+            prediction: null,
+            actual: this.actual,
+            error: null,
+            correct: false
+        };
+        this.results.push(this.quizResult);
+    }
+
+    // Reveals one more hint; returns the hints visible now
+    nextHint() {
+        if (!this.finished && this.hintsShown < this.step.hints.length) this.hintsShown++;
+        return this.finished ? [] : this.step.hints.slice(0, this.hintsShown);
+    }
+
+    next(s) {
+        if (!this.canAdvance) return false;
+        this.stepIndex++;
+        if (!this.finished) this.beginStep(s);
+        return true;
+    }
+}
@@ -0,0 +1,566 @@
+// locales/en.js
+// English bundle (missing keys fall back to Spanish, see i18n.js)
+export const en = {
+    // Page
+    'app.pageTitle': 'Noble Gas Simulation',
+    'app.title': 'NOBLE GAS SIMULATOR',
+    'app.online': '● ONLINE',
+    'app.language.title': 'Language',
+    'common.manualValue.title': 'Type a value',
+    'common.remove': 'Remove',
+
+    // Modes
+    'mode.title': 'OPERATING MODE',
+    'mode.idle': 'FREE',
+    'mode.idle.title': 'Free mode: control every parameter',
+    'mode.boyle': "BOYLE'S LAW",
+    'mode.boyle.title': 'Pressure varies, temperature constant',
+    'mode.charles': "CHARLES'S LAW",
+    'mode.charles.title': 'Temperature varies, pressure constant',
+    'mode.gayLussac': 'GAY-LUSSAC',
+    'mode.gayLussac.title': 'Constant volume, pressure varies with temperature',
+    'mode.avogadro': 'AVOGADRO\'S LAW',
+    'mode.avogadro.title': 'Amount of gas varies, constant pressure and temperature',
+    'mode.combined': 'COMBINED LAW',
+    'mode.combined.title': 'Pressure and temperature vary together, constant PV/T',
+    'mode.adiabatic': 'ADIABATIC',
+    'mode.adiabatic.title': 'Pressure varies with no heat exchanged: constant PV^γ, the gas cools as it expands',
+    'mode.cycle': 'THERMODYNAMIC CYCLE',
+    'mode.cycle.title': 'Chained processes that return to the start state: work, heat and efficiency',
+    'mode.mission': 'ATMOSPHERIC MISSION',
+    'mode.mission.title': 'Simulates the balloon climbing through the atmosphere',
+
+    // Scenarios
+    'scenario.title': 'SCENARIOS',
+    'scenario.select.title': 'Classroom examples and saved scenarios',
+    'scenario.load': '▶ LOAD',
+    'scenario.load.title': 'Applies the selected scenario',
+    'scenario.delete': '✕ DELETE',
+    'scenario.delete.title': 'Deletes the saved scenario',
+    'scenario.name.placeholder': 'Name of the current scenario',
+    'scenario.save': '💾 SAVE',
+    'scenario.save.title': 'Saves the current setup in this browser',
+    'scenario.share': '🔗 LINK',
+    'scenario.share.title': 'Copies a link that restores this setup',
+    'scenario.export.title': 'Downloads the current setup as JSON',
+    'scenario.import': '⬆ IMPORT',
+    'scenario.import.title': 'Loads a scenario from a JSON file',
+    'scenario.group.builtin': 'Classroom library',
+    'scenario.group.saved': 'Saved',
+    'scenario.unnamed': 'Untitled',
+    'scenario.sharedName': 'Shared scenario',
+    'scenario.exportName': 'Scenario',
+    'scenario.fileName': 'scenario',
+    'scenario.loaded': 'Scenario loaded: {name}',
+    'scenario.loadedFromLink': 'Scenario loaded from the link: {name}',
+    'scenario.imported': 'Scenario imported: {name}',
+    'scenario.saved': 'Scenario saved: {name}',
+    'scenario.deleted': 'Scenario deleted',
+    'scenario.linkCopied': 'Link copied to the clipboard',
+    'scenario.copyFromAddressBar': 'Copy the link from the address bar',
+    'scenario.error.invalid': 'The scenario is not valid',
+    'scenario.error.invalidValue': 'Invalid value in the scenario: {field}',
+    'scenario.error.newerVersion': 'The scenario comes from a newer version',
+    'scenario.error.unknownMode': 'Unknown mode: {mode}',
+    'scenario.error.emptyPath': 'The combined law path needs at least one point',
+    'scenario.error.invalidPathPoint': 'Path point {point}: P and T must be positive',
+    'scenario.error.unknownEos': 'Unknown equation of state: {eos}',
+    'scenario.error.unknownEasing': 'Unknown animation easing: {easing}',
+    'scenario.error.unknownWind': 'Unknown wind profile: {profile}',
+    'scenario.error.unknownGas': 'Unknown gas: {gas}',
+    'scenario.error.invalidJson': 'The file does not contain valid JSON',
+    'scenario.error.invalidLink': 'The link does not contain a valid scenario ({message})',
+    'scenario.error.needsName': 'The scenario needs a name',
+
+    // Classroom library (BUILTIN_SCENARIOS in scenarios.js)
+    'scenario.boyle-compression.name': 'Boyle: squeeze the balloon',
+    'scenario.boyle-compression.description': 'Pressure doubles at constant temperature and the volume halves.',
+    'scenario.boyle-burst.name': 'Boyle: decompression burst',
+    'scenario.boyle-burst.description': 'As the pressure drops the balloon grows beyond its maximum radius.',
+    'scenario.charles-heating.name': 'Charles: heat the balloon',
+    'scenario.charles-heating.description': 'From 20 °C to 127 °C at constant pressure: V/T stays the same.',
+    'scenario.charles-cryogenic.name': 'Charles: balloon in extreme cold',
+    'scenario.charles-cryogenic.description': 'Cool down to 100 K, like dipping the balloon in liquid nitrogen.',
+    'scenario.gay-lussac-heating.name': 'Gay-Lussac: rigid container on the fire',
+    'scenario.gay-lussac-heating.description': 'At constant volume the pressure rises as the gas heats up.',
+    'scenario.avogadro-inflate.name': 'Avogadro: inflating the balloon',
+    'scenario.avogadro-inflate.description': 'At constant P and T, the volume grows in proportion to the moles of gas.',
+    'scenario.combined-ascent.name': 'Combined law: rising through the atmosphere',
+    'scenario.combined-ascent.description': 'P and T drop as at 5 and 10 km of altitude: the volume follows PV/T = constant.',
+    'scenario.adiabatic-ascent.name': 'Adiabatic: the gas cools as it rises',
+    'scenario.adiabatic-ascent.description': 'The pressure drops as when rising to 10 km with no heat exchanged: the helium cools below 200 K.',
+    'scenario.carnot-cycle.name': 'Carnot cycle with helium',
+    'scenario.carnot-cycle.description': 'Two isotherms (293 K and 220 K) and two adiabats: 25 % efficiency, the highest possible.',
+    'scenario.real-gas-co2.name': 'Real gas: cold, compressed CO₂',
+    'scenario.real-gas-co2.description': 'Van der Waals versus the ideal gas: the Z factor moves away from 1.',
+    'scenario.mission-standard.name': 'Mission: weather sonde',
+    'scenario.mission-standard.description': 'Helium balloon with a 1 kg payload in a standard ISA atmosphere.',
+    'scenario.mission-jet-stream.name': 'Mission: drifting in the jet stream',
+    'scenario.mission-jet-stream.description': 'The tropopause wind carries the sonde more than 100 km away.',
+    'scenario.mission-hydrogen.name': 'Mission: hydrogen and a heavy payload',
+    'scenario.mission-hydrogen.description': 'More gas and more payload: does it climb higher?',
+
+    // Guided lessons (lessons.js)
+    'lesson.title': 'GUIDED LESSONS',
+    'lesson.select.title': 'Example lessons and imported lessons',
+    'lesson.start': '▶ START',
+    'lesson.start.title': 'Sets up the scenario and starts the first step',
+    'lesson.delete': '✕ DELETE',
+    'lesson.delete.title': 'Deletes the imported lesson',
+    'lesson.export.title': 'Downloads the lesson as JSON (a template to write others)',
+    'lesson.import': '⬆ IMPORT',
+    'lesson.import.title': 'Adds a lesson from a JSON file',
+    'lesson.prediction.title': 'Your prediction, in the unit shown',
+    'lesson.check': '✓ PREDICT',
+    'lesson.check.title': 'Records the prediction',
+    'lesson.hint': '💡 HINT',
+    'lesson.hint.title': 'Shows a hint',
+    'lesson.next': 'NEXT ▶',
+    'lesson.next.title': 'Goes to the next step',
+    'lesson.stop': '■ LEAVE LESSON',
+    'lesson.stop.title': 'Ends the lesson',
+    'lesson.group.builtin': 'Example lessons',
+    'lesson.group.saved': 'Imported',
+    'lesson.fileName': 'lesson',
+    'lesson.progress': 'Step {step} / {total} · {title}',
+    'lesson.started': 'Lesson started: {title}',
+    'lesson.imported': 'Lesson imported: {title}',
+    'lesson.deleted': 'Lesson deleted',
+    'lesson.stopped': 'Lesson ended',
+    'lesson.finished': '🎓 Lesson completed',
+    'lesson.finishedScore': '🎓 Lesson completed: {correct} of {total} predictions correct',
+    'lesson.noObjectives': 'Read the text and press NEXT.',
+    'lesson.stepDone': '✓ Objective met',
+    'lesson.noHints': 'This step has no hints',
+    'lesson.invalidPrediction': 'Type your prediction as a number',
+    'lesson.predictionSaved': 'Prediction recorded: {prediction}. Meet the objective to compare it with the computed value.',
+    'lesson.quizMissed': '✗ No prediction: the objective was met before one was recorded. Computed: {actual}',
+    'lesson.quizCorrect': '✓ Well done! Prediction: {prediction} · computed: {actual} ({error} % error)',
+    'lesson.quizWrong': '✗ Not quite. Prediction: {prediction} · computed: {actual} ({error} % error)',
+    'lesson.quantity.pressure': 'Pressure',
+    'lesson.quantity.temperature': 'Temperature',
+    'lesson.quantity.altitude': 'Altitude',
+    'lesson.quantity.volume': 'Volume',
+    'lesson.objective.equals': '{quantity} = {value}',
+    'lesson.objective.ratio': '{quantity} at {percent} % of its value when the step started',
+    'lesson.objective.min': '{quantity} ≥ {value}',
+    'lesson.objective.max': '{quantity} ≤ {value}',
+    'lesson.objective.increase': '{quantity} increases',
+    'lesson.objective.decrease': '{quantity} decreases',
+    'lesson.objective.event.mode': 'Change the mode',
+    'lesson.objective.event.launch': 'Launch the balloon',
+    'lesson.objective.event.burst': 'The balloon bursts',
+    'lesson.objective.event.landing': 'The payload lands',
+    'lesson.objective.event.reset': 'The balloon goes back to its initial state',
+    'lesson.error.invalid': 'The lesson is not valid',
+    'lesson.error.invalidJson': 'The file does not contain valid JSON',
+    'lesson.error.newerVersion': 'The lesson is from a newer version',
+    'lesson.error.needsTitle': 'The lesson needs a title ("title")',
+    'lesson.error.noSteps': 'The lesson needs at least one step ("steps")',
+    'lesson.error.stepText': '{where}: the step needs a text ("text")',
+    'lesson.error.invalidObjective': '{where}: the objective needs "event", or "path" with equals, ratio, min, max or change',
+    'lesson.error.unknownEvent': '{where}: unknown event: {event}',
+    'lesson.error.invalidChange': '{where}: "change" must be "increase" or "decrease" ({change})',
+    'lesson.error.invalidQuiz': '{where}: the quiz needs "question" and "path"',
+    'lesson.error.invalidValue': 'Invalid value in the lesson: {field}',
+
+    // Mission challenges (challenges.js)
+    'challenge.title': 'MISSION CHALLENGES',
+    'challenge.select.title': 'Goals for a mission flight',
+    'challenge.activate': '🏁 ACTIVATE',
+    'challenge.activate.title': 'Set up the mission: the next launch is scored',
+    'challenge.deactivate': '✕ DEACTIVATE',
+    'challenge.deactivate.title': 'Back to free flights',
+    'challenge.player.placeholder': 'Your name for the leaderboard',
+    'challenge.leaderboard': 'LEADERBOARD',
+    'challenge.leaderboard.hint': '- Verified flights in this browser',
+    'challenge.leaderboard.empty': 'No flights yet',
+    'challenge.replay.title': 'Simulate the flight again and open it in the replay',
+    'challenge.anonymous': 'Anonymous',
+    'challenge.float-10km.name': 'Float at 10 km',
+    'challenge.float-10km.description': 'Keep the balloon at 10 km (±250 m) for 60 s in a row, using the valve and the ballast. Precision is scored: 1000 is the exact altitude.',
+    'challenge.heavy-payload-5km.name': 'Heaviest payload to 5 km',
+    'challenge.heavy-payload-5km.description': 'Lift the heaviest possible payload to 5 km before the balloon bursts. The payload mass is scored (g).',
+    'challenge.target-landing.name': 'Target landing',
+    'challenge.target-landing.description': 'With the jet stream, land less than 15 km from a point 90 km east of the launch. Closeness is scored: 1000 is the centre.',
+    'challenge.constraint.gases': 'Gas: {gases}',
+    'challenge.constraint.maxMoles': 'Maximum fill: {max} mol',
+    'challenge.constraint.wind': 'Wind: {profile}',
+    'challenge.constraint.timeLimit': 'Maximum flight time: {minutes} min',
+    'challenge.inactive': 'No active challenge',
+    'challenge.armed': '🏁 {name} · fill {moles} / {max} mol. Press LAUNCH.',
+    'challenge.activated': 'Challenge activated: {name}',
+    'challenge.deactivated': 'Challenge deactivated',
+    'challenge.cancelled': 'Flight interrupted: not scored',
+    'challenge.progress.FLOAT': 'Altitude {altitude} · in band {inBand} / {duration} s',
+    'challenge.progress.PAYLOAD': 'Altitude {altitude} / {target} · payload {mass} kg',
+    'challenge.progress.LANDING': 'Distance to target: {distance} km',
+    'challenge.score.FLOAT': '{score} pts',
+    'challenge.score.PAYLOAD': '{score} g',
+    'challenge.score.LANDING': '{score} pts',
+    'challenge.failed.burst': '✗ The balloon burst before reaching the goal',
+    'challenge.failed.timeLimit': '✗ The challenge ran out of time',
+    'challenge.failed.missed': '✗ The payload landed outside the target',
+    'challenge.verifying': '✓ Challenge completed: {score}. Verifying the flight… {percent} %',
+    'challenge.recorded': '🏆 Flight verified: {score}, position {position} on the leaderboard',
+    'challenge.notTop': 'Flight verified: {score}, not enough for the leaderboard',
+    'challenge.notVerified': 'The flight could not be verified: it is not on the leaderboard',
+    'challenge.simulating': 'Simulating the flight of {name}… {percent} %',
+    'challenge.replayVerified': '✓ Flight of {name} verified: {score}',
+    'challenge.replayMismatch': '✗ The flight of {name} does not reproduce its score ({score})',
+    'challenge.stopFlight': 'Reset the current flight to watch another one',
+    'challenge.error.gas': 'The challenge only allows {gases}',
+    'challenge.error.moles': 'Fill of {moles} mol: the challenge maximum is {max} mol',
+    'challenge.error.wind': 'The challenge is flown with {profile} wind',
+    'challenge.error.unknown': 'Unknown challenge: {id}',
+
+    // Physical properties
+    'properties.title': 'PHYSICAL PROPERTIES',
+    'properties.gas': 'GAS TYPE',
+    'properties.gas.title': 'Select the gas type',
+    'properties.eos': 'EQUATION OF STATE',
+    'properties.eos.title': 'Gas model used in the calculations',
+    'properties.eos.ideal': 'Ideal gas - PV = nRT',
+    'properties.eos.vdw': 'Van der Waals - (P + an²/V²)(V − nb) = nRT',
+    'properties.molecules': 'MOLECULAR VIEW',
+    'properties.molecules.hint': '- Kinetic theory',
+    'properties.molecules.title': 'Particles with Maxwell–Boltzmann speeds colliding with the balloon wall',
+    'properties.molecules.show': 'Show molecules',
+    'properties.atmosphere': 'REFERENCE ATMOSPHERE',
+    'properties.atmosphere.title': 'Sea level temperature of the ISA model',
+    'properties.atmosphere.friendly': 'Friendly - 293 K (20 °C)',
+    'properties.atmosphere.standard': 'Standard ISA - 288.15 K (15 °C)',
+    'properties.initialRadius': 'INITIAL RADIUS (m)',
+    'properties.initialRadius.hint': '- Size at the start',
+    'properties.initialRadius.title': 'Initial radius of the balloon',
+    'properties.payloadMass': 'PAYLOAD MASS (kg)',
+    'properties.payloadMass.hint': '- Weight of the equipment',
+    'properties.payloadMass.title': 'Mass of the payload',
+
+    // Built-in gases (GAS_PROPERTIES in state.js)
+    'gas.HE.name': 'Helium',
+    'gas.NE.name': 'Neon',
+    'gas.AR.name': 'Argon',
+    'gas.H2.name': 'Hydrogen',
+    'gas.CH4.name': 'Methane',
+    'gas.N2.name': 'Nitrogen',
+    'gas.AIR.name': 'Air',
+    'gas.AIR.symbol': 'Air',
+    'gas.CO2.name': 'Carbon dioxide',
+
+    // Gas editor
+    'gasEditor.title': 'GAS AND MIXTURE EDITOR',
+    'gasEditor.newGas': 'NEW GAS',
+    'gasEditor.gasName.placeholder': 'Name (e.g. Xenon)',
+    'gasEditor.molarMass.placeholder': 'Molar mass (g/mol)',
+    'gasEditor.gamma.placeholder': 'γ = Cp/Cv (optional)',
+    'gasEditor.vdwA.placeholder': 'van der Waals a (Pa·m⁶/mol², optional)',
+    'gasEditor.vdwB.placeholder': 'van der Waals b (m³/mol, optional)',
+    'gasEditor.addGas': '+ ADD GAS',
+    'gasEditor.addGas.title': 'Adds the gas to the list',
+    'gasEditor.newMixture': 'NEW MIXTURE',
+    'gasEditor.newMixture.hint': '- Mole fraction (%)',
+    'gasEditor.mixtureName.placeholder': 'Name (e.g. He 90% + air)',
+    'gasEditor.addComponent': '+ COMPONENT',
+    'gasEditor.addComponent.title': 'Adds a component to the mixture',
+    'gasEditor.addMixture': '✓ CREATE MIXTURE',
+    'gasEditor.addMixture.title': 'Creates the mixture',
+    'gasEditor.customGases': 'CUSTOM GASES',
+    'gasEditor.added': 'Gas added: {gas}',
+    'gasEditor.mixtureCreated': 'Mixture created: {gas}',
+    'gasEditor.error.name': 'The gas needs a name',
+    'gasEditor.error.molarMass': 'The molar mass must be greater than 0',
+    'gasEditor.error.gamma': 'γ must be greater than 1',
+    'gasEditor.error.vdwConstants': 'The a and b constants cannot be negative',
+    'gasEditor.error.mixtureName': 'The mixture needs a name',
+    'gasEditor.error.mixtureComponents': 'The mixture needs at least one component',
+
+    // Control parameters
+    'controls.title': 'CONTROL PARAMETERS',
+    'units.title': 'UNITS',
+    'units.hint': '- Only changes how values are shown',
+    'units.pressure': 'Pressure',
+    'units.pressure.title': 'Pressure unit',
+    'units.temperature': 'Temperature',
+    'units.temperature.title': 'Temperature unit',
+    'units.volume': 'Volume',
+    'units.volume.title': 'Volume unit',
+    'units.altitude': 'Altitude',
+    'units.altitude.title': 'Altitude unit',
+    'controls.pressure': 'EXTERNAL PRESSURE',
+    'controls.pressure.title': 'External atmospheric pressure',
+    'controls.pressureFixed': 'PRESSURE (Constant)',
+    'controls.temperature': 'TEMPERATURE',
+    'controls.temperature.title': 'Ambient temperature',
+    'controls.temperatureFixed': 'TEMPERATURE (Constant)',
+    'controls.volumeFixed': 'VOLUME (Constant)',
+    'controls.gammaFixed': 'HEAT CAPACITY RATIO γ = Cp/Cv (Constant)',
+    'controls.moles': 'AMOUNT OF GAS (mol)',
+    'controls.moles.hint': '- Add or remove gas',
+    'controls.moles.title': 'Moles of gas inside the balloon',
+    'controls.path': 'P–T PATH',
+    'controls.path.hint': '- Points the animation goes through',
+    'controls.path.addPoint': '+ POINT',
+    'controls.path.addPoint.title': 'Add a point at the end of the path',
+    'controls.slideHint': '- Slide to change',
+    'controls.maxRadius': 'MAXIMUM TENSION - Burst radius (m)',
+    'controls.maxRadius.hint': '- Limit before bursting',
+    'controls.maxRadius.title': 'Maximum radius before the balloon bursts',
+
+    // Thermodynamic cycles (cycles.js)
+    'cycle.title': 'THERMODYNAMIC CYCLE',
+    'cycle.hint': '- Processes in order from the current state',
+    'cycle.preset.CARNOT': 'CARNOT',
+    'cycle.preset.CARNOT.title': 'Two isotherms and two adiabats from the current state',
+    'cycle.preset.OTTO': 'OTTO',
+    'cycle.preset.OTTO.title': 'Two adiabats and two isochores from the current state',
+    'cycle.process': 'Process',
+    'cycle.target': 'Up to',
+    'cycle.value': 'Value',
+    'cycle.addStep': '+ PROCESS',
+    'cycle.addStep.title': 'Add a process at the end of the cycle',
+    'cycle.process.ISOTHERMAL': 'Isothermal',
+    'cycle.process.ISOBARIC': 'Isobaric',
+    'cycle.process.ISOCHORIC': 'Isochoric',
+    'cycle.process.ADIABATIC': 'Adiabatic',
+    'cycle.law.ISOTHERMAL': 'Isothermal: constant T, ΔU = 0, Q = W',
+    'cycle.law.ISOBARIC': 'Isobaric: constant P, W = PΔV',
+    'cycle.law.ISOCHORIC': 'Isochoric: constant V, W = 0, Q = ΔU',
+    'cycle.law.ADIABATIC': 'Adiabatic: constant PV<sup>γ</sup>, Q = 0, W = −ΔU',
+    'cycle.empty': 'Add processes or load an example cycle',
+    'cycle.closed': 'Closed cycle of {steps} processes: the gas returns to the current state',
+    'cycle.open': 'The path does not close: it ends at P = {pressure}, V = {volume}, T = {temperature}',
+    'cycle.total': 'Total',
+    'cycle.heat': 'Heat absorbed: {heatIn} kJ · released: {heatOut} kJ',
+    'cycle.efficiency': 'Efficiency η = W/Q<sub>in</sub> = {efficiency} % · Carnot limit between {cold} K and {hot} K: {carnot} %',
+    'cycle.notBack': 'The gas is not back at the start state: the balance is not that of a cycle',
+    'cycle.idealOnly': 'Cycles follow the processes of an ideal gas: choose the ideal gas equation of state',
+    'cycle.error.invalid': 'The cycle must be a list of processes',
+    'cycle.error.unknownProcess': 'Process {step}: unknown type ({process})',
+    'cycle.error.invalidTarget': 'Process {step}: that type of process cannot end at that quantity',
+    'cycle.error.invalidValue': 'Process {step}: the final value must be positive',
+
+    // Educational modes
+    'edu.direction': 'DIRECTION OF CHANGE',
+    'edu.increase': '↑ INCREASE',
+    'edu.decrease': '↓ DECREASE',
+    'edu.start': '▶ START SIMULATION',
+    'edu.stop': '■ STOP',
+    'edu.direction.increase': 'INCREASE',
+    'edu.direction.decrease': 'DECREASE',
+    'edu.duration': 'Duration (s)',
+    'edu.duration.title': 'Seconds the animation lasts (each process, in a cycle)',
+    'edu.easing': 'Easing',
+    'edu.easing.title': 'How the change is spread over the animation',
+    'edu.easing.LINEAR': 'Linear',
+    'edu.easing.EASE_IN_OUT': 'Smooth',
+    'edu.easing.EASE_IN': 'Speeding up',
+    'edu.easing.EASE_OUT': 'Slowing down',
+
+    // Mission
+    'mission.integrator': 'NUMERICAL INTEGRATOR',
+    'mission.integrator.hint': '- Fixed step of 1/120 s',
+    'mission.integrator.title': 'Integration method of the trajectory',
+    'mission.integrator.rk4': 'Runge-Kutta 4 (recommended)',
+    'mission.integrator.semiImplicit': 'Semi-implicit Euler',
+    'mission.integrator.euler': 'Explicit Euler',
+    'mission.launch': '🚀 START ASCENT',
+    'mission.launch.title': 'Starts the ascent simulation',
+    'mission.reset': '↻ RESET',
+    'mission.reset.title': 'Resets the simulation',
+    'mission.error.massBalloon': 'The balloon mass must be greater than 0 kg (got: {value})',
+
+    'pilot.title': 'PILOTING',
+    'pilot.hint': '- Keys: B ballast · V valve',
+    'pilot.ballast': 'Ballast (kg)',
+    'pilot.ballast.title': 'Available ballast, included in the payload mass',
+    'pilot.ballastStep': 'Per drop (kg)',
+    'pilot.ballastStep.title': 'Mass released on each drop',
+    'pilot.valveArea': 'Valve orifice (cm²)',
+    'pilot.valveArea.title': 'Orifice area of the vent valve',
+    'pilot.dropBallast': '⬇ BALLAST [B]',
+    'pilot.dropBallast.title': 'Drops ballast (B key)',
+    'pilot.vent': '⇡ VALVE [V]',
+    'pilot.vent.title': 'Opens or closes the gas valve (V key)',
+    'pilot.ballastLeft': '{ballast} kg · dropped {dropped} kg',
+    'pilot.gasLeft': '{moles} mol · vented {vented} mol',
+
+    'thermal.title': 'THERMAL MODEL',
+    'thermal.hint': '- Gas and envelope',
+    'thermal.inertia': 'Thermal inertia',
+    'thermal.infrared': 'IR radiation',
+    'thermal.day': '☀ DAY',
+    'thermal.day.title': 'Solar heating on',
+    'thermal.night': '☾ NIGHT',
+    'thermal.night.title': 'No solar radiation',
+
+    'wind.title': 'WIND',
+    'wind.hint': '- Profile by altitude',
+    'wind.select.title': 'Wind speed and direction with altitude',
+    'wind.profile.CALM': 'Calm',
+    'wind.profile.JET_STREAM': 'Jet stream',
+    'wind.profile.CUSTOM': 'Custom (table)',
+    'wind.altitude': 'Altitude (km)',
+    'wind.speed': 'Speed (m/s)',
+    'wind.direction': 'From (°)',
+    'wind.addRow': '+ ROW',
+    'wind.addRow.title': 'Adds an altitude to the table',
+    'wind.error.emptyTable': 'The wind profile needs at least one row',
+    'wind.error.negativeAltitude': 'The altitude cannot be negative',
+    'wind.error.negativeSpeed': 'The wind speed cannot be negative',
+
+    'descent.title': 'PARACHUTE',
+    'descent.hint': '- Descent after the burst',
+    'descent.area': 'Area (m²)',
+    'descent.area.title': 'Reference area of the parachute',
+    'descent.cd': 'Cd coefficient',
+    'descent.cd.title': 'Drag coefficient of the parachute',
+    'descent.fragments': 'Latex remains (%)',
+    'descent.fragments.title': 'Part of the balloon still tied to the payload',
+
+    'telemetry.title': 'TELEMETRY',
+    'telemetry.hint': '- Sampling rate',
+    'telemetry.rate.title': 'Recording rate of the telemetry',
+    'telemetry.everyFrame': 'Every frame',
+    'telemetry.csv.title': 'Downloads the telemetry as CSV',
+    'telemetry.json.title': 'Downloads the telemetry as JSON',
+    'telemetry.fileName': 'mission_telemetry',
+
+    // Mission replay
+    'replay.title': 'REPLAY',
+    'replay.hint': '- Recorded flight, no physics recomputed',
+    'replay.view': '⟲ WATCH REPLAY',
+    'replay.exit': '✕ EXIT REPLAY',
+    'replay.button.title': 'Plays back the last flight',
+    'replay.timeline.title': 'Flight timeline',
+    'replay.back.title': 'Previous frame',
+    'replay.play.title': 'Play / pause',
+    'replay.forward.title': 'Next frame',
+    'replay.speed.title': 'Seconds of flight per second of replay',
+    'replay.events.title': 'Launch, layer changes, burst and landing',
+    'replay.jumpTo': 'Jump to…',
+    'replay.pauseOnEvents': 'Pause at each event',
+    'replay.event.LAUNCH': 'Launch',
+    'replay.event.BURST': 'Burst',
+    'replay.event.LANDING': 'Landing',
+    'replay.event.LAYER': '{arrow} {layer} ({altitude} km)',
+
+    // ISA layers (physics.js)
+    'layer.TROPOSPHERE': 'Troposphere',
+    'layer.TROPOPAUSE': 'Tropopause',
+    'layer.STRATOSPHERE_1': 'Stratosphere 1',
+    'layer.STRATOSPHERE_2': 'Stratosphere 2',
+    'layer.STRATOPAUSE': 'Stratopause',
+    'layer.MESOSPHERE_1': 'Mesosphere 1',
+    'layer.MESOSPHERE_2': 'Mesosphere 2',
+    'layer.MESOPAUSE': 'Mesopause',
+
+    // Latex envelope
+    'envelope.title': 'LATEX ENVELOPE',
+    'envelope.hint': '- Mooney-Rivlin membrane',
+    'envelope.unstretchedRadius': 'Unstretched radius (m)',
+    'envelope.unstretchedRadius.title': 'Radius of the unstretched balloon (r₀)',
+    'envelope.thickness': 'Thickness (mm)',
+    'envelope.thickness.title': 'Unstretched wall thickness (t₀)',
+    'envelope.modulus': 'Modulus μ (MPa)',
+    'envelope.modulus.title': 'Shear modulus of the latex',
+    'envelope.criticalStretch': 'Critical stretch λ',
+    'envelope.criticalStretch.title': 'Ratio r/r₀ at which the latex breaks',
+    'envelope.burstStress': 'Burst stress (MPa)',
+    'envelope.burstStress.title': 'True wall stress at which it breaks',
+    'envelope.radiusRatio': 'r / r max = {percent} %',
+
+    // Formula
+    'formula.title': '⚗️ APPLIED FORMULA',
+    'formula.eos.IDEAL': 'Ideal gas',
+    'formula.eos.VDW': 'Van der Waals',
+    'formula.absoluteTemperature': 'Absolute T: {display} = {kelvin} K',
+    'formula.adiabaticVsIsothermal': 'Adiabatic volume {adiabatic} against {isothermal} on the Boyle isotherm at the same pressure',
+
+    // Live charts
+    'chart.title': '📈 LIVE CHARTS',
+    'chart.legend.current': '— Current',
+    'chart.legend.theory': '- - Theory',
+    'chart.legend.history': '— Previous',
+    'chart.clear': 'CLEAR TRACES',
+    'chart.clear.title': 'Clears the current and previous traces',
+    'chart.pv': 'P–V (constant T)',
+    'chart.vt': 'V–T (constant P)',
+    'chart.pt': 'P–T (constant V)',
+    'chart.vn': 'V–n (constant P and T)',
+    'chart.vtp': 'V – T/P (constant n)',
+    'chart.ptPath': 'P–T path',
+    'chart.pvAdiabatic': 'Adiabatic P–V (constant PV^γ)',
+    'chart.tpAdiabatic': 'Adiabatic T–P',
+    'chart.isotherm': 'Isotherm (Boyle)',
+    'chart.pvCycle': 'P–V cycle (area = net work)',
+    'chart.tvCycle': 'T–V cycle',
+    'chart.altitude': 'Altitude – time',
+    'chart.velocity': 'Velocity – time',
+    'chart.radius': 'Radius – time',
+    'chart.noData': 'No data',
+
+    // Readouts
+    'readout.title': 'REAL-TIME TELEMETRY',
+    'readout.altitude': 'ALTITUDE',
+    'readout.volume': 'VOLUME',
+    'readout.radius': 'RADIUS',
+    'readout.velocity': 'VELOCITY',
+    'readout.wind': 'WIND',
+    'readout.drift': 'DRIFT',
+    'readout.gasTemperature': 'GAS T (INSIDE)',
+    'readout.airTemperature': 'AIR T (OUTSIDE)',
+    'readout.terminalVelocity': 'TERMINAL V',
+    'readout.gravity': 'GRAVITY g(h)',
+    'readout.reynolds': 'REYNOLDS (Re)',
+    'readout.dragCoefficient': 'DRAG COEF. (Cd)',
+    'readout.integrity': 'STRUCTURAL INTEGRITY (Tension)',
+    'readout.ballast': 'BALLAST LEFT',
+    'readout.gas': 'GAS LEFT',
+    'readout.landing': 'PREDICTED LANDING',
+    'readout.kinetic': 'MEASURED PRESSURE (WALL COLLISIONS)',
+    'kinetic.measuring': 'Measuring…',
+    'kinetic.pressure': 'Measured P = {measured} · nRT/V = {ideal}',
+    'kinetic.collisions': '{count} collisions · {rate} million/s (real time)',
+    'landing.predicted': 'Predicted: {distance} km · bearing {bearing}° · descent {time} min',
+    'landing.actual': 'Actual: {distance} km · descent {time} min · impact {velocity} m/s',
+
+    // Console
+    'log.initialized': 'Simulation initialized. Moles: {moles}',
+    'log.scenarioLoaded': 'Scenario loaded: {name}',
+    'log.lessonStarted': 'Lesson started: {title}',
+    'log.lessonFinished': 'Lesson completed: {correct}/{total} predictions correct',
+    'log.challengeStarted': 'Challenge in progress: {name}',
+    'log.challengeResult': 'Challenge {name}: {status}, {score}',
+    'log.ballastDropped': 'Ballast dropped: {mass} kg at {altitude} m',
+    'log.valveOpened': 'Valve opened at {altitude} m',
+    'log.valveClosed': 'Valve closed at {altitude} m',
+    'log.replay': 'Replay: {frames} frames, {duration} of flight',
+    'log.replayPaused': 'Replay paused: {event} at {time}',
+    'log.direction': 'Selected direction: {direction}',
+    'log.eduStart': 'Starting simulation in {mode} mode with direction: {direction}',
+    'log.pressureTarget': 'Pressure: {from} → {to}',
+    'log.temperatureTarget': 'Temperature: {from} → {to}',
+    'log.temperatureTargetConstantVolume': 'Temperature: {from} → {to} (constant volume)',
+    'log.animationDone': 'Animation finished. Final value: {value}',
+    'log.molesTarget': 'Amount of gas: {from} → {to} mol',
+    'log.pathTarget': 'P–T path with {points} points',
+    'log.pathDone': 'Path finished: P = {pressure} Pa, T = {temperature} K',
+    'log.cyclePreset': 'Example cycle: {name}',
+    'log.cycleStart': 'Thermodynamic cycle of {steps} processes',
+    'log.cycleStep': 'Process {step} ({process}) finished: W = {work} kJ, Q = {heat} kJ',
+    'log.cycleDone': 'Cycle finished: net work {work} kJ, efficiency {efficiency} %',
+    'log.burstMission': 'BURST at {altitude} m! Parachute descent...',
+    'log.predictedLanding': 'Predicted landing at {distance} km, bearing {bearing}°',
+    'log.burst': 'BURST! Resetting in 3 seconds...',
+    'log.restarted': 'Simulation reset',
+    'log.landing': 'Landing: {time} min descent, impact at {velocity} m/s, {distance} km from the launch site',
+    'warn.customGasesLoad': 'Could not load the custom gases:',
+    'warn.scenariosLoad': 'Could not load the saved scenarios:',
+    'warn.savedScenarioInvalid': 'Invalid saved scenario ({name}):',
+    'warn.lessonsLoad': 'Could not load the imported lessons:',
+    'warn.savedLessonInvalid': 'Invalid imported lesson ({id}):',
+    'warn.leaderboardLoad': 'Could not load the challenge leaderboard:',
+    'warn.unitsLoad': 'Could not load the saved units:',
+    'warn.languageLoad': 'Could not load the saved language:'
+};
@@ -0,0 +1,566 @@
+// locales/es.js
+// Spanish bundle (default language: every key must exist here, see i18n.js)
+export const es = {
+    // Page
+    'app.pageTitle': 'Simulación de Gases Nobles',
+    'app.title': 'SIMULADOR DE GASES NOBLES',
+    'app.online': '● EN LÍNEA',
+    'app.language.title': 'Idioma',
+    'common.manualValue.title': 'Escribe un valor manual',
+    'common.remove': 'Eliminar',
+
+    // Modes
+    'mode.title': 'MODO DE OPERACIÓN',
+    'mode.idle': 'LIBRE',
+    'mode.idle.title': 'Modo libre: Controla todos los parámetros',
+    'mode.boyle': 'LEY DE BOYLE',
+    'mode.boyle.title': 'Presión varía, Temperatura constante',
+    'mode.charles': 'LEY DE CHARLES',
+    'mode.charles.title': 'Temperatura varía, Presión constante',
+    'mode.gayLussac': 'GAY-LUSSAC',
+    'mode.gayLussac.title': 'Volumen constante, Presión varía con Temperatura',
+    'mode.avogadro': 'LEY DE AVOGADRO',
+    'mode.avogadro.title': 'Cantidad de gas varía, Presión y Temperatura constantes',
+    'mode.combined': 'LEY COMBINADA',
+    'mode.combined.title': 'Presión y Temperatura varían juntas, PV/T constante',
+    'mode.adiabatic': 'ADIABÁTICO',
+    'mode.adiabatic.title': 'Presión varía sin intercambio de calor: PV^γ constante, el gas se enfría al expandirse',
+    'mode.cycle': 'CICLO TERMODINÁMICO',
+    'mode.cycle.title': 'Procesos encadenados que vuelven al estado inicial: trabajo, calor y rendimiento',
+    'mode.mission': 'MISIÓN ATMOSFÉRICA',
+    'mode.mission.title': 'Simula el ascenso del globo en la atmósfera',
+
+    // Scenarios
+    'scenario.title': 'ESCENARIOS',
+    'scenario.select.title': 'Ejemplos de clase y escenarios guardados',
+    'scenario.load': '▶ CARGAR',
+    'scenario.load.title': 'Aplica el escenario seleccionado',
+    'scenario.delete': '✕ ELIMINAR',
+    'scenario.delete.title': 'Elimina el escenario guardado',
+    'scenario.name.placeholder': 'Nombre del escenario actual',
+    'scenario.save': '💾 GUARDAR',
+    'scenario.save.title': 'Guarda la configuración actual en este navegador',
+    'scenario.share': '🔗 ENLACE',
+    'scenario.share.title': 'Copia un enlace que restaura esta configuración',
+    'scenario.export.title': 'Descarga la configuración actual en JSON',
+    'scenario.import': '⬆ IMPORTAR',
+    'scenario.import.title': 'Carga un escenario desde un archivo JSON',
+    'scenario.group.builtin': 'Biblioteca de clase',
+    'scenario.group.saved': 'Guardados',
+    'scenario.unnamed': 'Sin nombre',
+    'scenario.sharedName': 'Escenario compartido',
+    'scenario.exportName': 'Escenario',
+    'scenario.fileName': 'escenario',
+    'scenario.loaded': 'Escenario cargado: {name}',
+    'scenario.loadedFromLink': 'Escenario cargado desde el enlace: {name}',
+    'scenario.imported': 'Escenario importado: {name}',
+    'scenario.saved': 'Escenario guardado: {name}',
+    'scenario.deleted': 'Escenario eliminado',
+    'scenario.linkCopied': 'Enlace copiado al portapapeles',
+    'scenario.copyFromAddressBar': 'Copia el enlace de la barra de direcciones',
+    'scenario.error.invalid': 'El escenario no es válido',
+    'scenario.error.invalidValue': 'Valor no válido en el escenario: {field}',
+    'scenario.error.newerVersion': 'El escenario es de una versión más reciente',
+    'scenario.error.unknownMode': 'Modo desconocido: {mode}',
+    'scenario.error.emptyPath': 'La trayectoria de la ley combinada necesita al menos un punto',
+    'scenario.error.invalidPathPoint': 'Punto {point} de la trayectoria: P y T deben ser positivas',
+    'scenario.error.unknownEos': 'Ecuación de estado desconocida: {eos}',
+    'scenario.error.unknownEasing': 'Ritmo de animación desconocido: {easing}',
+    'scenario.error.unknownWind': 'Perfil de viento desconocido: {profile}',
+    'scenario.error.unknownGas': 'Gas desconocido: {gas}',
+    'scenario.error.invalidJson': 'El archivo no contiene JSON válido',
+    'scenario.error.invalidLink': 'El enlace no contiene un escenario válido ({message})',
+    'scenario.error.needsName': 'El escenario necesita un nombre',
+
+    // Classroom library (BUILTIN_SCENARIOS in scenarios.js)
+    'scenario.boyle-compression.name': 'Boyle: comprimir el globo',
+    'scenario.boyle-compression.description': 'La presión se duplica a temperatura constante y el volumen se reduce a la mitad.',
+    'scenario.boyle-burst.name': 'Boyle: explosión por descompresión',
+    'scenario.boyle-burst.description': 'Al bajar la presión el globo crece hasta superar su radio máximo.',
+    'scenario.charles-heating.name': 'Charles: calentar el globo',
+    'scenario.charles-heating.description': 'De 20 °C a 127 °C a presión constante: V/T se mantiene.',
+    'scenario.charles-cryogenic.name': 'Charles: globo en frío extremo',
+    'scenario.charles-cryogenic.description': 'Enfriar hasta 100 K, como al sumergir el globo en nitrógeno líquido.',
+    'scenario.gay-lussac-heating.name': 'Gay-Lussac: recipiente rígido al fuego',
+    'scenario.gay-lussac-heating.description': 'A volumen constante la presión sube al calentar el gas.',
+    'scenario.avogadro-inflate.name': 'Avogadro: inflar el globo',
+    'scenario.avogadro-inflate.description': 'A P y T constantes, el volumen crece en proporción a los moles de gas.',
+    'scenario.combined-ascent.name': 'Ley combinada: subida por la atmósfera',
+    'scenario.combined-ascent.description': 'P y T bajan como a 5 y 10 km de altitud: el volumen sigue PV/T = constante.',
+    'scenario.adiabatic-ascent.name': 'Adiabático: el gas se enfría al subir',
+    'scenario.adiabatic-ascent.description': 'La presión baja como al subir a 10 km sin intercambio de calor: el helio se enfría por debajo de 200 K.',
+    'scenario.carnot-cycle.name': 'Ciclo de Carnot con helio',
+    'scenario.carnot-cycle.description': 'Dos isotermas (293 K y 220 K) y dos adiabáticas: rendimiento del 25 %, el máximo posible.',
+    'scenario.real-gas-co2.name': 'Gas real: CO₂ comprimido y frío',
+    'scenario.real-gas-co2.description': 'Van der Waals frente al gas ideal: el factor Z se aleja de 1.',
+    'scenario.mission-standard.name': 'Misión: sonda meteorológica',
+    'scenario.mission-standard.description': 'Globo de helio con 1 kg de carga en una atmósfera ISA estándar.',
+    'scenario.mission-jet-stream.name': 'Misión: deriva en la corriente en chorro',
+    'scenario.mission-jet-stream.description': 'El viento de la tropopausa arrastra la sonda más de 100 km.',
+    'scenario.mission-hydrogen.name': 'Misión: hidrógeno y carga pesada',
+    'scenario.mission-hydrogen.description': 'Más gas y más carga: ¿llega más alto?',
+
+    // Guided lessons (lessons.js)
+    'lesson.title': 'LECCIONES GUIADAS',
+    'lesson.select.title': 'Lecciones de ejemplo y lecciones importadas',
+    'lesson.start': '▶ EMPEZAR',
+    'lesson.start.title': 'Prepara el escenario y empieza el primer paso',
+    'lesson.delete': '✕ ELIMINAR',
+    'lesson.delete.title': 'Elimina la lección importada',
+    'lesson.export.title': 'Descarga la lección en JSON (plantilla para escribir otras)',
+    'lesson.import': '⬆ IMPORTAR',
+    'lesson.import.title': 'Añade una lección desde un archivo JSON',
+    'lesson.prediction.title': 'Tu predicción, en la unidad indicada',
+    'lesson.check': '✓ PREDECIR',
+    'lesson.check.title': 'Registra la predicción',
+    'lesson.hint': '💡 PISTA',
+    'lesson.hint.title': 'Muestra una pista',
+    'lesson.next': 'SIGUIENTE ▶',
+    'lesson.next.title': 'Pasa al siguiente paso',
+    'lesson.stop': '■ SALIR DE LA LECCIÓN',
+    'lesson.stop.title': 'Termina la lección',
+    'lesson.group.builtin': 'Lecciones de ejemplo',
+    'lesson.group.saved': 'Importadas',
+    'lesson.fileName': 'leccion',
+    'lesson.progress': 'Paso {step} / {total} · {title}',
+    'lesson.started': 'Lección iniciada: {title}',
+    'lesson.imported': 'Lección importada: {title}',
+    'lesson.deleted': 'Lección eliminada',
+    'lesson.stopped': 'Lección terminada',
+    'lesson.finished': '🎓 Lección completada',
+    'lesson.finishedScore': '🎓 Lección completada: {correct} de {total} predicciones correctas',
+    'lesson.noObjectives': 'Lee el texto y pulsa SIGUIENTE.',
+    'lesson.stepDone': '✓ Objetivo cumplido',
+    'lesson.noHints': 'Este paso no tiene pistas',
+    'lesson.invalidPrediction': 'Escribe tu predicción como un número',
+    'lesson.predictionSaved': 'Predicción registrada: {prediction}. Cumple el objetivo para compararla con el valor calculado.',
+    'lesson.quizMissed': '✗ Sin predicción: el objetivo se cumplió antes de registrarla. Calculado: {actual}',
+    'lesson.quizCorrect': '✓ ¡Bien! Predicción: {prediction} · calculado: {actual} (error {error} %)',
+    'lesson.quizWrong': '✗ No del todo. Predicción: {prediction} · calculado: {actual} (error {error} %)',
+    'lesson.quantity.pressure': 'Presión',
+    'lesson.quantity.temperature': 'Temperatura',
+    'lesson.quantity.altitude': 'Altitud',
+    'lesson.quantity.volume': 'Volumen',
+    'lesson.objective.equals': '{quantity} = {value}',
+    'lesson.objective.ratio': '{quantity} al {percent} % del valor al empezar el paso',
+    'lesson.objective.min': '{quantity} ≥ {value}',
+    'lesson.objective.max': '{quantity} ≤ {value}',
+    'lesson.objective.increase': '{quantity} aumenta',
+    'lesson.objective.decrease': '{quantity} disminuye',
+    'lesson.objective.event.mode': 'Cambia de modo',
+    'lesson.objective.event.launch': 'Lanza el globo',
+    'lesson.objective.event.burst': 'El globo explota',
+    'lesson.objective.event.landing': 'La carga aterriza',
+    'lesson.objective.event.reset': 'El globo vuelve al estado inicial',
+    'lesson.error.invalid': 'La lección no es válida',
+    'lesson.error.invalidJson': 'El archivo no contiene JSON válido',
+    'lesson.error.newerVersion': 'La lección es de una versión más reciente',
+    'lesson.error.needsTitle': 'La lección necesita un título ("title")',
+    'lesson.error.noSteps': 'La lección necesita al menos un paso ("steps")',
+    'lesson.error.stepText': '{where}: el paso necesita un texto ("text")',
+    'lesson.error.invalidObjective': '{where}: el objetivo necesita "event", o "path" con equals, ratio, min, max o change',
+    'lesson.error.unknownEvent': '{where}: evento desconocido: {event}',
+    'lesson.error.invalidChange': '{where}: "change" debe ser "increase" o "decrease" ({change})',
+    'lesson.error.invalidQuiz': '{where}: la pregunta necesita "question" y "path"',
+    'lesson.error.invalidValue': 'Valor no válido en la lección: {field}',
+
+    // Mission challenges (challenges.js)
+    'challenge.title': 'RETOS DE MISIÓN',
+    'challenge.select.title': 'Objetivos para un vuelo de misión',
+    'challenge.activate': '🏁 ACTIVAR',
+    'challenge.activate.title': 'Prepara la misión: el próximo lanzamiento puntúa',
+    'challenge.deactivate': '✕ DESACTIVAR',
+    'challenge.deactivate.title': 'Vuelve a los vuelos libres',
+    'challenge.player.placeholder': 'Tu nombre para la tabla de récords',
+    'challenge.leaderboard': 'TABLA DE RÉCORDS',
+    'challenge.leaderboard.hint': '- Vuelos verificados en este navegador',
+    'challenge.leaderboard.empty': 'Todavía no hay vuelos',
+    'challenge.replay.title': 'Simula de nuevo el vuelo y ábrelo en la repetición',
+    'challenge.anonymous': 'Anónimo',
+    'challenge.float-10km.name': 'Flotar a 10 km',
+    'challenge.float-10km.description': 'Mantén el globo a 10 km (±250 m) durante 60 s seguidos, con la válvula y el lastre. Puntúa la precisión: 1000 es la altitud exacta.',
+    'challenge.heavy-payload-5km.name': 'Carga máxima a 5 km',
+    'challenge.heavy-payload-5km.description': 'Sube la carga más pesada posible hasta 5 km antes de que el globo explote. Puntúa la masa de la carga (g).',
+    'challenge.target-landing.name': 'Aterrizaje en el objetivo',
+    'challenge.target-landing.description': 'Con la corriente en chorro, aterriza a menos de 15 km de un punto 90 km al este del lanzamiento. Puntúa la cercanía: 1000 es el centro.',
+    'challenge.constraint.gases': 'Gas: {gases}',
+    'challenge.constraint.maxMoles': 'Llenado máximo: {max} mol',
+    'challenge.constraint.wind': 'Viento: {profile}',
+    'challenge.constraint.timeLimit': 'Tiempo máximo de vuelo: {minutes} min',
+    'challenge.inactive': 'Ningún reto activo',
+    'challenge.armed': '🏁 {name} · llenado {moles} / {max} mol. Pulsa LANZAR.',
+    'challenge.activated': 'Reto activado: {name}',
+    'challenge.deactivated': 'Reto desactivado',
+    'challenge.cancelled': 'Vuelo interrumpido: no puntúa',
+    'challenge.progress.FLOAT': 'Altitud {altitude} · en la banda {inBand} / {duration} s',
+    'challenge.progress.PAYLOAD': 'Altitud {altitude} / {target} · carga {mass} kg',
+    'challenge.progress.LANDING': 'Distancia al objetivo: {distance} km',
+    'challenge.score.FLOAT': '{score} pts',
+    'challenge.score.PAYLOAD': '{score} g',
+    'challenge.score.LANDING': '{score} pts',
+    'challenge.failed.burst': '✗ El globo explotó antes de cumplir el objetivo',
+    'challenge.failed.timeLimit': '✗ Se agotó el tiempo del reto',
+    'challenge.failed.missed': '✗ La carga aterrizó fuera del objetivo',
+    'challenge.verifying': '✓ Reto cumplido: {score}. Verificando el vuelo… {percent} %',
+    'challenge.recorded': '🏆 Vuelo verificado: {score}, puesto {position} de la clasificación',
+    'challenge.notTop': 'Vuelo verificado: {score}, no entra en la clasificación',
+    'challenge.notVerified': 'El vuelo no se pudo verificar: no entra en la clasificación',
+    'challenge.simulating': 'Simulando el vuelo de {name}… {percent} %',
+    'challenge.replayVerified': '✓ Vuelo de {name} verificado: {score}',
+    'challenge.replayMismatch': '✗ El vuelo de {name} no reproduce su puntuación ({score})',
+    'challenge.stopFlight': 'Reinicia el vuelo en curso para ver otro',
+    'challenge.error.gas': 'El reto solo admite {gases}',
+    'challenge.error.moles': 'Llenado de {moles} mol: el máximo del reto es {max} mol',
+    'challenge.error.wind': 'El reto se vuela con viento {profile}',
+    'challenge.error.unknown': 'Reto desconocido: {id}',
+
+    // Physical properties
+    'properties.title': 'PROPIEDADES FÍSICAS',
+    'properties.gas': 'TIPO DE GAS',
+    'properties.gas.title': 'Selecciona el tipo de gas',
+    'properties.eos': 'ECUACIÓN DE ESTADO',
+    'properties.eos.title': 'Modelo de gas usado en los cálculos',
+    'properties.eos.ideal': 'Gas ideal - PV = nRT',
+    'properties.eos.vdw': 'Van der Waals - (P + an²/V²)(V − nb) = nRT',
+    'properties.molecules': 'VISTA MOLECULAR',
+    'properties.molecules.hint': '- Teoría cinética',
+    'properties.molecules.title': 'Partículas con velocidades de Maxwell–Boltzmann que chocan con la pared del globo',
+    'properties.molecules.show': 'Mostrar moléculas',
+    'properties.atmosphere': 'ATMÓSFERA DE REFERENCIA',
+    'properties.atmosphere.title': 'Temperatura a nivel del mar del modelo ISA',
+    'properties.atmosphere.friendly': 'Amigable - 293 K (20 °C)',
+    'properties.atmosphere.standard': 'ISA estándar - 288.15 K (15 °C)',
+    'properties.initialRadius': 'RADIO INICIAL (m)',
+    'properties.initialRadius.hint': '- Tamaño al inicio',
+    'properties.initialRadius.title': 'Radio inicial del globo',
+    'properties.payloadMass': 'MASA CARGA (kg)',
+    'properties.payloadMass.hint': '- Peso del equipamiento',
+    'properties.payloadMass.title': 'Masa de la carga útil',
+
+    // Built-in gases (GAS_PROPERTIES in state.js)
+    'gas.HE.name': 'Helio',
+    'gas.NE.name': 'Neón',
+    'gas.AR.name': 'Argón',
+    'gas.H2.name': 'Hidrógeno',
+    'gas.CH4.name': 'Metano',
+    'gas.N2.name': 'Nitrógeno',
+    'gas.AIR.name': 'Aire',
+    'gas.AIR.symbol': 'Aire',
+    'gas.CO2.name': 'Dióxido de carbono',
+
+    // Gas editor
+    'gasEditor.title': 'EDITOR DE GASES Y MEZCLAS',
+    'gasEditor.newGas': 'NUEVO GAS',
+    'gasEditor.gasName.placeholder': 'Nombre (p. ej. Xenón)',
+    'gasEditor.molarMass.placeholder': 'Masa molar (g/mol)',
+    'gasEditor.gamma.placeholder': 'γ = Cp/Cv (opcional)',
+    'gasEditor.vdwA.placeholder': 'a van der Waals (Pa·m⁶/mol², opcional)',
+    'gasEditor.vdwB.placeholder': 'b van der Waals (m³/mol, opcional)',
+    'gasEditor.addGas': '+ AÑADIR GAS',
+    'gasEditor.addGas.title': 'Añade el gas a la lista',
+    'gasEditor.newMixture': 'NUEVA MEZCLA',
+    'gasEditor.newMixture.hint': '- Fracción molar (%)',
+    'gasEditor.mixtureName.placeholder': 'Nombre (p. ej. He 90% + aire)',
+    'gasEditor.addComponent': '+ COMPONENTE',
+    'gasEditor.addComponent.title': 'Añade un componente a la mezcla',
+    'gasEditor.addMixture': '✓ CREAR MEZCLA',
+    'gasEditor.addMixture.title': 'Crea la mezcla',
+    'gasEditor.customGases': 'GASES PERSONALIZADOS',
+    'gasEditor.added': 'Gas añadido: {gas}',
+    'gasEditor.mixtureCreated': 'Mezcla creada: {gas}',
+    'gasEditor.error.name': 'El gas necesita un nombre',
+    'gasEditor.error.molarMass': 'La masa molar debe ser mayor que 0',
+    'gasEditor.error.gamma': 'γ debe ser mayor que 1',
+    'gasEditor.error.vdwConstants': 'Las constantes a y b no pueden ser negativas',
+    'gasEditor.error.mixtureName': 'La mezcla necesita un nombre',
+    'gasEditor.error.mixtureComponents': 'La mezcla necesita al menos un componente',
+
+    // Control parameters
+    'controls.title': 'PARÁMETROS DE CONTROL',
+    'units.title': 'UNIDADES',
+    'units.hint': '- Solo cambia cómo se muestran los valores',
+    'units.pressure': 'Presión',
+    'units.pressure.title': 'Unidad de presión',
+    'units.temperature': 'Temperatura',
+    'units.temperature.title': 'Unidad de temperatura',
+    'units.volume': 'Volumen',
+    'units.volume.title': 'Unidad de volumen',
+    'units.altitude': 'Altitud',
+    'units.altitude.title': 'Unidad de altitud',
+    'controls.pressure': 'PRESIÓN EXTERNA',
+    'controls.pressure.title': 'Presión atmosférica externa',
+    'controls.pressureFixed': 'PRESIÓN (Constante)',
+    'controls.temperature': 'TEMPERATURA',
+    'controls.temperature.title': 'Temperatura del entorno',
+    'controls.temperatureFixed': 'TEMPERATURA (Constante)',
+    'controls.volumeFixed': 'VOLUMEN (Constante)',
+    'controls.gammaFixed': 'COEFICIENTE ADIABÁTICO γ = Cp/Cv (Constante)',
+    'controls.moles': 'CANTIDAD DE GAS (mol)',
+    'controls.moles.hint': '- Añade o quita gas',
+    'controls.moles.title': 'Moles de gas dentro del globo',
+    'controls.path': 'TRAYECTORIA P–T',
+    'controls.path.hint': '- Puntos que recorre la animación',
+    'controls.path.addPoint': '+ PUNTO',
+    'controls.path.addPoint.title': 'Añade un punto al final de la trayectoria',
+    'controls.slideHint': '- Desliza para cambiar',
+    'controls.maxRadius': 'TENSIÓN MÁXIMA - Radio Explosión (m)',
+    'controls.maxRadius.hint': '- Límite antes de explotar',
+    'controls.maxRadius.title': 'Radio máximo antes de que explote el globo',
+
+    // Thermodynamic cycles (cycles.js)
+    'cycle.title': 'CICLO TERMODINÁMICO',
+    'cycle.hint': '- Procesos en orden desde el estado actual',
+    'cycle.preset.CARNOT': 'CARNOT',
+    'cycle.preset.CARNOT.title': 'Dos isotermas y dos adiabáticas desde el estado actual',
+    'cycle.preset.OTTO': 'OTTO',
+    'cycle.preset.OTTO.title': 'Dos adiabáticas y dos isócoras desde el estado actual',
+    'cycle.process': 'Proceso',
+    'cycle.target': 'Hasta',
+    'cycle.value': 'Valor',
+    'cycle.addStep': '+ PROCESO',
+    'cycle.addStep.title': 'Añade un proceso al final del ciclo',
+    'cycle.process.ISOTHERMAL': 'Isotérmico',
+    'cycle.process.ISOBARIC': 'Isobárico',
+    'cycle.process.ISOCHORIC': 'Isócoro',
+    'cycle.process.ADIABATIC': 'Adiabático',
+    'cycle.law.ISOTHERMAL': 'Isotérmico: T constante, ΔU = 0, Q = W',
+    'cycle.law.ISOBARIC': 'Isobárico: P constante, W = PΔV',
+    'cycle.law.ISOCHORIC': 'Isócoro: V constante, W = 0, Q = ΔU',
+    'cycle.law.ADIABATIC': 'Adiabático: PV<sup>γ</sup> constante, Q = 0, W = −ΔU',
+    'cycle.empty': 'Añade procesos o carga un ciclo de ejemplo',
+    'cycle.closed': 'Ciclo cerrado de {steps} procesos: el gas vuelve al estado actual',
+    'cycle.open': 'El camino no se cierra: termina en P = {pressure}, V = {volume}, T = {temperature}',
+    'cycle.total': 'Total',
+    'cycle.heat': 'Calor absorbido: {heatIn} kJ · cedido: {heatOut} kJ',
+    'cycle.efficiency': 'Rendimiento η = W/Q<sub>abs</sub> = {efficiency} % · límite de Carnot entre {cold} K y {hot} K: {carnot} %',
+    'cycle.notBack': 'El gas no ha vuelto al estado inicial: el balance no es el de un ciclo',
+    'cycle.idealOnly': 'Los ciclos siguen los procesos del gas ideal: elige la ecuación de estado del gas ideal',
+    'cycle.error.invalid': 'El ciclo debe ser una lista de procesos',
+    'cycle.error.unknownProcess': 'Proceso {step}: tipo desconocido ({process})',
+    'cycle.error.invalidTarget': 'Proceso {step}: ese tipo de proceso no puede terminar en esa magnitud',
+    'cycle.error.invalidValue': 'Proceso {step}: el valor final debe ser positivo',
+
+    // Educational modes
+    'edu.direction': 'DIRECCIÓN DE CAMBIO',
+    'edu.increase': '↑ AUMENTAR',
+    'edu.decrease': '↓ DISMINUIR',
+    'edu.start': '▶ INICIAR SIMULACIÓN',
+    'edu.stop': '■ DETENER',
+    'edu.direction.increase': 'AUMENTAR',
+    'edu.direction.decrease': 'DISMINUIR',
+    'edu.duration': 'Duración (s)',
+    'edu.duration.title': 'Segundos que dura la animación (cada proceso, en un ciclo)',
+    'edu.easing': 'Ritmo',
+    'edu.easing.title': 'Cómo se reparte el cambio a lo largo de la animación',
+    'edu.easing.LINEAR': 'Uniforme',
+    'edu.easing.EASE_IN_OUT': 'Suave',
+    'edu.easing.EASE_IN': 'Acelerando',
+    'edu.easing.EASE_OUT': 'Frenando',
+
+    // Mission
+    'mission.integrator': 'INTEGRADOR NUMÉRICO',
+    'mission.integrator.hint': '- Paso fijo de 1/120 s',
+    'mission.integrator.title': 'Método de integración de la trayectoria',
+    'mission.integrator.rk4': 'Runge-Kutta 4 (recomendado)',
+    'mission.integrator.semiImplicit': 'Euler semi-implícito',
+    'mission.integrator.euler': 'Euler explícito',
+    'mission.launch': '🚀 INICIAR ASCENSO',
+    'mission.launch.title': 'Inicia la simulación de ascenso',
+    'mission.reset': '↻ REINICIAR',
+    'mission.reset.title': 'Reinicia la simulación',
+    'mission.error.massBalloon': 'La masa del globo debe ser mayor que 0 kg (recibido: {value})',
+
+    'pilot.title': 'PILOTAJE',
+    'pilot.hint': '- Teclas: B lastre · V válvula',
+    'pilot.ballast': 'Lastre (kg)',
+    'pilot.ballast.title': 'Lastre disponible, incluido en la masa de la carga',
+    'pilot.ballastStep': 'Por descarga (kg)',
+    'pilot.ballastStep.title': 'Masa soltada en cada descarga',
+    'pilot.valveArea': 'Orificio válvula (cm²)',
+    'pilot.valveArea.title': 'Área del orificio de la válvula de venteo',
+    'pilot.dropBallast': '⬇ LASTRE [B]',
+    'pilot.dropBallast.title': 'Suelta lastre (tecla B)',
+    'pilot.vent': '⇡ VÁLVULA [V]',
+    'pilot.vent.title': 'Abre o cierra la válvula de gas (tecla V)',
+    'pilot.ballastLeft': '{ballast} kg · soltado {dropped} kg',
+    'pilot.gasLeft': '{moles} mol · venteado {vented} mol',
+
+    'thermal.title': 'MODELO TÉRMICO',
+    'thermal.hint': '- Gas y envoltura',
+    'thermal.inertia': 'Inercia térmica',
+    'thermal.infrared': 'Radiación IR',
+    'thermal.day': '☀ DÍA',
+    'thermal.day.title': 'Calentamiento solar activo',
+    'thermal.night': '☾ NOCHE',
+    'thermal.night.title': 'Sin radiación solar',
+
+    'wind.title': 'VIENTO',
+    'wind.hint': '- Perfil según la altitud',
+    'wind.select.title': 'Velocidad y dirección del viento con la altitud',
+    'wind.profile.CALM': 'Calma',
+    'wind.profile.JET_STREAM': 'Corriente en chorro',
+    'wind.profile.CUSTOM': 'Personalizado (tabla)',
+    'wind.altitude': 'Altitud (km)',
+    'wind.speed': 'Velocidad (m/s)',
+    'wind.direction': 'Desde (°)',
+    'wind.addRow': '+ FILA',
+    'wind.addRow.title': 'Añade una altitud a la tabla',
+    'wind.error.emptyTable': 'El perfil de viento necesita al menos una fila',
+    'wind.error.negativeAltitude': 'La altitud no puede ser negativa',
+    'wind.error.negativeSpeed': 'La velocidad del viento no puede ser negativa',
+
+    'descent.title': 'PARACAÍDAS',
+    'descent.hint': '- Descenso tras la explosión',
+    'descent.area': 'Área (m²)',
+    'descent.area.title': 'Área de referencia del paracaídas',
+    'descent.cd': 'Coeficiente Cd',
+    'descent.cd.title': 'Coeficiente de arrastre del paracaídas',
+    'descent.fragments': 'Restos de látex (%)',
+    'descent.fragments.title': 'Parte del globo que sigue atada a la carga',
+
+    'telemetry.title': 'TELEMETRÍA',
+    'telemetry.hint': '- Frecuencia de muestreo',
+    'telemetry.rate.title': 'Frecuencia de grabación de la telemetría',
+    'telemetry.everyFrame': 'Cada frame',
+    'telemetry.csv.title': 'Descarga la telemetría en CSV',
+    'telemetry.json.title': 'Descarga la telemetría en JSON',
+    'telemetry.fileName': 'telemetria_mision',
+
+    // Mission replay
+    'replay.title': 'REPETICIÓN',
+    'replay.hint': '- Vuelo grabado, sin recalcular la física',
+    'replay.view': '⟲ VER REPETICIÓN',
+    'replay.exit': '✕ SALIR DE LA REPETICIÓN',
+    'replay.button.title': 'Reproduce el último vuelo',
+    'replay.timeline.title': 'Línea de tiempo del vuelo',
+    'replay.back.title': 'Fotograma anterior',
+    'replay.play.title': 'Reproducir / pausar',
+    'replay.forward.title': 'Fotograma siguiente',
+    'replay.speed.title': 'Segundos de vuelo por segundo de repetición',
+    'replay.events.title': 'Lanzamiento, cambios de capa, explosión y aterrizaje',
+    'replay.jumpTo': 'Saltar a…',
+    'replay.pauseOnEvents': 'Pausar en cada evento',
+    'replay.event.LAUNCH': 'Lanzamiento',
+    'replay.event.BURST': 'Explosión',
+    'replay.event.LANDING': 'Aterrizaje',
+    'replay.event.LAYER': '{arrow} {layer} ({altitude} km)',
+
+    // ISA layers (physics.js)
+    'layer.TROPOSPHERE': 'Troposfera',
+    'layer.TROPOPAUSE': 'Tropopausa',
+    'layer.STRATOSPHERE_1': 'Estratosfera 1',
+    'layer.STRATOSPHERE_2': 'Estratosfera 2',
+    'layer.STRATOPAUSE': 'Estratopausa',
+    'layer.MESOSPHERE_1': 'Mesosfera 1',
+    'layer.MESOSPHERE_2': 'Mesosfera 2',
+    'layer.MESOPAUSE': 'Mesopausa',
+
+    // Latex envelope
+    'envelope.title': 'ENVOLTURA DE LÁTEX',
+    'envelope.hint': '- Membrana Mooney-Rivlin',
+    'envelope.unstretchedRadius': 'Radio sin estirar (m)',
+    'envelope.unstretchedRadius.title': 'Radio del globo sin estirar (r₀)',
+    'envelope.thickness': 'Espesor (mm)',
+    'envelope.thickness.title': 'Espesor de la pared sin estirar (t₀)',
+    'envelope.modulus': 'Módulo μ (MPa)',
+    'envelope.modulus.title': 'Módulo de cizalla del látex',
+    'envelope.criticalStretch': 'Estiramiento crítico λ',
+    'envelope.criticalStretch.title': 'Relación r/r₀ a la que se rompe el látex',
+    'envelope.burstStress': 'Tensión de rotura (MPa)',
+    'envelope.burstStress.title': 'Tensión real de la pared a la que se rompe',
+    'envelope.radiusRatio': 'r / r máx = {percent} %',
+
+    // Formula
+    'formula.title': '⚗️ FÓRMULA APLICADA',
+    'formula.eos.IDEAL': 'Gas ideal',
+    'formula.eos.VDW': 'Van der Waals',
+    'formula.absoluteTemperature': 'T absoluta: {display} = {kelvin} K',
+    'formula.adiabaticVsIsothermal': 'Volumen adiabático {adiabatic} frente a {isothermal} en la isoterma de Boyle a la misma presión',
+
+    // Live charts
+    'chart.title': '📈 GRÁFICAS EN VIVO',
+    'chart.legend.current': '— Actual',
+    'chart.legend.theory': '- - Teórica',
+    'chart.legend.history': '— Anteriores',
+    'chart.clear': 'BORRAR TRAZAS',
+    'chart.clear.title': 'Borra la traza actual y las anteriores',
+    'chart.pv': 'P–V (T constante)',
+    'chart.vt': 'V–T (P constante)',
+    'chart.pt': 'P–T (V constante)',
+    'chart.vn': 'V–n (P y T constantes)',
+    'chart.vtp': 'V – T/P (n constante)',
+    'chart.ptPath': 'Trayectoria P–T',
+    'chart.pvAdiabatic': 'P–V adiabática (PV^γ constante)',
+    'chart.tpAdiabatic': 'T–P adiabática',
+    'chart.isotherm': 'Isoterma (Boyle)',
+    'chart.pvCycle': 'Ciclo P–V (área = trabajo neto)',
+    'chart.tvCycle': 'Ciclo T–V',
+    'chart.altitude': 'Altitud – tiempo',
+    'chart.velocity': 'Velocidad – tiempo',
+    'chart.radius': 'Radio – tiempo',
+    'chart.noData': 'Sin datos',
+
+    // Readouts
+    'readout.title': 'TELEMETRÍA EN TIEMPO REAL',
+    'readout.altitude': 'ALTITUD',
+    'readout.volume': 'VOLUMEN',
+    'readout.radius': 'RADIO',
+    'readout.velocity': 'VELOCIDAD',
+    'readout.wind': 'VIENTO',
+    'readout.drift': 'DERIVA',
+    'readout.gasTemperature': 'T GAS (INTERNA)',
+    'readout.airTemperature': 'T AIRE (EXTERNA)',
+    'readout.terminalVelocity': 'V TERMINAL',
+    'readout.gravity': 'GRAVEDAD g(h)',
+    'readout.reynolds': 'REYNOLDS (Re)',
+    'readout.dragCoefficient': 'COEF. ARRASTRE (Cd)',
+    'readout.integrity': 'INTEGRIDAD ESTRUCTURAL (Tensión)',
+    'readout.ballast': 'LASTRE RESTANTE',
+    'readout.gas': 'GAS RESTANTE',
+    'readout.landing': 'ATERRIZAJE PREVISTO',
+    'readout.kinetic': 'PRESIÓN MEDIDA (CHOQUES CON LA PARED)',
+    'kinetic.measuring': 'Midiendo…',
+    'kinetic.pressure': 'P medida = {measured} · nRT/V = {ideal}',
+    'kinetic.collisions': '{count} choques · {rate} millones/s (tiempo real)',
+    'landing.predicted': 'Previsto: {distance} km · rumbo {bearing}° · descenso {time} min',
+    'landing.actual': 'Real: {distance} km · descenso {time} min · impacto {velocity} m/s',
+
+    // Console
+    'log.initialized': 'Simulación inicializada. Moles: {moles}',
+    'log.scenarioLoaded': 'Escenario cargado: {name}',
+    'log.lessonStarted': 'Lección iniciada: {title}',
+    'log.lessonFinished': 'Lección completada: {correct}/{total} predicciones correctas',
+    'log.challengeStarted': 'Reto en curso: {name}',
+    'log.challengeResult': 'Reto {name}: {status}, {score}',
+    'log.ballastDropped': 'Lastre soltado: {mass} kg a {altitude} m',
+    'log.valveOpened': 'Válvula abierta a {altitude} m',
+    'log.valveClosed': 'Válvula cerrada a {altitude} m',
+    'log.replay': 'Repetición: {frames} fotogramas, {duration} de vuelo',
+    'log.replayPaused': 'Repetición en pausa: {event} a {time}',
+    'log.direction': 'Dirección seleccionada: {direction}',
+    'log.eduStart': 'Iniciando simulación en modo {mode} con dirección: {direction}',
+    'log.pressureTarget': 'Presión: {from} → {to}',
+    'log.temperatureTarget': 'Temperatura: {from} → {to}',
+    'log.temperatureTargetConstantVolume': 'Temperatura: {from} → {to} (Volumen constante)',
+    'log.animationDone': 'Animación completada. Valor final: {value}',
+    'log.molesTarget': 'Cantidad de gas: {from} → {to} mol',
+    'log.pathTarget': 'Trayectoria P–T de {points} puntos',
+    'log.pathDone': 'Trayectoria completada: P = {pressure} Pa, T = {temperature} K',
+    'log.cyclePreset': 'Ciclo de ejemplo: {name}',
+    'log.cycleStart': 'Ciclo termodinámico de {steps} procesos',
+    'log.cycleStep': 'Proceso {step} ({process}) completado: W = {work} kJ, Q = {heat} kJ',
+    'log.cycleDone': 'Ciclo completado: trabajo neto {work} kJ, rendimiento {efficiency} %',
+    'log.burstMission': '¡EXPLOSIÓN a {altitude} m! Descenso en paracaídas...',
+    'log.predictedLanding': 'Aterrizaje previsto a {distance} km, rumbo {bearing}°',
+    'log.burst': '¡EXPLOSIÓN! Resetando en 3 segundos...',
+    'log.restarted': 'Simulación reiniciada',
+    'log.landing': 'Aterrizaje: descenso de {time} min, impacto a {velocity} m/s, {distance} km del lanzamiento',
+    'warn.customGasesLoad': 'No se pudieron cargar los gases personalizados:',
+    'warn.scenariosLoad': 'No se pudieron cargar los escenarios guardados:',
+    'warn.savedScenarioInvalid': 'Escenario guardado no válido ({name}):',
+    'warn.lessonsLoad': 'No se pudieron cargar las lecciones importadas:',
+    'warn.savedLessonInvalid': 'Lección importada no válida ({id}):',
+    'warn.leaderboardLoad': 'No se pudo cargar la clasificación de los retos:',
+    'warn.unitsLoad': 'No se pudieron cargar las unidades guardadas:',
+    'warn.languageLoad': 'No se pudo cargar el idioma guardado:'
+};
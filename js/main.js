@@ -1,16 +1,149 @@
 // main.js
-import { SimulationState, resetMissionState } from './state.js';
-import { simulationLoop, calculateMoles } from './physics.js';
+import { SimulationState, SimulationStore, STATE_EVENTS, GAS_PROPERTIES, resetMissionState } from './state.js';
+import {
+    simulationLoop, fillBalloon, calculateVolume, getEosConstants, getGasState, getGasGamma, compressibilityFactor, descentMass,
+    parachuteTerminalVelocity
+} from './physics.js';
 import { SceneManager } from './scene.js';
+import { TelemetryRecorder, telemetrySample } from './telemetry.js';
+import { FlightRecorder, captureFrame, applyFrame } from './replay.js';
+import { getUnit, formatValue, formatAmount, formatQuantity, formatDerived, fromDisplay, loadUnits, saveUnits } from './units.js';
+import { t, formatNumber, formatPrecision, getLanguage, setLanguage, loadLanguage, saveLanguage, translatePage, LANGUAGES } from './i18n.js';
+import { ChartPanel, CHART_DEFINITIONS } from './charts.js';
+import {
+    addCustomGas, addMixture, removeCustomGas, getCustomGasIds, loadCustomGases, saveCustomGases, getGasName, getGasSymbol
+} from './gases.js';
+import { getWind, getWindTable, normalizeWindTable } from './wind.js';
+import { dropBallast, pilotBudget } from './pilot.js';
+import {
+    BUILTIN_SCENARIOS, getBuiltinScenario, normalizeScenario, scenarioToJSON, scenarioFromJSON, scenarioUrl, scenarioFromUrl,
+    loadSavedScenarios, saveScenario, deleteSavedScenario, normalizeCombinedPath, captureMissionSettings
+} from './scenarios.js';
+import {
+    BUILTIN_LESSONS, LessonRunner, getBuiltinLesson, lessonScenario, lessonToJSON, lessonFromJSON, loadSavedLessons, saveLesson,
+    deleteSavedLesson, localize, describeObjective, pathQuantity, formatPathValue, predictionFromDisplay
+} from './lessons.js';
+import {
+    CHALLENGES, ChallengeTracker, getChallenge, challengeScenario, checkConstraints, captureMissionConfig, verifyRunInChunks,
+    loadLeaderboard, submitRun
+} from './challenges.js';
+import { PROCESSES, CycleRunner, normalizeCycle, buildPresetCycle, idealState, cycleStates, isSameState } from './cycles.js';
+import { ease } from './easing.js';
 
 // --- Initialization ---
 const sceneManager = new SceneManager('canvas-container');
 let lastTime = performance.now();
 
+// Longest frame time fed to the simulation (e.g. after switching browser tabs).
+// The physics itself runs on the fixed step in SimulationState.physics.
+const MAX_FRAME_TIME = 0.25;
+
+const chartPanel = new ChartPanel('chart-container');
+
+// Flight telemetry (kept after burst/reset until the next launch)
+const telemetry = new TelemetryRecorder();
+
+// Flight recording for the replay (also kept until the next launch)
+const flightRecorder = new FlightRecorder();
+const replay = {
+    playing: false,
+    speed: 60,   // Seconds of flight per second of replay
+    time: 0,     // Flight time shown (s)
+    saved: null  // State before entering the replay, restored on exit
+};
+
+// Guided lesson in progress (lessons.js), null when there is none
+let lessonRunner = null;
+let unsubscribeLesson = null;
+
+// Last molecular view measurement written to the readout
+let shownMeasurement = null;
+
+// Thermodynamic cycle of the last run (cycles.js): kept after the run for its results
+let cycleRunner = null;
+
+// Mission challenge (challenges.js): the one activated, and the scored flight in progress
+const challenge = {
+    active: null,  // Challenge definition, the next launch is scored
+    run: null,     // { challengeId, config, actions } of the flight in progress
+    tracker: null,    // ChallengeTracker of that flight
+    cancelReplay: null // Cancels the leaderboard run being simulated for the replay
+};
+
 // --- UI Elements ---
 const ui = {
     modeBtns: document.querySelectorAll('.mode-btn'),
     gasSelect: document.getElementById('gas-select'),
+    atmosphereSelect: document.getElementById('atmosphere-select'),
+    eosSelect: document.getElementById('eos-select'),
+
+    // Gas editor
+    gasName: document.getElementById('gas-name'),
+    gasMolarMass: document.getElementById('gas-molar-mass'),
+    gasGamma: document.getElementById('gas-gamma'),
+    gasVdwA: document.getElementById('gas-vdw-a'),
+    gasVdwB: document.getElementById('gas-vdw-b'),
+    btnAddGas: document.getElementById('btn-add-gas'),
+    mixtureName: document.getElementById('mixture-name'),
+    mixtureComponents: document.getElementById('mixture-components'),
+    btnAddComponent: document.getElementById('btn-add-component'),
+    btnAddMixture: document.getElementById('btn-add-mixture'),
+    gasEditorMessage: document.getElementById('gas-editor-message'),
+    customGasList: document.getElementById('custom-gas-list'),
+
+    // Scenarios
+    scenarioSelect: document.getElementById('scenario-select'),
+    scenarioDescription: document.getElementById('scenario-description'),
+    scenarioName: document.getElementById('scenario-name'),
+    scenarioFile: document.getElementById('scenario-file'),
+    scenarioMessage: document.getElementById('scenario-message'),
+    btnLoadScenario: document.getElementById('btn-load-scenario'),
+    btnDeleteScenario: document.getElementById('btn-delete-scenario'),
+    btnSaveScenario: document.getElementById('btn-save-scenario'),
+    btnShareScenario: document.getElementById('btn-share-scenario'),
+    btnExportScenario: document.getElementById('btn-export-scenario'),
+    btnImportScenario: document.getElementById('btn-import-scenario'),
+
+    // Guided lessons
+    lessonLibrary: document.getElementById('lesson-library'),
+    lessonSelect: document.getElementById('lesson-select'),
+    lessonDescription: document.getElementById('lesson-description'),
+    lessonFile: document.getElementById('lesson-file'),
+    lessonMessage: document.getElementById('lesson-message'),
+    btnStartLesson: document.getElementById('btn-start-lesson'),
+    btnDeleteLesson: document.getElementById('btn-delete-lesson'),
+    btnExportLesson: document.getElementById('btn-export-lesson'),
+    btnImportLesson: document.getElementById('btn-import-lesson'),
+    lessonRunner: document.getElementById('lesson-runner'),
+    lessonProgress: document.getElementById('lesson-progress'),
+    lessonStepText: document.getElementById('lesson-step-text'),
+    lessonObjectives: document.getElementById('lesson-objectives'),
+    lessonQuiz: document.getElementById('lesson-quiz'),
+    lessonQuizQuestion: document.getElementById('lesson-quiz-question'),
+    lessonPrediction: document.getElementById('lesson-prediction'),
+    lessonQuizUnit: document.getElementById('lesson-quiz-unit'),
+    lessonQuizResult: document.getElementById('lesson-quiz-result'),
+    lessonHints: document.getElementById('lesson-hints'),
+    btnCheckPrediction: document.getElementById('btn-check-prediction'),
+    btnLessonHint: document.getElementById('btn-lesson-hint'),
+    btnLessonNext: document.getElementById('btn-lesson-next'),
+    btnStopLesson: document.getElementById('btn-stop-lesson'),
+
+    // Mission challenges
+    challengeSelect: document.getElementById('challenge-select'),
+    challengeDescription: document.getElementById('challenge-description'),
+    challengeConstraints: document.getElementById('challenge-constraints'),
+    challengePlayer: document.getElementById('challenge-player'),
+    challengeStatus: document.getElementById('challenge-status'),
+    challengeLeaderboard: document.getElementById('challenge-leaderboard'),
+    challengeMessage: document.getElementById('challenge-message'),
+    btnActivateChallenge: document.getElementById('btn-activate-challenge'),
+    btnDeactivateChallenge: document.getElementById('btn-deactivate-challenge'),
+
+    // Language and display units
+    languageSelect: document.getElementById('language-select'),
+    unitSelects: document.querySelectorAll('.unit-select'),
+    unitLabels: document.querySelectorAll('[data-unit]'),
 
     // Controls - Sliders
     sliderPressure: document.getElementById('slider-pressure'),
@@ -28,16 +161,70 @@ const ui = {
     ctrlVolumeFixed: document.getElementById('ctrl-volume-fixed'),
     valVolumeFixed: document.getElementById('val-volume-fixed'),
 
+    ctrlGammaFixed: document.getElementById('ctrl-gamma-fixed'),
+    valGammaFixed: document.getElementById('val-gamma-fixed'),
+
+    sliderMoles: document.getElementById('slider-moles'),
+    inputMoles: document.getElementById('input-moles'),
+    ctrlMoles: document.getElementById('ctrl-moles'),
+
+    ctrlCombinedPath: document.getElementById('ctrl-combined-path'),
+    pathRows: document.getElementById('path-rows'),
+    btnAddPathPoint: document.getElementById('btn-add-path-point'),
+    pathMessage: document.getElementById('path-message'),
+
+    ctrlCycle: document.getElementById('ctrl-cycle'),
+    cyclePresetBtns: document.querySelectorAll('[data-cycle-preset]'),
+    cycleRows: document.getElementById('cycle-rows'),
+    btnAddCycleStep: document.getElementById('btn-add-cycle-step'),
+    cycleMessage: document.getElementById('cycle-message'),
+    cycleResults: document.getElementById('cycle-results'),
+    cycleSummary: document.getElementById('cycle-summary'),
+
     educationalControls: document.getElementById('educational-controls'),
+    eduDirection: document.getElementById('edu-direction'),
+    animationDuration: document.getElementById('animation-duration'),
+    animationEasing: document.getElementById('animation-easing'),
     btnIncrease: document.getElementById('btn-increase'),
     btnDecrease: document.getElementById('btn-decrease'),
     btnStartEdu: document.getElementById('btn-start-edu'),
     btnStopEdu: document.getElementById('btn-stop-edu'),
 
     missionControls: document.getElementById('mission-controls'),
+    integratorSelect: document.getElementById('integrator-select'),
+    moleculesEnabled: document.getElementById('molecules-enabled'),
+    thermalEnabled: document.getElementById('thermal-enabled'),
+    thermalInfrared: document.getElementById('thermal-infrared'),
+    btnDay: document.getElementById('btn-day'),
+    btnNight: document.getElementById('btn-night'),
+    pilotInputs: document.querySelectorAll('.pilot-input'),
+    btnDropBallast: document.getElementById('btn-drop-ballast'),
+    btnVent: document.getElementById('btn-vent'),
+    windSelect: document.getElementById('wind-select'),
+    windTableEditor: document.getElementById('wind-table-editor'),
+    windRows: document.getElementById('wind-rows'),
+    btnAddWindRow: document.getElementById('btn-add-wind-row'),
+    windTableMessage: document.getElementById('wind-table-message'),
     btnLaunch: document.getElementById('btn-launch'),
     btnReset: document.getElementById('btn-reset'),
-
+    telemetryRate: document.getElementById('telemetry-rate'),
+    btnExportCsv: document.getElementById('btn-export-csv'),
+    btnExportJson: document.getElementById('btn-export-json'),
+    btnReplay: document.getElementById('btn-replay'),
+    replayPanel: document.getElementById('replay-panel'),
+    replayTimeline: document.getElementById('replay-timeline'),
+    replayTime: document.getElementById('replay-time'),
+    btnReplayBack: document.getElementById('btn-replay-back'),
+    btnReplayPlay: document.getElementById('btn-replay-play'),
+    btnReplayForward: document.getElementById('btn-replay-forward'),
+    replaySpeed: document.getElementById('replay-speed'),
+    replayEvents: document.getElementById('replay-events'),
+    replayPauseEvents: document.getElementById('replay-pause-events'),
+
+    ctrlEnvelope: document.getElementById('ctrl-envelope'),
+    envelopeInputs: document.querySelectorAll('.envelope-input'),
+    descentInputs: document.querySelectorAll('.descent-input'),
+    ctrlMaxRadius: document.getElementById('ctrl-max-radius'),
     sliderMaxRadius: document.getElementById('slider-max-radius'),
     inputMaxRadius: document.getElementById('input-max-radius'),
 
@@ -52,8 +239,30 @@ const ui = {
     dispVol: document.getElementById('disp-volume'),
     dispRad: document.getElementById('disp-radius'),
     dispVel: document.getElementById('disp-velocity'),
+    dispWind: document.getElementById('disp-wind'),
+    dispDrift: document.getElementById('disp-drift'),
+    dispGasTemp: document.getElementById('disp-gas-temperature'),
+    dispAirTemp: document.getElementById('disp-air-temperature'),
+    dispTerminalVel: document.getElementById('disp-terminal-velocity'),
+    dispGravity: document.getElementById('disp-gravity'),
+    dispReynolds: document.getElementById('disp-reynolds'),
+    dispDragCoefficient: document.getElementById('disp-drag-coefficient'),
     dangerBar: document.getElementById('danger-bar'),
+    dispEnvelope: document.getElementById('disp-envelope'),
+    pilotBudget: document.getElementById('pilot-budget'),
+    ballastBar: document.getElementById('ballast-bar'),
+    dispBallast: document.getElementById('disp-ballast'),
+    gasBar: document.getElementById('gas-bar'),
+    dispGasBudget: document.getElementById('disp-gas-budget'),
+    kineticReadout: document.getElementById('kinetic-readout'),
+    dispKineticPressure: document.getElementById('disp-kinetic-pressure'),
+    dispKineticCollisions: document.getElementById('disp-kinetic-collisions'),
+    landingPrediction: document.getElementById('landing-prediction'),
+    dispLanding: document.getElementById('disp-landing'),
+    dispTouchdown: document.getElementById('disp-touchdown'),
     formulaDisplay: document.getElementById('formula-display'),
+    chartPanel: document.getElementById('chart-panel'),
+    btnClearCharts: document.getElementById('btn-clear-charts'),
 
     status: document.getElementById('connection-status')
 };
@@ -61,24 +270,1229 @@ const ui = {
 // --- Helper Functions ---
 
 function recalculateMoles() {
-    // Calculate moles based on current initial radius setting at standard conditions (or current P/T)
-    // We use standard conditions (1 atm, 20°C) as the "filling" state reference
-    const initialRadius = parseFloat(ui.sliderInitialRadius.value);
-    const initialVolume = (4 / 3) * Math.PI * Math.pow(initialRadius, 3);
-    // Using standard pressure/temp for the "filling station" reference point
-    // Or we could use the current slider values if we assume we fill it *now*
+    // Calculate moles based on current initial radius setting at the current P/T
     // Let's stick to the current slider values to be more intuitive: "Fill it HERE and NOW"
+    const initialRadius = parseFloat(ui.sliderInitialRadius.value);
     const P = parseFloat(ui.sliderPressure.value);
     const T = parseFloat(ui.sliderTemp.value);
 
-    SimulationState.balloon.moles = calculateMoles(P, initialVolume, T);
-    SimulationState.balloon.volume = initialVolume;
-    SimulationState.balloon.radius = initialRadius;
+    // The latex envelope only exists in MISSION mode
+    const envelope = SimulationState.mode === 'MISSION' ? SimulationState.envelope : null;
+
+    fillBalloon(SimulationState.balloon, initialRadius, P, T, getEosConstants(SimulationState), envelope);
+}
+
+function gasLabel(id) {
+    return `${getGasName(id)} (${getGasSymbol(id)}) - ${formatNumber(GAS_PROPERTIES[id].molarMass * 1000, 2)} g/mol`;
+}
+
+function fillGasOptions(select, labelFn) {
+    // Rebuild a dropdown from GAS_PROPERTIES (built-in + custom gases), keeping the selection if it still exists
+    const previous = select.value;
+    select.innerHTML = '';
+    Object.keys(GAS_PROPERTIES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = labelFn(id);
+        select.appendChild(option);
+    });
+    select.value = GAS_PROPERTIES[previous] ? previous : 'HE';
+}
+
+function populateGasSelect() {
+    if (!GAS_PROPERTIES[SimulationState.balloon.gasType]) {
+        SimulationState.balloon.gasType = 'HE';
+    }
+    fillGasOptions(ui.gasSelect, gasLabel);
+    ui.gasSelect.value = SimulationState.balloon.gasType;
+}
+
+function addMixtureRow(gasType = 'HE', percent = 50) {
+    const row = document.createElement('div');
+    row.className = 'mixture-row';
+
+    const select = document.createElement('select');
+    fillGasOptions(select, getGasName);
+    select.value = gasType;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'value-input';
+    input.min = '0';
+    input.max = '100';
+    input.step = '1';
+    input.value = percent;
+
+    row.append(select, input);
+    ui.mixtureComponents.appendChild(row);
+}
+
+function renderCustomGasList() {
+    ui.customGasList.innerHTML = '';
+    getCustomGasIds().forEach(id => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = gasLabel(id);
+
+        const btnRemove = document.createElement('button');
+        btnRemove.textContent = '✕';
+        btnRemove.title = t('common.remove');
+        btnRemove.addEventListener('click', () => {
+            const selected = SimulationState.balloon.gasType === id;
+            removeCustomGas(id);
+            saveCustomGases();
+            refreshGasLists(); // Falls back to helium if the removed gas was in use
+            if (selected && !SimulationState.isRunning && !SimulationState.animation.active) recalculateMoles();
+        });
+
+        item.append(label, btnRemove);
+        ui.customGasList.appendChild(item);
+    });
+}
+
+function refreshGasLists() {
+    populateGasSelect();
+    renderCustomGasList();
+    ui.mixtureComponents.querySelectorAll('select').forEach(select => {
+        fillGasOptions(select, getGasName);
+    });
+}
+
+function showGasEditorMessage(text, isError = false) {
+    ui.gasEditorMessage.textContent = text;
+    ui.gasEditorMessage.style.color = isError ? 'var(--color-danger)' : 'var(--color-primary)';
+}
+
+function addWindRow(row = { altitude: 0, speed: 0, direction: 270 }) {
+    const element = document.createElement('div');
+    element.className = 'wind-row';
+
+    // Altitude is edited in km, stored in m
+    const fields = [
+        { key: 'altitude', value: row.altitude / 1000, min: 0, max: 50, step: 0.5 },
+        { key: 'speed', value: row.speed, min: 0, max: 100, step: 1 },
+        { key: 'direction', value: row.direction, min: 0, max: 359, step: 5 }
+    ];
+    fields.forEach(field => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'value-input';
+        input.dataset.wind = field.key;
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+        input.value = field.value;
+        input.addEventListener('change', applyWindTable);
+        element.appendChild(input);
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '✕';
+    btnRemove.title = t('common.remove');
+    btnRemove.addEventListener('click', () => {
+        element.remove();
+        applyWindTable();
+    });
+    element.appendChild(btnRemove);
+
+    ui.windRows.appendChild(element);
+}
+
+function renderWindTable() {
+    ui.windRows.innerHTML = '';
+    SimulationState.wind.table.forEach(row => addWindRow(row));
+}
+
+function applyWindTable() {
+    const rows = Array.from(ui.windRows.querySelectorAll('.wind-row')).map(row => ({
+        altitude: parseFloat(row.querySelector('[data-wind="altitude"]').value) * 1000,
+        speed: parseFloat(row.querySelector('[data-wind="speed"]').value),
+        direction: parseFloat(row.querySelector('[data-wind="direction"]').value)
+    }));
+
+    try {
+        SimulationState.wind.table = normalizeWindTable(rows);
+        ui.windTableMessage.textContent = '';
+    } catch (e) {
+        ui.windTableMessage.textContent = e.message;
+        ui.windTableMessage.style.color = 'var(--color-danger)';
+    }
+}
+
+// Combined law path editor: P and T are edited in the display units, stored in Pa and K
+function addPathRow(point) {
+    const s = SimulationState;
+    const element = document.createElement('div');
+    element.className = 'path-row';
+
+    ['pressure', 'temperature'].forEach(quantity => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'value-input';
+        input.dataset.path = quantity;
+        input.step = getUnit(s.units, quantity).step;
+        input.value = formatValue(s.units, quantity, point[quantity]);
+        input.addEventListener('change', applyCombinedPath);
+        element.appendChild(input);
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '✕';
+    btnRemove.title = t('common.remove');
+    btnRemove.addEventListener('click', () => {
+        element.remove();
+        applyCombinedPath();
+    });
+    element.appendChild(btnRemove);
+
+    ui.pathRows.appendChild(element);
+}
+
+function renderCombinedPath() {
+    ui.pathRows.innerHTML = '';
+    SimulationState.animation.path.forEach(point => addPathRow(point));
+}
+
+function applyCombinedPath() {
+    const s = SimulationState;
+    const points = Array.from(ui.pathRows.querySelectorAll('.path-row')).map(row => ({
+        pressure: fromDisplay(s.units, 'pressure', parseFloat(row.querySelector('[data-path="pressure"]').value)),
+        temperature: fromDisplay(s.units, 'temperature', parseFloat(row.querySelector('[data-path="temperature"]').value))
+    }));
+
+    try {
+        s.animation.path = normalizeCombinedPath(points);
+        ui.pathMessage.textContent = '';
+    } catch (e) {
+        ui.pathMessage.textContent = e.message;
+        ui.pathMessage.style.color = 'var(--color-danger)';
+    }
+}
+
+// Thermodynamic cycle: the current P and T are its first corner. The processes are
+// those of an ideal gas, so cycles only run with that equation of state
+function cycleStart() {
+    const s = SimulationState;
+    return idealState(s.balloon.moles, s.env.pressure, s.env.temperature);
+}
+
+// Current value of a quantity a cycle step can end at (SI units)
+function currentCycleValue(quantity) {
+    const s = SimulationState;
+    if (quantity === 'volume') return s.balloon.volume;
+    return quantity === 'pressure' ? s.env.pressure : s.env.temperature;
+}
+
+// Cycle editor: each step is a process and the value it ends at, edited in the
+// display unit of that quantity and stored in SI units
+function addCycleRow(step) {
+    const s = SimulationState;
+    const element = document.createElement('div');
+    element.className = 'cycle-row';
+
+    const processSelect = document.createElement('select');
+    processSelect.dataset.cycle = 'process';
+    Object.keys(PROCESSES).forEach(id => processSelect.add(new Option(t(`cycle.process.${id}`), id)));
+    processSelect.value = step.process;
+
+    const targetSelect = document.createElement('select');
+    targetSelect.dataset.cycle = 'target';
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'number';
+    valueInput.className = 'value-input';
+    valueInput.dataset.cycle = 'value';
+
+    // Quantities the process can end at, and the value in the unit of the chosen one
+    const fillTarget = (target, value) => {
+        targetSelect.innerHTML = '';
+        PROCESSES[processSelect.value].targets.forEach(quantity => {
+            targetSelect.add(new Option(`${t(`units.${quantity}`)} (${getUnit(s.units, quantity).symbol})`, quantity));
+        });
+        targetSelect.value = target;
+        valueInput.step = getUnit(s.units, target).step;
+        valueInput.value = formatValue(s.units, target, value);
+    };
+    fillTarget(step.target, step.value);
+
+    processSelect.addEventListener('change', () => {
+        // Keep the value when the new process can end at the same quantity
+        const previous = targetSelect.value;
+        const targets = PROCESSES[processSelect.value].targets;
+        if (targets.includes(previous)) {
+            fillTarget(previous, fromDisplay(s.units, previous, parseFloat(valueInput.value)));
+        } else {
+            fillTarget(targets[0], currentCycleValue(targets[0]));
+        }
+        applyCycleSteps();
+    });
+    targetSelect.addEventListener('change', () => {
+        fillTarget(targetSelect.value, currentCycleValue(targetSelect.value));
+        applyCycleSteps();
+    });
+    valueInput.addEventListener('change', applyCycleSteps);
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '✕';
+    btnRemove.title = t('common.remove');
+    btnRemove.addEventListener('click', () => {
+        element.remove();
+        applyCycleSteps();
+    });
+
+    element.append(processSelect, targetSelect, valueInput, btnRemove);
+    ui.cycleRows.appendChild(element);
+}
+
+function renderCycleSteps() {
+    ui.cycleRows.innerHTML = '';
+    SimulationState.animation.cycle.forEach(step => addCycleRow(step));
+    checkCycle();
+}
+
+function applyCycleSteps() {
+    const s = SimulationState;
+    const steps = Array.from(ui.cycleRows.querySelectorAll('.cycle-row')).map(row => {
+        const target = row.querySelector('[data-cycle="target"]').value;
+        return {
+            process: row.querySelector('[data-cycle="process"]').value,
+            target,
+            value: fromDisplay(s.units, target, parseFloat(row.querySelector('[data-cycle="value"]').value))
+        };
+    });
+
+    try {
+        s.animation.cycle = normalizeCycle(steps);
+        checkCycle();
+    } catch (e) {
+        ui.cycleMessage.textContent = e.message;
+        ui.cycleMessage.style.color = 'var(--color-danger)';
+    }
+}
+
+/**
+ * Tells whether the steps bring the gas back to the current state (a closed cycle)
+ */
+function checkCycle() {
+    const s = SimulationState;
+    const steps = s.animation.cycle;
+    ui.cycleMessage.style.color = '';
+    if (s.eos !== 'IDEAL') {
+        ui.cycleMessage.textContent = t('cycle.idealOnly');
+        ui.cycleMessage.style.color = 'var(--color-danger)';
+        return;
+    }
+    if (steps.length === 0) {
+        ui.cycleMessage.textContent = t('cycle.empty');
+        return;
+    }
+
+    const start = cycleStart();
+    const states = cycleStates(steps, start, s.balloon.moles, getGasGamma());
+    const end = states[states.length - 1];
+    if (isSameState(end, start)) {
+        ui.cycleMessage.textContent = t('cycle.closed', { steps: steps.length });
+    } else {
+        ui.cycleMessage.textContent = t('cycle.open', {
+            pressure: formatQuantity(s.units, 'pressure', end.pressure),
+            volume: formatQuantity(s.units, 'volume', end.volume),
+            temperature: formatQuantity(s.units, 'temperature', end.temperature)
+        });
+        ui.cycleMessage.style.color = 'var(--color-danger)';
+    }
+}
+
+/**
+ * Energy balance of the cycle being run (or the last one): W, Q and ΔU per process,
+ * the totals and the efficiency
+ */
+function renderCycleResults() {
+    ui.cycleResults.innerHTML = '';
+    ui.cycleSummary.innerHTML = '';
+    if (!cycleRunner) return;
+
+    const kJ = value => formatNumber(value / 1000, 1);
+    const addRow = (cells, className = '', tag = 'td') => {
+        const row = ui.cycleResults.insertRow();
+        row.className = className;
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+    };
+
+    addRow(['#', t('cycle.process'), 'W (kJ)', 'Q (kJ)', 'ΔU (kJ)'], '', 'th');
+    const running = SimulationState.animation.active && SimulationState.animation.parameter === 'cycle';
+    cycleRunner.results.forEach((result, i) => {
+        const active = running && i === cycleRunner.index;
+        addRow([i + 1, t(`cycle.process.${cycleRunner.steps[i].process}`), kJ(result.work), kJ(result.heat), kJ(result.deltaU)], active ? 'active' : '');
+    });
+    const totals = cycleRunner.totals;
+    addRow(['', t('cycle.total'), kJ(totals.work), kJ(totals.heat), kJ(totals.deltaU)], 'total');
+
+    const lines = [t('cycle.heat', { heatIn: kJ(totals.heatIn), heatOut: kJ(-totals.heatOut) })];
+    const efficiency = cycleRunner.efficiency;
+    if (efficiency !== null) {
+        lines.push(t('cycle.efficiency', {
+            efficiency: formatNumber(efficiency * 100, 1),
+            carnot: formatNumber(cycleRunner.carnotEfficiency * 100, 1),
+            cold: formatNumber(cycleRunner.temperatureMin, 0),
+            hot: formatNumber(cycleRunner.temperatureMax, 0)
+        }));
+    }
+    if (cycleRunner.finished && !cycleRunner.closed) lines.push(t('cycle.notBack'));
+    ui.cycleSummary.innerHTML = lines.join('<br>');
+}
+
+/**
+ * Thermodynamic cycle, every frame after the physics: the state the gas reached is
+ * added to the energy balance, and the next process starts when this one is over.
+ * The balance table is rebuilt only then (the formula shows the running process live)
+ */
+function updateCycleRun() {
+    const s = SimulationState;
+    cycleRunner.record({ pressure: s.env.pressure, volume: s.balloon.volume, temperature: s.env.temperature });
+
+    if (s.animation.elapsed >= s.animation.duration) {
+        const result = cycleRunner.results[cycleRunner.index];
+        console.log(t('log.cycleStep', {
+            step: cycleRunner.index + 1,
+            process: t(`cycle.process.${cycleRunner.step.process}`),
+            work: formatNumber(result.work / 1000, 1),
+            heat: formatNumber(result.heat / 1000, 1)
+        }));
+
+        if (cycleRunner.next()) {
+            s.animation.elapsed = 0;
+        } else {
+            s.animation.active = false;
+            const efficiency = cycleRunner.efficiency;
+            console.log(t('log.cycleDone', {
+                work: formatNumber(cycleRunner.totals.work / 1000, 1),
+                efficiency: efficiency === null ? '—' : formatNumber(efficiency * 100, 1)
+            }));
+        }
+        renderCycleResults();
+    }
+}
+
+function updateLandingDisplay() {
+    const s = SimulationState;
+    const landing = s.drift.landing;
+    ui.landingPrediction.classList.toggle('hidden', s.mode !== 'MISSION' || !landing);
+    if (!landing) return;
+
+    ui.dispLanding.textContent = t('landing.predicted', {
+        distance: formatNumber(landing.distance / 1000, 1),
+        bearing: formatNumber(landing.bearing, 0),
+        time: formatNumber(landing.descentTime / 60, 0)
+    });
+
+    if (s.flightPhase === 'LANDED') {
+        const distance = Math.hypot(s.drift.x, s.drift.z);
+        ui.dispTouchdown.textContent = t('landing.actual', {
+            distance: formatNumber(distance / 1000, 1),
+            time: formatNumber(s.descent.descentTime / 60, 0),
+            velocity: formatNumber(s.descent.impactVelocity, 1)
+        });
+    } else {
+        ui.dispTouchdown.textContent = '';
+    }
+}
+
+function canPilot() {
+    // Pilot actions only make sense while the balloon is climbing or floating
+    const s = SimulationState;
+    return s.mode === 'MISSION' && s.isRunning && s.flightPhase === 'ASCENT';
+}
+
+function dropBallastStep() {
+    if (!canPilot()) return;
+    const dropped = dropBallast(SimulationState);
+    if (dropped > 0) {
+        logChallengeAction({ type: 'BALLAST' });
+        console.log(t('log.ballastDropped', { mass: formatNumber(dropped, 2), altitude: formatNumber(SimulationState.env.altitude, 0) }));
+    }
+}
+
+function toggleValve() {
+    if (!canPilot()) return;
+    const pilot = SimulationState.pilot;
+    pilot.valveOpen = !pilot.valveOpen;
+    logChallengeAction({ type: 'VALVE', open: pilot.valveOpen });
+    console.log(t(pilot.valveOpen ? 'log.valveOpened' : 'log.valveClosed', { altitude: formatNumber(SimulationState.env.altitude, 0) }));
+}
+
+function updatePilotDisplay() {
+    const s = SimulationState;
+    const pilotEnabled = canPilot();
+    ui.btnDropBallast.disabled = !pilotEnabled || s.pilot.ballast <= 0;
+    ui.btnVent.disabled = !pilotEnabled;
+    ui.btnVent.classList.toggle('active', s.pilot.valveOpen);
+
+    ui.pilotBudget.classList.toggle('hidden', s.mode !== 'MISSION');
+    const budget = pilotBudget(s);
+    ui.ballastBar.style.width = `${budget.ballast * 100}%`;
+    ui.dispBallast.textContent = t('pilot.ballastLeft', { ballast: formatNumber(s.pilot.ballast, 2), dropped: formatNumber(s.pilot.ballastDropped, 2) });
+    ui.gasBar.style.width = `${budget.gas * 100}%`;
+    ui.dispGasBudget.textContent = t('pilot.gasLeft', { moles: formatNumber(s.balloon.moles, 1), vented: formatNumber(s.pilot.gasReleased, 1) });
+}
+
+function showScenarioMessage(text, isError = false) {
+    ui.scenarioMessage.textContent = text;
+    ui.scenarioMessage.style.color = isError ? 'var(--color-danger)' : 'var(--color-primary)';
+}
+
+function renderScenarioList(selected = ui.scenarioSelect.value) {
+    // Classroom library first, then the scenarios saved in this browser
+    ui.scenarioSelect.innerHTML = '';
+    const groups = [
+        { label: t('scenario.group.builtin'), entries: BUILTIN_SCENARIOS.map(sc => [`builtin:${sc.id}`, t(`scenario.${sc.id}.name`)]) },
+        { label: t('scenario.group.saved'), entries: Object.keys(loadSavedScenarios()).map(name => [`saved:${name}`, name]) }
+    ];
+    groups.filter(group => group.entries.length > 0).forEach(group => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
+        group.entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            optgroup.appendChild(option);
+        });
+        ui.scenarioSelect.appendChild(optgroup);
+    });
+    if (selected && ui.scenarioSelect.querySelector(`option[value="${CSS.escape(selected)}"]`)) {
+        ui.scenarioSelect.value = selected;
+    }
+    updateScenarioDescription();
+}
+
+function getSelectedScenario() {
+    const [source, key] = ui.scenarioSelect.value.split(/:(.*)/s);
+    if (source === 'builtin') return getBuiltinScenario(key);
+    if (source === 'saved') return loadSavedScenarios()[key] || null;
+    return null;
+}
+
+function updateScenarioDescription() {
+    const scenario = getSelectedScenario();
+    ui.scenarioDescription.textContent = scenario ? scenario.description : '';
+    ui.btnDeleteScenario.disabled = !ui.scenarioSelect.value.startsWith('saved:');
+}
+
+function showLessonMessage(text, isError = false) {
+    ui.lessonMessage.textContent = text;
+    ui.lessonMessage.style.color = isError ? 'var(--color-danger)' : 'var(--color-primary)';
+}
+
+function renderLessonList(selected = ui.lessonSelect.value) {
+    // Example lessons first, then the ones imported in this browser
+    ui.lessonSelect.innerHTML = '';
+    const groups = [
+        { label: t('lesson.group.builtin'), entries: BUILTIN_LESSONS.map(lesson => [`builtin:${lesson.id}`, localize(lesson.title)]) },
+        { label: t('lesson.group.saved'), entries: Object.values(loadSavedLessons()).map(lesson => [`saved:${lesson.id}`, localize(lesson.title)]) }
+    ];
+    groups.filter(group => group.entries.length > 0).forEach(group => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
+        group.entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            optgroup.appendChild(option);
+        });
+        ui.lessonSelect.appendChild(optgroup);
+    });
+    if (selected && ui.lessonSelect.querySelector(`option[value="${CSS.escape(selected)}"]`)) {
+        ui.lessonSelect.value = selected;
+    }
+    updateLessonDescription();
+}
+
+function getSelectedLesson() {
+    const [source, key] = ui.lessonSelect.value.split(/:(.*)/s);
+    if (source === 'builtin') return getBuiltinLesson(key);
+    if (source === 'saved') return loadSavedLessons()[key] || null;
+    return null;
+}
+
+function updateLessonDescription() {
+    const lesson = getSelectedLesson();
+    ui.lessonDescription.textContent = lesson ? localize(lesson.description) : '';
+    ui.btnDeleteLesson.disabled = !ui.lessonSelect.value.startsWith('saved:');
+}
+
+/**
+ * Shows the lesson in progress: step, objectives (✓ when met), quiz and hints
+ */
+function renderLesson() {
+    const runner = lessonRunner;
+    ui.lessonRunner.classList.toggle('hidden', !runner);
+    ui.lessonLibrary.classList.toggle('hidden', !!runner);
+    if (!runner) return;
+
+    const units = SimulationState.units;
+    const title = localize(runner.lesson.title);
+    ui.lessonObjectives.innerHTML = '';
+    ui.lessonHints.innerHTML = '';
+
+    if (runner.finished) {
+        const { correct, total } = runner.score;
+        ui.lessonProgress.textContent = title;
+        ui.lessonStepText.textContent = total > 0 ? t('lesson.finishedScore', { correct, total }) : t('lesson.finished');
+        ui.lessonQuiz.classList.add('hidden');
+        ui.btnLessonHint.disabled = true;
+        ui.btnLessonNext.disabled = true;
+        return;
+    }
+
+    const step = runner.step;
+    ui.lessonProgress.textContent = t('lesson.progress', { step: runner.stepIndex + 1, total: runner.lesson.steps.length, title });
+    ui.lessonStepText.textContent = localize(step.text);
+
+    const addItem = (list, text, className) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (className) item.className = className;
+        list.appendChild(item);
+    };
+    step.objectives.forEach((objective, i) => {
+        const met = runner.completed || runner.met[i];
+        addItem(ui.lessonObjectives, `${met ? '✓' : '○'} ${describeObjective(objective, units)}`, met ? 'met' : '');
+    });
+    if (step.objectives.length === 0) {
+        addItem(ui.lessonObjectives, t('lesson.noObjectives'));
+    } else if (runner.completed) {
+        addItem(ui.lessonObjectives, t('lesson.stepDone'), 'done');
+    }
+
+    // Prediction quiz: typed in the display unit, compared in SI
+    const quiz = step.quiz;
+    ui.lessonQuiz.classList.toggle('hidden', !quiz);
+    if (quiz) {
+        const quantity = pathQuantity(quiz.path);
+        const result = runner.quizResult;
+        ui.lessonQuizQuestion.textContent = localize(quiz.question);
+        ui.lessonQuizUnit.textContent = quantity ? getUnit(units, quantity).symbol : '';
+        ui.lessonPrediction.disabled = result !== null;
+        ui.btnCheckPrediction.disabled = result !== null;
+
+        let text = '';
+        if (result && result.prediction === null) {
+            text = t('lesson.quizMissed', { actual: formatPathValue(units, quiz.path, result.actual) });
+        } else if (result) {
+            text = t(result.correct ? 'lesson.quizCorrect' : 'lesson.quizWrong', {
+                prediction: formatPathValue(units, quiz.path, result.prediction),
+                actual: formatPathValue(units, quiz.path, result.actual),
+                error: formatNumber(result.error * 100, 1)
+            });
+        } else if (runner.prediction !== null) {
+            text = t('lesson.predictionSaved', { prediction: formatPathValue(units, quiz.path, runner.prediction) });
+        }
+        ui.lessonQuizResult.textContent = text;
+        ui.lessonQuizResult.style.color = result && !result.correct ? 'var(--color-danger)' : 'var(--color-primary)';
+    }
+
+    step.hints.slice(0, runner.hintsShown).forEach(hint => addItem(ui.lessonHints, `💡 ${localize(hint)}`));
+    ui.btnLessonHint.disabled = runner.hintsShown >= step.hints.length;
+    ui.btnLessonNext.disabled = !runner.canAdvance;
+}
+
+/**
+ * Applies the lesson setup and follows the state paths its objectives and quizzes read
+ */
+function startLesson(lesson) {
+    stopLesson();
+    applyScenario(lessonScenario(lesson));
+    // Deliver the setup's own changes and events before the lesson starts watching
+    SimulationStore.flush();
+
+    lessonRunner = new LessonRunner(lesson);
+    lessonRunner.start(SimulationState);
+
+    const paths = new Set(['units', 'language']);
+    lesson.steps.forEach(step => {
+        step.objectives.forEach(objective => { if (objective.path) paths.add(objective.path); });
+        if (step.quiz) paths.add(step.quiz.path);
+    });
+    unsubscribeLesson = SimulationStore.subscribe(Array.from(paths), (changed) => {
+        const updated = lessonRunner.update(SimulationState);
+        if (updated || changed.some(path => path === 'units' || path.startsWith('units.') || path === 'language')) {
+            renderLesson();
+        }
+    });
+
+    ui.lessonPrediction.value = '';
+    renderLesson();
+    showLessonMessage(t('lesson.started', { title: localize(lesson.title) }));
+    console.log(t('log.lessonStarted', { title: localize(lesson.title) }));
+}
+
+function stopLesson() {
+    if (!lessonRunner) return;
+    unsubscribeLesson();
+    unsubscribeLesson = null;
+    lessonRunner = null;
+    renderLesson();
+}
+
+function showChallengeMessage(text, isError = false) {
+    ui.challengeMessage.textContent = text;
+    ui.challengeMessage.style.color = isError ? 'var(--color-danger)' : 'var(--color-primary)';
+}
+
+function renderChallengeList() {
+    const selected = ui.challengeSelect.value;
+    ui.challengeSelect.innerHTML = '';
+    CHALLENGES.forEach(ch => ui.challengeSelect.add(new Option(t(`challenge.${ch.id}.name`), ch.id)));
+    if (getChallenge(selected)) ui.challengeSelect.value = selected;
+    updateChallengeInfo();
+}
+
+function formatChallengeScore(ch, score) {
+    return t(`challenge.score.${ch.goal.type}`, { score: formatNumber(score, 0) });
+}
+
+/**
+ * Description, constraints and leaderboard of the selected challenge
+ */
+function updateChallengeInfo() {
+    const ch = getChallenge(ui.challengeSelect.value);
+    if (!ch) return;
+    const { gases, maxMoles, windProfile } = ch.constraints;
+
+    ui.challengeDescription.textContent = t(`challenge.${ch.id}.description`);
+    ui.challengeConstraints.innerHTML = '';
+    const constraints = [];
+    if (gases) constraints.push(t('challenge.constraint.gases', { gases: gases.map(getGasSymbol).join(', ') }));
+    if (maxMoles !== undefined) constraints.push(t('challenge.constraint.maxMoles', { max: formatNumber(maxMoles, 0) }));
+    if (windProfile) constraints.push(t('challenge.constraint.wind', { profile: t(`wind.profile.${windProfile}`) }));
+    constraints.push(t('challenge.constraint.timeLimit', { minutes: formatNumber(ch.timeLimit / 60, 0) }));
+    constraints.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        ui.challengeConstraints.appendChild(item);
+    });
+
+    // Verified runs, each one can be simulated again and replayed
+    const locale = LANGUAGES[getLanguage()].locale;
+    const board = loadLeaderboard(ch.id);
+    ui.challengeLeaderboard.innerHTML = '';
+    if (board.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'hint';
+        item.textContent = t('challenge.leaderboard.empty');
+        ui.challengeLeaderboard.appendChild(item);
+    }
+    board.forEach(entry => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${entry.name} · ${formatChallengeScore(ch, entry.score)} · ${new Date(entry.date).toLocaleDateString(locale)}`;
+        const button = document.createElement('button');
+        button.className = 'dir-btn';
+        button.textContent = '▶';
+        button.title = t('challenge.replay.title');
+        button.addEventListener('click', () => replayChallengeRun(entry));
+        item.append(label, button);
+        ui.challengeLeaderboard.appendChild(item);
+    });
+}
+
+/**
+ * State of the active challenge: fill against its limit before launch,
+ * progress towards the goal during the scored flight
+ */
+function renderChallengeStatus() {
+    const s = SimulationState;
+    const ch = challenge.active;
+    ui.btnDeactivateChallenge.disabled = !ch;
+    if (!ch) {
+        ui.challengeStatus.textContent = t('challenge.inactive');
+        return;
+    }
+
+    const tracker = challenge.tracker;
+    if (!tracker) {
+        ui.challengeStatus.textContent = t('challenge.armed', {
+            name: t(`challenge.${ch.id}.name`),
+            moles: formatNumber(s.balloon.moles, 1),
+            max: formatNumber(ch.constraints.maxMoles, 0)
+        });
+        return;
+    }
+
+    const goal = ch.goal;
+    const progress = tracker.progress;
+    if (goal.type === 'FLOAT') {
+        ui.challengeStatus.textContent = t('challenge.progress.FLOAT', {
+            altitude: formatQuantity(s.units, 'altitude', progress.altitude),
+            inBand: formatNumber(progress.inBand, 0),
+            duration: formatNumber(goal.duration, 0)
+        });
+    } else if (goal.type === 'PAYLOAD') {
+        ui.challengeStatus.textContent = t('challenge.progress.PAYLOAD', {
+            altitude: formatQuantity(s.units, 'altitude', progress.altitude),
+            target: formatQuantity(s.units, 'altitude', goal.altitude),
+            mass: formatNumber(progress.massPayload, 2)
+        });
+    } else if (goal.type === 'LANDING') {
+        ui.challengeStatus.textContent = t('challenge.progress.LANDING', {
+            distance: progress.distance === null ? '-' : formatNumber(progress.distance / 1000, 1)
+        });
+    }
+}
+
+function activateChallenge() {
+    const ch = getChallenge(ui.challengeSelect.value);
+    if (!ch) return;
+    challenge.active = null; // applyScenario() changes the mode: do not deactivate the new one
+    applyScenario(challengeScenario(ch));
+    challenge.active = ch;
+    challenge.run = null;
+    challenge.tracker = null;
+    renderChallengeStatus();
+    showChallengeMessage(t('challenge.activated', { name: t(`challenge.${ch.id}.name`) }));
+}
+
+function deactivateChallenge() {
+    challenge.active = null;
+    challenge.run = null;
+    challenge.tracker = null;
+    renderChallengeStatus();
+}
+
+/**
+ * Starts the scored flight of the active challenge, if the launch meets its constraints
+ * @returns {boolean} false when the launch must not go ahead
+ */
+function startChallengeRun() {
+    const s = SimulationState;
+    const ch = challenge.active;
+    const problems = checkConstraints(ch, { gasType: s.balloon.gasType, moles: s.balloon.moles, windProfile: s.wind.profile });
+    if (problems.length > 0) {
+        showChallengeMessage(problems.join(' · '), true);
+        return false;
+    }
+
+    challenge.run = {
+        challengeId: ch.id,
+        config: captureMissionConfig(s, {
+            initialRadius: parseFloat(ui.sliderInitialRadius.value),
+            fillPressure: parseFloat(ui.sliderPressure.value),
+            fillTemperature: parseFloat(ui.sliderTemp.value)
+        }),
+        actions: []
+    };
+    challenge.tracker = new ChallengeTracker(ch);
+    showChallengeMessage('');
+    console.log(t('log.challengeStarted', { name: t(`challenge.${ch.id}.name`) }));
+    return true;
+}
+
+// Pilot actions are logged at their physics step, so the verification can replay them
+function logChallengeAction(action) {
+    if (!challenge.run) return;
+    const physics = SimulationState.physics;
+    challenge.run.actions.push({ step: Math.round(physics.time / physics.fixedStep), ...action });
+}
+
+/**
+ * Scores the current frame of the challenge flight (called from animate())
+ */
+function updateChallengeRun() {
+    const s = SimulationState;
+    if (s.replaying) return;
+
+    // Reset, new scenario or another mode: the flight no longer counts
+    // (touchdown stops the flight too, and is scored below)
+    if ((!s.isRunning && s.flightPhase !== 'LANDED') || s.mode !== 'MISSION') {
+        challenge.run = null;
+        challenge.tracker = null;
+        renderChallengeStatus();
+        showChallengeMessage(t('challenge.cancelled'));
+        return;
+    }
+
+    if (challenge.tracker.record(telemetrySample(s), s.flightPhase)) {
+        finishChallengeRun();
+    } else {
+        renderChallengeStatus();
+    }
+}
+
+function finishChallengeRun() {
+    const ch = challenge.active;
+    const tracker = challenge.tracker;
+    const run = { ...challenge.run, status: tracker.status, score: tracker.score };
+    challenge.run = null;
+    challenge.tracker = null;
+    renderChallengeStatus();
+    console.log(t('log.challengeResult', { name: t(`challenge.${ch.id}.name`), status: tracker.status, score: tracker.score }));
+
+    if (tracker.status === 'FAILED') {
+        showChallengeMessage(t(`challenge.failed.${tracker.reason}`), true);
+        return;
+    }
+
+    // Only verified runs reach the leaderboard: simulate the flight again from its log,
+    // in chunks so the page keeps responding
+    const showProgress = (fraction) => showChallengeMessage(t('challenge.verifying', {
+        score: formatChallengeScore(ch, run.score),
+        percent: formatNumber(100 * fraction, 0)
+    }));
+    showProgress(0);
+    verifyRunInChunks(run, {
+        onProgress: showProgress,
+        onDone: (result) => {
+            if (!result.verified) {
+                showChallengeMessage(t('challenge.notVerified'), true);
+                return;
+            }
+            const entry = {
+                ...run,
+                score: result.score,
+                name: ui.challengePlayer.value.trim() || t('challenge.anonymous'),
+                date: new Date().toISOString()
+            };
+            const position = submitRun(entry);
+            updateChallengeInfo();
+            showChallengeMessage(position >= 0
+                ? t('challenge.recorded', { score: formatChallengeScore(ch, entry.score), position: position + 1 })
+                : t('challenge.notTop', { score: formatChallengeScore(ch, entry.score) }));
+        }
+    });
+}
+
+/**
+ * Simulates a leaderboard run again (checking its score) and opens it in the replay
+ */
+function replayChallengeRun(entry) {
+    const s = SimulationState;
+    if (s.isRunning) {
+        showChallengeMessage(t('challenge.stopFlight'), true);
+        return;
+    }
+    stopReplay();
+    cancelChallengeReplay();
+    if (s.mode !== 'MISSION') setMode('MISSION');
+
+    const showProgress = (fraction) => showChallengeMessage(t('challenge.simulating', {
+        name: entry.name,
+        percent: formatNumber(100 * fraction, 0)
+    }));
+    showProgress(0);
+    flightRecorder.clear();
+    challenge.cancelReplay = verifyRunInChunks(entry, {
+        onStep: st => flightRecorder.record(st),
+        onProgress: showProgress,
+        onDone: (result) => {
+            challenge.cancelReplay = null;
+            const ch = getChallenge(entry.challengeId);
+            showChallengeMessage(result.verified
+                ? t('challenge.replayVerified', { name: entry.name, score: formatChallengeScore(ch, result.score) })
+                : t('challenge.replayMismatch', { name: entry.name, score: formatChallengeScore(ch, entry.score) }), !result.verified);
+            // The recorded frames are MISSION states: never load them into another mode or a flight
+            if (s.mode !== 'MISSION' || s.isRunning) return;
+            startReplay();
+            updateReplayControls();
+        }
+    });
+}
+
+// Stops simulating a leaderboard run (before a launch, a mode change, a scenario or a reset)
+function cancelChallengeReplay() {
+    if (!challenge.cancelReplay) return;
+    challenge.cancelReplay();
+    challenge.cancelReplay = null;
+    showChallengeMessage('');
+}
+
+// Writes a value into a slider and its number input, clamped to the slider range
+function setSliderValue(slider, input, value, decimals) {
+    const clamped = Math.max(parseFloat(slider.min), Math.min(parseFloat(slider.max), value));
+    slider.value = clamped;
+    input.value = clamped.toFixed(decimals);
+    return clamped;
+}
+
+/**
+ * Current setup as a scenario (see scenarios.js)
+ */
+function captureScenario(name) {
+    const s = SimulationState;
+    const gas = GAS_PROPERTIES[s.balloon.gasType];
+    const mission = captureMissionSettings(s);
+    mission.pilot.ballast += s.pilot.ballastDropped; // As loaded on the launch pad, like the payload
+    return normalizeScenario({
+        name,
+        mode: s.mode,
+        gasType: s.balloon.gasType,
+        // Custom gases travel with the scenario so a shared link works in any browser
+        customGas: gas.custom ? { name: gas.name, molarMass: gas.molarMass, gamma: gas.gamma, a: gas.a, b: gas.b } : null,
+        eos: s.eos,
+        seaLevelTemperature: s.env.seaLevelTemperature,
+        initialRadius: parseFloat(ui.sliderInitialRadius.value),
+        massPayload: s.balloon.massPayload + s.pilot.ballastDropped,
+        maxRadius: s.balloon.maxRadius,
+        fillPressure: parseFloat(ui.sliderPressure.value),
+        fillTemperature: parseFloat(ui.sliderTemp.value),
+        windProfile: s.wind.profile,
+        windTable: s.wind.table.map(row => ({ ...row })),
+        ...mission,
+        animation: {
+            direction: selectedDirection,
+            duration: s.animation.duration,
+            easing: s.animation.easing,
+            limits: { ...s.animation.limits },
+            path: s.animation.path.map(point => ({ ...point })),
+            cycle: s.animation.cycle.map(step => ({ ...step }))
+        }
+    });
+}
+
+function resolveScenarioGas(scenario) {
+    if (!scenario.customGas) {
+        if (!GAS_PROPERTIES[scenario.gasType]) throw new Error(t('scenario.error.unknownGas', { gas: scenario.gasType }));
+        return scenario.gasType;
+    }
+
+    // Reuse an identical custom gas, otherwise add it to the editor list
+    const def = scenario.customGas;
+    const existing = getCustomGasIds().find(id =>
+        GAS_PROPERTIES[id].name === def.name && GAS_PROPERTIES[id].molarMass === def.molarMass);
+    if (existing) return existing;
+
+    const id = addCustomGas(def);
+    saveCustomGases();
+    refreshGasLists();
+    return id;
+}
+
+/**
+ * MISSION inputs (envelope, parachute, pilot, thermal model) from the state
+ */
+function syncMissionInputs() {
+    const s = SimulationState;
+    const groups = [[ui.envelopeInputs, 'envelope'], [ui.descentInputs, 'descent'], [ui.pilotInputs, 'pilot']];
+    groups.forEach(([inputs, group]) => inputs.forEach(input => {
+        input.value = s[group][input.dataset[group]] / parseFloat(input.dataset.scale);
+    }));
+    ui.thermalEnabled.checked = s.thermal.enabled;
+    ui.thermalInfrared.checked = s.thermal.infrared;
+    ui.btnDay.classList.toggle('active', s.thermal.daytime);
+    ui.btnNight.classList.toggle('active', !s.thermal.daytime);
+}
+
+/**
+ * Restores a scenario: controls, state and mode
+ */
+function applyScenario(scenario) {
+    const s = SimulationState;
+    const gasType = resolveScenarioGas(scenario);
+
+    stopReplay();
+    cancelChallengeReplay();
+
+    // Stop any flight and put the ballast back before overwriting the setup
+    resetMissionState();
+
+    s.balloon.gasType = gasType;
+    ui.gasSelect.value = gasType;
+    s.eos = scenario.eos;
+    ui.eosSelect.value = scenario.eos;
+    s.env.seaLevelTemperature = scenario.seaLevelTemperature;
+    ui.atmosphereSelect.value = String(scenario.seaLevelTemperature);
+
+    setSliderValue(ui.sliderInitialRadius, ui.inputInitialRadius, scenario.initialRadius, 1);
+    s.balloon.massPayload = setSliderValue(ui.sliderPayloadMass, ui.inputPayloadMass, scenario.massPayload, 1);
+    s.balloon.maxRadius = setSliderValue(ui.sliderMaxRadius, ui.inputMaxRadius, scenario.maxRadius, 1);
+    s.env.pressure = setSliderValue(ui.sliderPressure, ui.inputPressure, scenario.fillPressure, 0);
+    s.env.temperature = setSliderValue(ui.sliderTemp, ui.inputTemp, scenario.fillTemperature, 0);
+    syncUnitInputs(); // Pressure and temperature inputs in the display units
+
+    s.wind.profile = scenario.windProfile;
+    s.wind.table = scenario.windTable.map(row => ({ ...row }));
+    ui.windSelect.value = scenario.windProfile;
+    ui.windTableEditor.classList.toggle('hidden', scenario.windProfile !== 'CUSTOM');
+    renderWindTable();
+
+    // Envelope (burst limit in MISSION), thermal model, parachute, ballast and valve
+    ['envelope', 'thermal', 'descent', 'pilot'].forEach(group => Object.assign(s[group], scenario[group]));
+    syncMissionInputs();
+
+    s.animation.limits = { ...scenario.animation.limits };
+    s.animation.path = scenario.animation.path.map(point => ({ ...point }));
+    s.animation.cycle = scenario.animation.cycle.map(step => ({ ...step }));
+    s.animation.duration = scenario.animation.duration;
+    s.animation.easing = scenario.animation.easing;
+    ui.animationDuration.value = scenario.animation.duration;
+    ui.animationEasing.value = scenario.animation.easing;
+    setDirection(scenario.animation.direction);
+    renderCombinedPath();
+
+    // Fill at the scenario P and T, then enter its mode (Gay-Lussac keeps this volume)
+    recalculateMoles();
+    setMode(scenario.mode);
+
+    ui.scenarioName.value = scenario.name;
+    console.log(t('log.scenarioLoaded', { name: scenario.name }));
 }
 
 function initSimulation() {
     recalculateMoles();
-    console.log(`Simulation Initialized. Moles: ${SimulationState.balloon.moles.toFixed(2)}`);
+    console.log(t('log.initialized', { moles: formatNumber(SimulationState.balloon.moles, 2) }));
+}
+
+function updateTelemetryButtons() {
+    // Export is available once the flight has ended (burst or reset)
+    const available = telemetry.hasData && !SimulationState.isRunning;
+    ui.btnExportCsv.disabled = !available;
+    ui.btnExportJson.disabled = !available;
+    updateReplayControls();
+}
+
+function formatFlightTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+function updateReplayControls() {
+    // The replay is available once the flight has ended, like the telemetry export
+    const s = SimulationState;
+    ui.btnReplay.disabled = !s.replaying && (!flightRecorder.hasData || s.isRunning);
+    ui.btnReplay.textContent = t(s.replaying ? 'replay.exit' : 'replay.view');
+    ui.btnReplay.classList.toggle('active', s.replaying);
+    ui.replayPanel.classList.toggle('hidden', !s.replaying);
+    if (!s.replaying) return;
+
+    ui.replayTimeline.value = replay.time;
+    ui.replayTime.textContent = `${formatFlightTime(replay.time - flightRecorder.startTime)} / ${formatFlightTime(flightRecorder.endTime - flightRecorder.startTime)}`;
+    ui.btnReplayPlay.textContent = replay.playing ? '⏸' : '▶';
+}
+
+function replayEventLabel(event) {
+    if (event.type !== 'LAYER') return t(`replay.event.${event.type}`);
+    return t('replay.event.LAYER', {
+        arrow: event.direction > 0 ? '▲' : '▼',
+        layer: t(`layer.${event.layer}`),
+        altitude: formatNumber(event.altitude / 1000, 1)
+    });
+}
+
+function renderReplayEvents() {
+    ui.replayEvents.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = t('replay.jumpTo');
+    ui.replayEvents.appendChild(placeholder);
+    flightRecorder.events.forEach((event, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${formatFlightTime(event.time - flightRecorder.startTime)} · ${replayEventLabel(event)}`;
+        ui.replayEvents.appendChild(option);
+    });
+}
+
+/**
+ * Shows the recorded flight at a given time: the state is overwritten with the
+ * interpolated frame, the scene and readouts follow it on the next frame
+ */
+function seekReplay(time) {
+    const s = SimulationState;
+    const previousPhase = s.flightPhase;
+    replay.time = Math.max(flightRecorder.startTime, Math.min(flightRecorder.endTime, time));
+    applyFrame(s, flightRecorder.frameAt(replay.time));
+
+    if (s.flightPhase !== previousPhase) {
+        // Playing through the burst shows the explosion, jumping over it does not
+        if (replay.playing && previousPhase === 'ASCENT') {
+            sceneManager.explode();
+        } else {
+            sceneManager.showFlightPhase(s.flightPhase);
+        }
+        updateLandingDisplay();
+    }
+    updateReplayControls();
+}
+
+function startReplay() {
+    const s = SimulationState;
+    if (s.replaying || s.isRunning || !flightRecorder.hasData) return;
+
+    replay.saved = captureFrame(s);
+    s.replaying = true;
+    replay.playing = true;
+    ui.replayTimeline.min = flightRecorder.startTime;
+    ui.replayTimeline.max = flightRecorder.endTime;
+    renderReplayEvents();
+
+    seekReplay(flightRecorder.startTime);
+    sceneManager.showFlightPhase(s.flightPhase);
+    console.log(t('log.replay', {
+        frames: flightRecorder.frames.length,
+        duration: formatFlightTime(flightRecorder.endTime - flightRecorder.startTime)
+    }));
+}
+
+function stopReplay() {
+    const s = SimulationState;
+    if (!s.replaying) return;
+
+    // Back to the state before the replay (end of the flight or launch pad)
+    applyFrame(s, replay.saved);
+    s.replaying = false;
+    replay.playing = false;
+    replay.saved = null;
+    sceneManager.showFlightPhase(s.flightPhase);
+    updateLandingDisplay();
+    updateReplayControls();
+}
+
+function setReplayPlaying(playing) {
+    // Playing from the end starts over
+    if (playing && replay.time >= flightRecorder.endTime) {
+        seekReplay(flightRecorder.startTime);
+    }
+    replay.playing = playing;
+    updateReplayControls();
+}
+
+function stepReplay(direction) {
+    replay.playing = false;
+    seekReplay(flightRecorder.stepTime(replay.time, direction));
+}
+
+function updateReplay(deltaTime) {
+    if (!replay.playing) return;
+
+    let time = Math.min(replay.time + deltaTime * replay.speed, flightRecorder.endTime);
+
+    // Stop exactly at the next event (layer crossing, burst, touchdown)
+    const event = ui.replayPauseEvents.checked ? flightRecorder.eventBetween(replay.time, time) : null;
+    if (event) {
+        time = event.time;
+        console.log(t('log.replayPaused', { event: replayEventLabel(event), time: formatFlightTime(event.time - flightRecorder.startTime) }));
+    }
+
+    seekReplay(time);
+    if (event || time >= flightRecorder.endTime) {
+        replay.playing = false;
+        updateReplayControls();
+    }
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
 function updateControlVisibility() {
@@ -90,8 +1504,19 @@ function updateControlVisibility() {
     ui.ctrlTemp.classList.add('hidden');
     ui.ctrlTempFixed.classList.add('hidden');
     ui.ctrlVolumeFixed.classList.add('hidden');
+    ui.ctrlGammaFixed.classList.add('hidden');
+    ui.ctrlMoles.classList.add('hidden');
+    ui.ctrlCombinedPath.classList.add('hidden');
+    ui.ctrlCycle.classList.add('hidden');
     ui.educationalControls.classList.add('hidden');
+    ui.eduDirection.classList.remove('hidden');
     ui.missionControls.classList.add('hidden');
+    ui.ctrlEnvelope.classList.add('hidden');
+    ui.ctrlMaxRadius.classList.remove('hidden');
+
+    // Live charts for the modes that have them
+    ui.chartPanel.classList.toggle('hidden', !CHART_DEFINITIONS[mode]);
+    chartPanel.setMode(mode);
 
     // Show appropriate controls based on mode
     if (mode === 'IDLE') {
@@ -103,102 +1528,447 @@ function updateControlVisibility() {
         ui.ctrlPressure.classList.remove('hidden');
         ui.ctrlTempFixed.classList.remove('hidden');
         ui.educationalControls.classList.remove('hidden');
-        ui.valTempFixed.textContent = `${SimulationState.env.temperature.toFixed(0)} K`;
     } else if (mode === 'CHARLES') {
         // Charles: Temperature varies, Pressure constant
         ui.ctrlTemp.classList.remove('hidden');
         ui.ctrlPressureFixed.classList.remove('hidden');
         ui.educationalControls.classList.remove('hidden');
-        ui.valPressureFixed.textContent = `${SimulationState.env.pressure.toFixed(0)} Pa`;
     } else if (mode === 'GAY-LUSSAC') {
         // Gay-Lussac: Temperature varies, Volume constant
         ui.ctrlTemp.classList.remove('hidden');
         ui.ctrlVolumeFixed.classList.remove('hidden');
         ui.educationalControls.classList.remove('hidden');
-        SimulationState.balloon.constantVolume = SimulationState.balloon.volume;
-        ui.valVolumeFixed.textContent = `${SimulationState.balloon.volume.toFixed(2)} m³`;
+        SimulationState.balloon.constantVolume = SimulationState.balloon.volume;
+    } else if (mode === 'AVOGADRO') {
+        // Avogadro: Amount of gas varies, Pressure and Temperature constant
+        ui.ctrlMoles.classList.remove('hidden');
+        ui.ctrlPressureFixed.classList.remove('hidden');
+        ui.ctrlTempFixed.classList.remove('hidden');
+        ui.educationalControls.classList.remove('hidden');
+    } else if (mode === 'COMBINED') {
+        // Combined law: Pressure and Temperature vary together along the path, amount of gas constant
+        ui.ctrlPressure.classList.remove('hidden');
+        ui.ctrlTemp.classList.remove('hidden');
+        ui.ctrlCombinedPath.classList.remove('hidden');
+        ui.educationalControls.classList.remove('hidden');
+        ui.eduDirection.classList.add('hidden'); // The path sets where P and T go
+    } else if (mode === 'ADIABATIC') {
+        // Adiabatic: Pressure varies, Temperature and Volume follow (no heat exchanged)
+        ui.ctrlPressure.classList.remove('hidden');
+        ui.ctrlGammaFixed.classList.remove('hidden');
+        ui.educationalControls.classList.remove('hidden');
+        setAdiabaticReference();
+    } else if (mode === 'CYCLE') {
+        // Thermodynamic cycle: P and T set the first corner, the processes move P, V and T
+        ui.ctrlPressure.classList.remove('hidden');
+        ui.ctrlTemp.classList.remove('hidden');
+        ui.ctrlCycle.classList.remove('hidden');
+        ui.educationalControls.classList.remove('hidden');
+        ui.eduDirection.classList.add('hidden'); // The steps set where the gas goes
     } else if (mode === 'MISSION') {
-        // Mission: Show mission controls
+        // Mission: Show mission controls; the envelope replaces the max radius limit
         ui.missionControls.classList.remove('hidden');
+        ui.ctrlEnvelope.classList.remove('hidden');
+        ui.ctrlMaxRadius.classList.add('hidden');
     }
+
+    updateFixedValues();
+}
+
+// Values held constant by the educational modes, in the display units
+function updateFixedValues() {
+    const s = SimulationState;
+    ui.valTempFixed.textContent = formatQuantity(s.units, 'temperature', s.env.temperature);
+    ui.valPressureFixed.textContent = formatQuantity(s.units, 'pressure', s.env.pressure);
+    ui.valVolumeFixed.textContent = formatQuantity(s.units, 'volume', s.balloon.constantVolume);
+    ui.valGammaFixed.textContent = `γ = ${formatNumber(getGasGamma(s), 3)}`;
+}
+
+// Adiabatic mode: the adiabat goes through the current state
+function setAdiabaticReference() {
+    const s = SimulationState;
+    s.balloon.adiabaticReference = { pressure: s.env.pressure, temperature: s.env.temperature };
 }
 
-function updateUI() {
+/**
+ * Pressure and temperature inputs in the display units: their range and step follow
+ * the sliders (which, like the state, stay in Pa and K)
+ */
+function syncUnitInputs() {
     const s = SimulationState;
-    ui.dispAlt.textContent = s.env.altitude.toFixed(0);
-    ui.dispVol.textContent = s.balloon.volume.toFixed(2);
-    ui.dispRad.textContent = s.balloon.radius.toFixed(2);
-    ui.dispVel.textContent = s.balloon.velocity.toFixed(2);
+    [
+        { quantity: 'pressure', slider: ui.sliderPressure, input: ui.inputPressure, value: s.env.pressure },
+        { quantity: 'temperature', slider: ui.sliderTemp, input: ui.inputTemp, value: s.env.temperature }
+    ].forEach(({ quantity, slider, input, value }) => {
+        input.min = formatValue(s.units, quantity, parseFloat(slider.min));
+        input.max = formatValue(s.units, quantity, parseFloat(slider.max));
+        input.step = getUnit(s.units, quantity).step;
+        input.value = formatValue(s.units, quantity, value);
+    });
+
+    ui.unitSelects.forEach(select => {
+        select.value = s.units[select.dataset.quantity];
+    });
+    ui.unitLabels.forEach(label => {
+        label.textContent = getUnit(s.units, label.dataset.unit).symbol;
+    });
+}
+
+/**
+ * Readouts: each one subscribes to the state paths it shows and is only
+ * rewritten when they change (see SimulationStore in state.js)
+ */
+function bindReadouts() {
+    const s = SimulationState;
+    // Every readout also re-renders when the language changes (texts and decimal separator)
+    const bind = (paths, render) => SimulationStore.subscribe([].concat(paths, 'language'), render, { immediate: true });
+
+    bind(['env.altitude', 'units'], () => {
+        ui.dispAlt.textContent = formatQuantity(s.units, 'altitude', s.env.altitude);
+    });
+    bind(['balloon.volume', 'units'], () => {
+        ui.dispVol.textContent = formatQuantity(s.units, 'volume', s.balloon.volume);
+    });
+    bind('balloon.radius', () => {
+        ui.dispRad.textContent = formatNumber(s.balloon.radius, 2);
+    });
+    bind('balloon.velocity', () => {
+        ui.dispVel.textContent = formatNumber(s.balloon.velocity, 2);
+    });
+    bind(['env.altitude', 'wind'], () => {
+        const wind = getWind(s.env.altitude, getWindTable(s.wind));
+        ui.dispWind.textContent = `${formatNumber(wind.speed, 1)} m/s · ${formatNumber(wind.direction, 0)}°`;
+    });
+    bind(['drift.x', 'drift.z'], () => {
+        ui.dispDrift.textContent = `${formatNumber(Math.hypot(s.drift.x, s.drift.z) / 1000, 2)} km`;
+    });
+    bind(['mode', 'env.temperature', 'thermal', 'units'], () => {
+        ui.dispGasTemp.textContent = formatQuantity(s.units, 'temperature', getGasState(s).temperature, 1);
+    });
+    bind(['env.temperature', 'units'], () => {
+        ui.dispAirTemp.textContent = formatQuantity(s.units, 'temperature', s.env.temperature, 1);
+    });
+    // Drag regime: the ascent rate settles where the drag balances the net force
+    bind('forces.terminalVelocity', () => {
+        ui.dispTerminalVel.textContent = `${formatNumber(s.forces.terminalVelocity, 2)} m/s`;
+    });
+    bind('env.gravity', () => {
+        ui.dispGravity.textContent = `${formatNumber(s.env.gravity, 3)} m/s²`;
+    });
+    bind(['forces.reynolds', 'forces.dragCoefficient'], () => {
+        // No airflow, no Reynolds number
+        const moving = s.forces.reynolds > 0;
+        ui.dispReynolds.textContent = moving ? formatPrecision(s.forces.reynolds, 3) : '—';
+        ui.dispDragCoefficient.textContent = moving ? formatNumber(s.forces.dragCoefficient, 3) : '—';
+    });
 
-    // Update sliders and inputs (if not in animation)
-    if (!s.animation.active) {
+    // Sliders and inputs follow the state (except while an animation drives them).
+    // An input being typed in is left alone: its blur handler formats it
+    const setInput = (input, text) => {
+        if (document.activeElement !== input) input.value = text;
+    };
+    bind(['env.pressure', 'env.temperature', 'animation.active'], () => {
+        if (s.animation.active) return;
         ui.sliderPressure.value = s.env.pressure;
-        ui.inputPressure.value = s.env.pressure.toFixed(0);
+        setInput(ui.inputPressure, formatValue(s.units, 'pressure', s.env.pressure));
         ui.sliderTemp.value = s.env.temperature;
-        ui.inputTemp.value = s.env.temperature.toFixed(0);
-    }
+        setInput(ui.inputTemp, formatValue(s.units, 'temperature', s.env.temperature));
+    });
+    bind(['balloon.moles', 'animation.active'], () => {
+        if (s.animation.active) return;
+        ui.sliderMoles.value = s.balloon.moles;
+        setInput(ui.inputMoles, s.balloon.moles.toFixed(0));
+    });
+    bind('units', () => {
+        syncUnitInputs();
+        updateFixedValues();
+        renderCombinedPath();
+        renderCycleSteps();
+    });
+    // The cycle is checked from the current state (its first corner), not while it runs
+    bind(['mode', 'eos', 'env.pressure', 'env.temperature', 'balloon.moles', 'balloon.gasType', 'animation.active'], () => {
+        if (s.mode === 'CYCLE' && !s.animation.active) checkCycle();
+    });
+    bind([], updateLandingDisplay); // Language only: the landing follows the flight events
 
-    // Update formula display
-    updateFormulaDisplay();
+    bind(['mode', 'eos', 'units', 'flightPhase', 'env', 'balloon', 'thermal', 'envelope', 'forces', 'descent'], updateFormulaDisplay);
+    bind(['mode', 'isRunning', 'flightPhase', 'pilot', 'balloon.moles'], updatePilotDisplay);
 
-    // Danger meter
-    const tension = Math.min(s.balloon.radius / s.balloon.maxRadius, 1.0);
-    ui.dangerBar.style.width = `${tension * 100}%`;
+    // Danger meter (wall stress / stretch in MISSION, radius / maxRadius otherwise)
+    bind(['mode', 'balloon.tension', 'envelope', 'units'], () => {
+        ui.dangerBar.style.width = `${s.balloon.tension * 100}%`;
+        if (s.mode === 'MISSION') {
+            ui.dispEnvelope.textContent = `λ = ${formatNumber(s.envelope.stretch, 2)} · ΔP = ${formatQuantity(s.units, 'pressure', s.envelope.superpressure)} · σ = ${formatNumber(s.envelope.wallStress / 1e6, 1)} MPa`;
+        } else {
+            ui.dispEnvelope.textContent = t('envelope.radiusRatio', { percent: formatNumber(s.balloon.tension * 100, 0) });
+        }
+    });
+}
+
+/**
+ * Pressure measured by the molecular view (wall collisions), next to nRT/V.
+ * Rewritten only when a new measurement is ready (see kinetic.js)
+ */
+function updateKineticDisplay() {
+    const s = SimulationState;
+    const gas = sceneManager.kineticGas;
+    if (!gas.measured || gas.measured === shownMeasurement) return;
+    shownMeasurement = gas.measured;
+
+    const R = 8.314;
+    const volume = (4 / 3) * Math.PI * Math.pow(gas.radius, 3);
+    const ideal = s.balloon.moles * R * gas.temperature / volume;
+    ui.dispKineticPressure.textContent = t('kinetic.pressure', {
+        measured: formatQuantity(s.units, 'pressure', gas.measured.pressure),
+        ideal: formatQuantity(s.units, 'pressure', ideal)
+    });
+    ui.dispKineticCollisions.textContent = t('kinetic.collisions', {
+        count: formatNumber(gas.collisions, 0),
+        rate: formatNumber(gas.measured.collisionRate / 1e6, 2)
+    });
 }
 
 function updateFormulaDisplay() {
     const s = SimulationState;
     const R = 8.314;
+    // Pressure and temperature of the gas itself (in MISSION they differ from the ambient air)
+    const gas = getGasState(s);
+    // After burst in MISSION there is no gas left: the payload falls under its parachute
+    const descending = s.mode === 'MISSION' && s.flightPhase !== 'ASCENT';
     let formulaHTML = '';
 
-    if (s.mode === 'IDLE') {
+    // P and V in the display units; T stays absolute (K), as the gas laws require.
+    // R in the same units: 8.314 Pa·m³/(mol·K) = 0.08206 atm·L/(mol·K)
+    const units = s.units;
+    const pScale = getUnit(units, 'pressure').scale;
+    const vScale = getUnit(units, 'volume').scale;
+    const Rd = Number((R * pScale * vScale).toPrecision(4));
+    const RdText = formatPrecision(Rd, 4);
+    const P = value => formatAmount(units, 'pressure', value);
+    const V = value => formatAmount(units, 'volume', value);
+    const T = value => formatNumber(value, 0);
+
+    if ((s.mode === 'IDLE' || s.mode === 'MISSION') && s.eos === 'VDW' && !descending) {
+        // (P + an²/V²)(V - nb) = nRT
+        const vdw = getEosConstants(s);
+        const n = s.balloon.moles;
+        const volume = s.balloon.volume;
+        const pressureTerm = (vdw.a * n * n) / (volume * volume) * pScale;
+        const volumeTerm = n * vdw.b * vScale;
+        const left = formatDerived((gas.pressure * pScale + pressureTerm) * (volume * vScale - volumeTerm));
+        const right = formatDerived(n * Rd * gas.temperature);
+        formulaHTML = `(P + an²/V²)(V − nb) = nRT → (<span class="highlight">${P(gas.pressure)}</span> + ${formatPrecision(pressureTerm, 3)}) × (<span class="highlight">${V(volume)}</span> − ${formatPrecision(volumeTerm, 3)}) = ${formatNumber(n, 3)} × ${RdText} × <span class="highlight">${T(gas.temperature)}</span> → ${left} ≈ ${right}`;
+    } else if (s.mode === 'IDLE') {
         // PV = nRT
-        const left = (s.env.pressure * s.balloon.volume).toFixed(0);
-        const right = (s.balloon.moles * R * s.env.temperature).toFixed(0);
-        formulaHTML = `PV = nRT → <span class="highlight">${s.env.pressure.toFixed(0)}</span> × <span class="highlight">${s.balloon.volume.toFixed(2)}</span> = <span class="highlight">${s.balloon.moles.toFixed(3)}</span> × ${R} × <span class="highlight">${s.env.temperature.toFixed(0)}</span> → ${left} ≈ ${right}`;
+        const left = formatDerived(s.env.pressure * pScale * s.balloon.volume * vScale);
+        const right = formatDerived(s.balloon.moles * Rd * s.env.temperature);
+        formulaHTML = `PV = nRT → <span class="highlight">${P(s.env.pressure)}</span> × <span class="highlight">${V(s.balloon.volume)}</span> = <span class="highlight">${formatNumber(s.balloon.moles, 3)}</span> × ${RdText} × <span class="highlight">${T(s.env.temperature)}</span> → ${left} ≈ ${right}`;
     } else if (s.mode === 'BOYLE') {
         // P₁V₁ = P₂V₂ (T constante)
-        const product = (s.env.pressure * s.balloon.volume).toFixed(0);
-        formulaHTML = `P₁V₁ = P₂V₂ (T=${s.env.temperature.toFixed(0)}K) → <span class="highlight">${s.env.pressure.toFixed(0)}</span> × <span class="highlight">${s.balloon.volume.toFixed(2)}</span> = <span class="highlight">${product}</span>`;
+        const product = formatDerived(s.env.pressure * pScale * s.balloon.volume * vScale);
+        formulaHTML = `P₁V₁ = P₂V₂ (T=${formatQuantity(units, 'temperature', s.env.temperature)}) → <span class="highlight">${P(s.env.pressure)}</span> × <span class="highlight">${V(s.balloon.volume)}</span> = <span class="highlight">${product}</span>`;
     } else if (s.mode === 'CHARLES') {
         // V₁/T₁ = V₂/T₂ (P constante)
-        const ratio = (s.balloon.volume / s.env.temperature).toFixed(5);
-        formulaHTML = `V₁/T₁ = V₂/T₂ (P=${s.env.pressure.toFixed(0)}Pa) → <span class="highlight">${s.balloon.volume.toFixed(2)}</span> / <span class="highlight">${s.env.temperature.toFixed(0)}</span> = <span class="highlight">${ratio}</span>`;
+        const ratio = formatDerived(s.balloon.volume * vScale / s.env.temperature);
+        formulaHTML = `V₁/T₁ = V₂/T₂ (P=${formatQuantity(units, 'pressure', s.env.pressure)}) → <span class="highlight">${V(s.balloon.volume)}</span> / <span class="highlight">${T(s.env.temperature)}</span> = <span class="highlight">${ratio}</span>`;
     } else if (s.mode === 'GAY-LUSSAC') {
         // P₁/T₁ = P₂/T₂ (V constante)
-        const ratio = (s.env.pressure / s.env.temperature).toFixed(2);
-        formulaHTML = `P₁/T₁ = P₂/T₂ (V=${s.balloon.constantVolume.toFixed(2)}m³) → <span class="highlight">${s.env.pressure.toFixed(0)}</span> / <span class="highlight">${s.env.temperature.toFixed(0)}</span> = <span class="highlight">${ratio}</span>`;
+        const ratio = formatDerived(s.env.pressure * pScale / s.env.temperature);
+        formulaHTML = `P₁/T₁ = P₂/T₂ (V=${formatQuantity(units, 'volume', s.balloon.constantVolume)}) → <span class="highlight">${P(s.env.pressure)}</span> / <span class="highlight">${T(s.env.temperature)}</span> = <span class="highlight">${ratio}</span>`;
+    } else if (s.mode === 'AVOGADRO') {
+        // V₁/n₁ = V₂/n₂ (P y T constantes)
+        const ratio = formatDerived(s.balloon.volume * vScale / s.balloon.moles);
+        formulaHTML = `V₁/n₁ = V₂/n₂ (P=${formatQuantity(units, 'pressure', s.env.pressure)}, T=${formatQuantity(units, 'temperature', s.env.temperature)}) → <span class="highlight">${V(s.balloon.volume)}</span> / <span class="highlight">${formatNumber(s.balloon.moles, 1)}</span> = <span class="highlight">${ratio}</span>`;
+    } else if (s.mode === 'COMBINED') {
+        // P₁V₁/T₁ = P₂V₂/T₂ (n constante)
+        const ratio = formatDerived(s.env.pressure * pScale * s.balloon.volume * vScale / s.env.temperature);
+        formulaHTML = `P₁V₁/T₁ = P₂V₂/T₂ (n=${formatNumber(s.balloon.moles, 1)} mol) → <span class="highlight">${P(s.env.pressure)}</span> × <span class="highlight">${V(s.balloon.volume)}</span> / <span class="highlight">${T(s.env.temperature)}</span> = <span class="highlight">${ratio}</span>`;
+    } else if (s.mode === 'ADIABATIC') {
+        // P₁V₁^γ = P₂V₂^γ (Q = 0): T₂ = T₁ (P₂/P₁)^((γ−1)/γ)
+        const gamma = getGasGamma(s);
+        const reference = s.balloon.adiabaticReference;
+        const product = formatDerived(s.env.pressure * pScale * Math.pow(s.balloon.volume * vScale, gamma));
+        const exponent = formatNumber((gamma - 1) / gamma, 3);
+        formulaHTML = `P₁V₁<sup>γ</sup> = P₂V₂<sup>γ</sup> (Q = 0, γ = ${formatNumber(gamma, 3)}) → <span class="highlight">${P(s.env.pressure)}</span> × <span class="highlight">${V(s.balloon.volume)}</span><sup>γ</sup> = <span class="highlight">${product}</span>`;
+        formulaHTML += `<br>T₂ = T₁ (P₂/P₁)<sup>(γ−1)/γ</sup> → ${T(reference.temperature)} × (${P(s.env.pressure)} / ${P(reference.pressure)})<sup>${exponent}</sup> = <span class="highlight">${T(s.env.temperature)}</span> K`;
+        // Same pressure on the Boyle isotherm (T constant): the adiabatic gas takes less room when it expands
+        const isothermal = calculateVolume(s.balloon.moles, reference.temperature, s.env.pressure, getEosConstants(s));
+        formulaHTML += `<br><span class="formula-z">${t('formula.adiabaticVsIsothermal', {
+            adiabatic: formatQuantity(units, 'volume', s.balloon.volume),
+            isothermal: formatQuantity(units, 'volume', isothermal)
+        })}</span>`;
+    } else if (s.mode === 'CYCLE') {
+        // First law: ΔU = Q − W, with W the work done by the gas and ΔU = nCvΔT
+        const gamma = getGasGamma();
+        formulaHTML = `ΔU = Q − W, ΔU = nC<sub>v</sub>ΔT → C<sub>v</sub> = R/(γ − 1) = <span class="highlight">${formatNumber(R / (gamma - 1), 2)}</span> J/(mol·K) (γ = ${formatNumber(gamma, 3)})`;
+        if (s.animation.active && s.animation.parameter === 'cycle') {
+            const result = cycleRunner.results[cycleRunner.index];
+            const kJ = value => formatNumber(value / 1000, 1);
+            formulaHTML += `<br>${t(`cycle.law.${cycleRunner.step.process}`)} → <span class="highlight">${kJ(result.deltaU)}</span> = <span class="highlight">${kJ(result.heat)}</span> − <span class="highlight">${kJ(result.work)}</span> kJ`;
+        }
+    } else if (descending) {
+        // Descent under the parachute: terminal velocity, weight = drag
+        const m = descentMass(s);
+        const rho = s.forces.airDensity;
+        const vt = parachuteTerminalVelocity(s, rho);
+        formulaHTML = `v<sub>t</sub> = √(2mg / ρC<sub>d</sub>A) → √(2 × <span class="highlight">${formatNumber(m, 2)}</span> × ${formatNumber(s.env.gravity, 2)} / (<span class="highlight">${formatNumber(rho, 4)}</span> × ${formatNumber(s.descent.parachuteCd, 2)} × ${formatNumber(s.descent.parachuteArea, 2)})) = <span class="highlight">${formatNumber(vt, 1)}</span> m/s`;
     } else if (s.mode === 'MISSION') {
-        // PV = nRT (Física en acción)
-        const left = (s.env.pressure * s.balloon.volume).toFixed(0);
-        const right = (s.balloon.moles * R * s.env.temperature).toFixed(0);
-        formulaHTML = `PV = nRT → <span class="highlight">${s.env.pressure.toFixed(0)}</span> × <span class="highlight">${s.balloon.volume.toFixed(2)}</span> = ${s.balloon.moles.toFixed(3)} × ${R} × <span class="highlight">${s.env.temperature.toFixed(0)}</span> → ${left} ≈ ${right}`;
+        // PV = nRT (Física en acción) with the internal pressure and gas temperature
+        const left = formatDerived(gas.pressure * pScale * s.balloon.volume * vScale);
+        const right = formatDerived(s.balloon.moles * Rd * gas.temperature);
+        formulaHTML = `PV = nRT → <span class="highlight">${P(gas.pressure)}</span> × <span class="highlight">${V(s.balloon.volume)}</span> = ${formatNumber(s.balloon.moles, 3)} × ${RdText} × <span class="highlight">${T(gas.temperature)}</span> → ${left} ≈ ${right}`;
+    }
+
+    if (!descending) {
+        // Compressibility factor: shows how far the gas is from ideal behaviour
+        const Z = compressibilityFactor(gas.pressure, s.balloon.volume, s.balloon.moles, gas.temperature);
+        formulaHTML += `<br><span class="formula-z">${t(`formula.eos.${s.eos}`)} · Z = PV/nRT = <span class="highlight">${formatNumber(Z, 4)}</span></span>`;
+
+        // The formulas always use the absolute temperature
+        if (units.temperature !== 'K') {
+            const absolute = t('formula.absoluteTemperature', {
+                display: formatQuantity(units, 'temperature', gas.temperature, 1),
+                kelvin: formatNumber(gas.temperature, 1)
+            });
+            formulaHTML += `<br><span class="formula-z">${absolute}</span>`;
+        }
     }
 
     ui.formulaDisplay.innerHTML = `<span class="formula-text">${formulaHTML}</span>`;
 }
 
+/**
+ * Switches the UI language: the static page is translated here, the readouts
+ * follow the 'language' subscription, the lists built in code are rebuilt
+ */
+function applyLanguage(language) {
+    SimulationState.language = setLanguage(language);
+    ui.languageSelect.value = SimulationState.language;
+    translatePage();
+
+    refreshGasLists();
+    renderWindTable();
+    renderScenarioList();
+    renderLessonList();
+    renderLesson();
+    renderChallengeList();
+    renderChallengeStatus();
+    renderCycleSteps();
+    renderCycleResults();
+    updateReplayControls();
+    if (SimulationState.replaying) renderReplayEvents();
+    chartPanel.draw(SimulationState);
+}
+
 // --- Event Listeners ---
 
+// Language
+ui.languageSelect.addEventListener('change', (e) => {
+    applyLanguage(e.target.value);
+    saveLanguage(SimulationState.language);
+});
+
+// Display units (the readouts, inputs and formula follow the 'units' subscription)
+ui.unitSelects.forEach(select => {
+    select.addEventListener('change', () => {
+        SimulationState.units[select.dataset.quantity] = select.value;
+        saveUnits(SimulationState.units);
+    });
+});
+
 // Gas selection
 ui.gasSelect.addEventListener('change', (e) => {
     SimulationState.balloon.gasType = e.target.value;
+    // Van der Waals constants depend on the gas: fill it again on the launch pad
+    if (!SimulationState.isRunning && !SimulationState.animation.active) recalculateMoles();
+    // The new gas has its own γ: its adiabat starts from the current state
+    if (SimulationState.mode === 'ADIABATIC') setAdiabaticReference();
+    updateFixedValues();
+});
+
+// === GAS EDITOR ===
+ui.btnAddGas.addEventListener('click', () => {
+    try {
+        const gamma = parseFloat(ui.gasGamma.value);
+        const a = parseFloat(ui.gasVdwA.value);
+        const b = parseFloat(ui.gasVdwB.value);
+        const id = addCustomGas({
+            name: ui.gasName.value,
+            molarMass: parseFloat(ui.gasMolarMass.value) / 1000, // g/mol -> kg/mol
+            gamma: isNaN(gamma) ? null : gamma,
+            a: isNaN(a) ? 0 : a,
+            b: isNaN(b) ? 0 : b
+        });
+        saveCustomGases();
+        refreshGasLists();
+        showGasEditorMessage(t('gasEditor.added', { gas: gasLabel(id) }));
+        ui.gasName.value = '';
+        ui.gasMolarMass.value = '';
+        ui.gasGamma.value = '';
+        ui.gasVdwA.value = '';
+        ui.gasVdwB.value = '';
+    } catch (e) {
+        showGasEditorMessage(e.message, true);
+    }
+});
+
+ui.btnAddComponent.addEventListener('click', () => {
+    addMixtureRow();
+});
+
+ui.btnAddMixture.addEventListener('click', () => {
+    const components = Array.from(ui.mixtureComponents.querySelectorAll('.mixture-row')).map(row => ({
+        gasType: row.querySelector('select').value,
+        fraction: parseFloat(row.querySelector('input').value) / 100
+    }));
+
+    try {
+        const id = addMixture(ui.mixtureName.value, components);
+        saveCustomGases();
+        refreshGasLists();
+        showGasEditorMessage(t('gasEditor.mixtureCreated', { gas: gasLabel(id) }));
+        ui.mixtureName.value = '';
+    } catch (e) {
+        showGasEditorMessage(e.message, true);
+    }
+});
+
+// Equation of state (ideal gas or van der Waals)
+ui.eosSelect.addEventListener('change', (e) => {
+    SimulationState.eos = e.target.value;
+    // Same fill (radius, P, T) under the new equation of state
+    if (!SimulationState.isRunning && !SimulationState.animation.active) recalculateMoles();
+});
+
+// Atmosphere reference (sea level temperature of the ISA model)
+ui.atmosphereSelect.addEventListener('change', (e) => {
+    SimulationState.env.seaLevelTemperature = parseFloat(e.target.value);
+
+    // On the launch pad the ambient temperature follows the new reference
+    if (SimulationState.mode === 'MISSION' && !SimulationState.isRunning) {
+        stopReplay();
+        cancelChallengeReplay();
+        resetMissionState();
+        SimulationStore.emit(STATE_EVENTS.RESET);
+        initSimulation();
+    }
 });
 
 // === PRESSURE CONTROL - Bidirectional Sync with Validation ===
+// The slider works in Pa, the number input in the display unit (units.js)
 ui.sliderPressure.addEventListener('input', (e) => {
-    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'BOYLE') {
+    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'BOYLE' || SimulationState.mode === 'ADIABATIC' || SimulationState.mode === 'COMBINED' || SimulationState.mode === 'CYCLE') {
         const value = parseFloat(e.target.value);
         SimulationState.env.pressure = value;
-        ui.inputPressure.value = value.toFixed(0);
+        ui.inputPressure.value = formatValue(SimulationState.units, 'pressure', value);
     }
 });
 
 ui.inputPressure.addEventListener('input', (e) => {
-    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'BOYLE') {
-        let value = parseFloat(e.target.value);
+    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'BOYLE' || SimulationState.mode === 'ADIABATIC' || SimulationState.mode === 'COMBINED' || SimulationState.mode === 'CYCLE') {
+        let value = fromDisplay(SimulationState.units, 'pressure', parseFloat(e.target.value));
 
-        // Validate and clamp
+        // Validate and clamp (in Pa, against the slider range)
         const min = parseFloat(ui.sliderPressure.min);
         const max = parseFloat(ui.sliderPressure.max);
 
@@ -212,7 +1982,7 @@ ui.inputPressure.addEventListener('input', (e) => {
 
 ui.inputPressure.addEventListener('blur', (e) => {
     // On blur, ensure value is valid and formatted
-    let value = parseFloat(e.target.value);
+    let value = fromDisplay(SimulationState.units, 'pressure', parseFloat(e.target.value));
     const min = parseFloat(ui.sliderPressure.min);
     const max = parseFloat(ui.sliderPressure.max);
 
@@ -222,25 +1992,72 @@ ui.inputPressure.addEventListener('blur', (e) => {
         value = Math.max(min, Math.min(max, value));
     }
 
-    ui.inputPressure.value = value.toFixed(0);
+    ui.inputPressure.value = formatValue(SimulationState.units, 'pressure', value);
     SimulationState.env.pressure = value;
     ui.sliderPressure.value = value;
 });
 
+// === AMOUNT OF GAS CONTROL (Avogadro) ===
+ui.sliderMoles.addEventListener('input', (e) => {
+    if (SimulationState.mode === 'AVOGADRO') {
+        const value = parseFloat(e.target.value);
+        SimulationState.balloon.moles = value;
+        ui.inputMoles.value = value.toFixed(0);
+    }
+});
+
+ui.inputMoles.addEventListener('change', (e) => {
+    if (SimulationState.mode !== 'AVOGADRO') return;
+    const min = parseFloat(ui.sliderMoles.min);
+    const max = parseFloat(ui.sliderMoles.max);
+    let value = parseFloat(e.target.value);
+    value = isNaN(value) ? SimulationState.balloon.moles : Math.max(min, Math.min(max, value));
+
+    ui.inputMoles.value = value.toFixed(0);
+    SimulationState.balloon.moles = value;
+    ui.sliderMoles.value = value;
+});
+
+// Combined law path
+ui.btnAddPathPoint.addEventListener('click', () => {
+    const path = SimulationState.animation.path;
+    addPathRow({ ...path[path.length - 1] });
+    applyCombinedPath();
+});
+
+// Thermodynamic cycle steps
+ui.btnAddCycleStep.addEventListener('click', () => {
+    // By default an isothermal back to the volume of the first corner
+    const start = cycleStart();
+    addCycleRow({ process: 'ISOTHERMAL', target: 'volume', value: start.volume });
+    applyCycleSteps();
+});
+
+ui.cyclePresetBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        const s = SimulationState;
+        const id = btn.dataset.cyclePreset;
+        s.animation.cycle = buildPresetCycle(id, cycleStart(), s.balloon.moles, getGasGamma());
+        renderCycleSteps();
+        console.log(t('log.cyclePreset', { name: t(`cycle.preset.${id}`) }));
+    });
+});
+
 // === TEMPERATURE CONTROL - Bidirectional Sync with Validation ===
+// The slider works in K, the number input in the display unit (units.js)
 ui.sliderTemp.addEventListener('input', (e) => {
-    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'CHARLES' || SimulationState.mode === 'GAY-LUSSAC') {
+    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'CHARLES' || SimulationState.mode === 'GAY-LUSSAC' || SimulationState.mode === 'COMBINED' || SimulationState.mode === 'CYCLE') {
         const value = parseFloat(e.target.value);
         SimulationState.env.temperature = value;
-        ui.inputTemp.value = value.toFixed(0);
+        ui.inputTemp.value = formatValue(SimulationState.units, 'temperature', value);
     }
 });
 
 ui.inputTemp.addEventListener('input', (e) => {
-    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'CHARLES' || SimulationState.mode === 'GAY-LUSSAC') {
-        let value = parseFloat(e.target.value);
+    if (SimulationState.mode === 'IDLE' || SimulationState.mode === 'CHARLES' || SimulationState.mode === 'GAY-LUSSAC' || SimulationState.mode === 'COMBINED' || SimulationState.mode === 'CYCLE') {
+        let value = fromDisplay(SimulationState.units, 'temperature', parseFloat(e.target.value));
 
-        // Validate and clamp
+        // Validate and clamp (in K, against the slider range)
         const min = parseFloat(ui.sliderTemp.min);
         const max = parseFloat(ui.sliderTemp.max);
 
@@ -254,7 +2071,7 @@ ui.inputTemp.addEventListener('input', (e) => {
 
 ui.inputTemp.addEventListener('blur', (e) => {
     // On blur, ensure value is valid and formatted
-    let value = parseFloat(e.target.value);
+    let value = fromDisplay(SimulationState.units, 'temperature', parseFloat(e.target.value));
     const min = parseFloat(ui.sliderTemp.min);
     const max = parseFloat(ui.sliderTemp.max);
 
@@ -264,7 +2081,7 @@ ui.inputTemp.addEventListener('blur', (e) => {
         value = Math.max(min, Math.min(max, value));
     }
 
-    ui.inputTemp.value = value.toFixed(0);
+    ui.inputTemp.value = formatValue(SimulationState.units, 'temperature', value);
     SimulationState.env.temperature = value;
     ui.sliderTemp.value = value;
 });
@@ -307,6 +2124,89 @@ ui.inputMaxRadius.addEventListener('blur', (e) => {
     ui.sliderMaxRadius.value = value;
 });
 
+// === ELASTIC ENVELOPE PARAMETERS (MISSION) ===
+ui.envelopeInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const key = input.dataset.envelope;
+        const scale = parseFloat(input.dataset.scale);
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        let value = parseFloat(input.value);
+
+        if (isNaN(value)) {
+            value = SimulationState.envelope[key] / scale;
+        } else {
+            value = Math.max(min, Math.min(max, value));
+        }
+
+        input.value = value;
+        SimulationState.envelope[key] = value * scale;
+
+        // A different envelope changes the fill on the launch pad
+        if (!SimulationState.isRunning) recalculateMoles();
+    });
+});
+
+// === PARACHUTE DESCENT PARAMETERS (MISSION) ===
+ui.descentInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const key = input.dataset.descent;
+        const scale = parseFloat(input.dataset.scale);
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        let value = parseFloat(input.value);
+
+        if (isNaN(value)) {
+            value = SimulationState.descent[key] / scale;
+        } else {
+            value = Math.max(min, Math.min(max, value));
+        }
+
+        input.value = value;
+        SimulationState.descent[key] = value * scale;
+    });
+});
+
+// === PILOT CONTROLS (MISSION) ===
+ui.pilotInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const key = input.dataset.pilot;
+        const scale = parseFloat(input.dataset.scale);
+        const min = parseFloat(input.min);
+        let max = parseFloat(input.max);
+        let value = parseFloat(input.value);
+
+        // The ballast is loaded on the launch pad and is part of the payload
+        if (key === 'ballast') {
+            if (SimulationState.isRunning) value = NaN;
+            max = Math.min(max, SimulationState.balloon.massPayload);
+        }
+
+        if (isNaN(value)) {
+            value = SimulationState.pilot[key] / scale;
+        } else {
+            value = Math.max(min, Math.min(max, value));
+        }
+
+        input.value = value;
+        SimulationState.pilot[key] = value * scale;
+    });
+});
+
+ui.btnDropBallast.addEventListener('click', dropBallastStep);
+ui.btnVent.addEventListener('click', toggleValve);
+
+// Keyboard shortcuts: B drops ballast, V opens/closes the valve
+document.addEventListener('keydown', (e) => {
+    if (e.repeat || e.target.closest('input, select, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'b') {
+        dropBallastStep();
+    } else if (key === 'v') {
+        toggleValve();
+    }
+});
+
 // === INITIAL RADIUS CONTROL - Bidirectional Sync with Validation ===
 ui.sliderInitialRadius.addEventListener('input', (e) => {
     const value = parseFloat(e.target.value);
@@ -383,78 +2283,87 @@ ui.inputPayloadMass.addEventListener('blur', (e) => {
 });
 
 // Mode switching
-ui.modeBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-        // Visual feedback
-        ui.modeBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+function setMode(newMode) {
+    stopReplay();
+    cancelChallengeReplay();
 
-        const newMode = btn.dataset.mode;
-        SimulationState.mode = newMode;
-        SimulationState.isRunning = false;
-        SimulationState.animation.active = false;
+    // Visual feedback
+    ui.modeBtns.forEach(b => b.classList.toggle('active', b.dataset.mode === newMode));
 
-        // Reset specific things
-        if (newMode === 'MISSION') {
-            resetMissionState();
-            sceneManager.reset();
-            initSimulation();
-        } else {
-            SimulationState.env.altitude = 0;
-            SimulationState.balloon.velocity = 0;
-            SimulationState.balloon.positionY = 0;
-            sceneManager.reset();
-        }
+    const previous = SimulationState.mode;
+    SimulationState.mode = newMode;
+    SimulationState.isRunning = false;
+    SimulationState.animation.active = false;
+    updateTelemetryButtons();
 
-        updateControlVisibility();
-    });
+    // Reset specific things
+    if (newMode === 'MISSION') {
+        resetMissionState();
+        initSimulation();
+    } else {
+        SimulationState.env.altitude = 0;
+        SimulationState.balloon.velocity = 0;
+        SimulationState.balloon.positionY = 0;
+    }
+
+    // The scene goes back to its initial view and drops the flight path
+    SimulationStore.emit(STATE_EVENTS.MODE, { mode: newMode, previous });
+    updateControlVisibility();
+    updateLandingDisplay();
+    chartPanel.newRun();
+}
+
+ui.modeBtns.forEach(btn => {
+    btn.addEventListener('click', () => setMode(btn.dataset.mode));
 });
 
 // Direction button selection (for educational modes)
 let selectedDirection = 1; // Default: increase
 
+function setDirection(direction) {
+    selectedDirection = direction;
+    ui.btnIncrease.classList.toggle('active', direction === 1);
+    ui.btnDecrease.classList.toggle('active', direction === -1);
+}
+
 ui.btnIncrease.addEventListener('click', () => {
-    selectedDirection = 1;
-    ui.btnIncrease.classList.add('active');
-    ui.btnDecrease.classList.remove('active');
-    console.log("Dirección seleccionada: AUMENTAR");
+    setDirection(1);
+    console.log(t('log.direction', { direction: t('edu.direction.increase') }));
 });
 
 ui.btnDecrease.addEventListener('click', () => {
-    selectedDirection = -1;
-    ui.btnDecrease.classList.add('active');
-    ui.btnIncrease.classList.remove('active');
-    console.log("Dirección seleccionada: DISMINUIR");
+    setDirection(-1);
+    console.log(t('log.direction', { direction: t('edu.direction.decrease') }));
 });
 
 // Set default selection
-ui.btnIncrease.classList.add('active');
+setDirection(1);
 
-// Educational mode simulation (Boyle, Charles, Gay-Lussac)
+// Educational mode simulation (Boyle, Charles, Gay-Lussac, Avogadro, combined law)
 ui.btnStartEdu.addEventListener('click', () => {
     const mode = SimulationState.mode;
     const s = SimulationState;
 
-    // Define limits
-    const PRESSURE_MIN = 10000;
-    const PRESSURE_MAX = 200000;
-    const TEMP_MIN = 100;
-    const TEMP_MAX = 500;
+    // Animation targets (set by the scenario, see scenarios.js)
+    const { pressureMin, pressureMax, temperatureMin, temperatureMax, molesMin, molesMax } = s.animation.limits;
 
-    console.log(`Iniciando simulación en modo ${mode} con dirección: ${selectedDirection === 1 ? 'AUMENTAR' : 'DISMINUIR'}`);
+    console.log(t('log.eduStart', { mode, direction: t(selectedDirection === 1 ? 'edu.direction.increase' : 'edu.direction.decrease') }));
 
-    if (mode === 'BOYLE') {
-        // Animate pressure based on selected direction
+    // Each run is drawn as a new trace; the previous ones stay for comparison
+    chartPanel.newRun();
+
+    if (mode === 'BOYLE' || mode === 'ADIABATIC') {
+        // Animate pressure based on selected direction (adiabatic: T and V follow in simulationLoop)
         s.animation.parameter = 'pressure';
         s.animation.startValue = s.env.pressure;
         s.animation.direction = selectedDirection;
 
         if (selectedDirection === 1) {
-            s.animation.targetValue = PRESSURE_MAX;
-            console.log(`Presión: ${s.env.pressure.toFixed(0)} → ${PRESSURE_MAX}`);
+            s.animation.targetValue = pressureMax;
+            console.log(t('log.pressureTarget', { from: formatNumber(s.env.pressure, 0), to: pressureMax }));
         } else {
-            s.animation.targetValue = PRESSURE_MIN;
-            console.log(`Presión: ${s.env.pressure.toFixed(0)} → ${PRESSURE_MIN}`);
+            s.animation.targetValue = pressureMin;
+            console.log(t('log.pressureTarget', { from: formatNumber(s.env.pressure, 0), to: pressureMin }));
         }
 
         s.animation.currentValue = s.animation.startValue;
@@ -467,11 +2376,11 @@ ui.btnStartEdu.addEventListener('click', () => {
         s.animation.direction = selectedDirection;
 
         if (selectedDirection === 1) {
-            s.animation.targetValue = TEMP_MAX;
-            console.log(`Temperatura: ${s.env.temperature.toFixed(0)} → ${TEMP_MAX}`);
+            s.animation.targetValue = temperatureMax;
+            console.log(t('log.temperatureTarget', { from: formatNumber(s.env.temperature, 0), to: temperatureMax }));
         } else {
-            s.animation.targetValue = TEMP_MIN;
-            console.log(`Temperatura: ${s.env.temperature.toFixed(0)} → ${TEMP_MIN}`);
+            s.animation.targetValue = temperatureMin;
+            console.log(t('log.temperatureTarget', { from: formatNumber(s.env.temperature, 0), to: temperatureMin }));
         }
 
         s.animation.currentValue = s.animation.startValue;
@@ -484,38 +2393,399 @@ ui.btnStartEdu.addEventListener('click', () => {
         s.animation.direction = selectedDirection;
 
         if (selectedDirection === 1) {
-            s.animation.targetValue = TEMP_MAX;
-            console.log(`Temperatura: ${s.env.temperature.toFixed(0)} → ${TEMP_MAX} (Volumen constante)`);
+            s.animation.targetValue = temperatureMax;
+            console.log(t('log.temperatureTargetConstantVolume', { from: formatNumber(s.env.temperature, 0), to: temperatureMax }));
         } else {
-            s.animation.targetValue = TEMP_MIN;
-            console.log(`Temperatura: ${s.env.temperature.toFixed(0)} → ${TEMP_MIN} (Volumen constante)`);
+            s.animation.targetValue = temperatureMin;
+            console.log(t('log.temperatureTargetConstantVolume', { from: formatNumber(s.env.temperature, 0), to: temperatureMin }));
+        }
+
+        s.animation.currentValue = s.animation.startValue;
+        s.animation.elapsed = 0;
+        s.animation.active = true;
+    } else if (mode === 'AVOGADRO') {
+        // Animate the amount of gas based on selected direction (P and T stay constant)
+        s.animation.parameter = 'moles';
+        s.animation.startValue = s.balloon.moles;
+        s.animation.direction = selectedDirection;
+        s.animation.targetValue = selectedDirection === 1 ? molesMax : molesMin;
+        console.log(t('log.molesTarget', { from: formatNumber(s.balloon.moles, 1), to: formatNumber(s.animation.targetValue, 1) }));
+
+        s.animation.currentValue = s.animation.startValue;
+        s.animation.elapsed = 0;
+        s.animation.active = true;
+    } else if (mode === 'COMBINED') {
+        // Animate P and T together through the path points (amount of gas constant)
+        s.animation.parameter = 'path';
+        s.animation.points = [{ pressure: s.env.pressure, temperature: s.env.temperature }, ...s.animation.path];
+        s.animation.startValue = 0;
+        s.animation.targetValue = 1;
+        console.log(t('log.pathTarget', { points: s.animation.path.length }));
+
+        s.animation.currentValue = s.animation.startValue;
+        s.animation.elapsed = 0;
+        s.animation.active = true;
+    } else if (mode === 'CYCLE') {
+        // Run the processes in order from the current state, integrating W, Q and ΔU
+        if (s.animation.cycle.length === 0 || s.eos !== 'IDEAL') {
+            checkCycle();
+            return;
         }
+        cycleRunner = new CycleRunner(s.animation.cycle, cycleStart(), s.balloon.moles, getGasGamma());
+        cycleRunner.record({ pressure: s.env.pressure, volume: s.balloon.volume, temperature: s.env.temperature });
+        s.animation.parameter = 'cycle';
+        s.animation.startValue = 0;
+        s.animation.targetValue = 1;
+        console.log(t('log.cycleStart', { steps: s.animation.cycle.length }));
 
         s.animation.currentValue = s.animation.startValue;
         s.animation.elapsed = 0;
         s.animation.active = true;
+        renderCycleResults();
     }
 });
 
+// Animation timing (every educational mode; each process of a cycle takes the duration)
+ui.animationDuration.addEventListener('change', (e) => {
+    const min = parseFloat(e.target.min);
+    const max = parseFloat(e.target.max);
+    let value = parseFloat(e.target.value);
+    value = isNaN(value) ? SimulationState.animation.duration : Math.max(min, Math.min(max, value));
+
+    e.target.value = value;
+    SimulationState.animation.duration = value;
+});
+
+ui.animationEasing.addEventListener('change', (e) => {
+    SimulationState.animation.easing = e.target.value;
+});
+
 ui.btnStopEdu.addEventListener('click', () => {
     SimulationState.animation.active = false;
     SimulationState.animation.elapsed = 0;
 });
 
 // Mission mode controls
+ui.integratorSelect.addEventListener('change', (e) => {
+    SimulationState.physics.integrator = e.target.value;
+});
+
+// Thermal model
+// Molecular view: particles inside the balloon and the pressure they measure
+ui.moleculesEnabled.addEventListener('change', (e) => {
+    sceneManager.setMoleculesVisible(e.target.checked);
+    ui.kineticReadout.classList.toggle('hidden', !e.target.checked);
+    ui.dispKineticPressure.textContent = t('kinetic.measuring');
+    ui.dispKineticCollisions.textContent = '';
+});
+
+ui.thermalEnabled.addEventListener('change', (e) => {
+    SimulationState.thermal.enabled = e.target.checked;
+});
+
+ui.thermalInfrared.addEventListener('change', (e) => {
+    SimulationState.thermal.infrared = e.target.checked;
+});
+
+ui.btnDay.addEventListener('click', () => {
+    SimulationState.thermal.daytime = true;
+    ui.btnDay.classList.add('active');
+    ui.btnNight.classList.remove('active');
+});
+
+ui.btnNight.addEventListener('click', () => {
+    SimulationState.thermal.daytime = false;
+    ui.btnNight.classList.add('active');
+    ui.btnDay.classList.remove('active');
+});
+
+// Wind profile
+ui.windSelect.addEventListener('change', (e) => {
+    SimulationState.wind.profile = e.target.value;
+    ui.windTableEditor.classList.toggle('hidden', e.target.value !== 'CUSTOM');
+});
+
+ui.btnAddWindRow.addEventListener('click', () => {
+    const table = SimulationState.wind.table;
+    const last = table[table.length - 1];
+    addWindRow({ altitude: last ? last.altitude + 5000 : 0, speed: last ? last.speed : 0, direction: last ? last.direction : 270 });
+    applyWindTable();
+});
+
 ui.btnLaunch.addEventListener('click', () => {
+    stopReplay();
+    cancelChallengeReplay();
+
+    // A finished flight (burst or touchdown) goes back to the launch pad first
+    if (SimulationState.flightPhase !== 'ASCENT') {
+        resetMissionState();
+        SimulationStore.emit(STATE_EVENTS.RESET);
+        initSimulation();
+    }
+
+    // An active challenge scores this flight, if the balloon meets its constraints
+    if (challenge.active && !challenge.run && !startChallengeRun()) return;
+
+    SimulationState.drift.landing = null;
+    SimulationStore.emit(STATE_EVENTS.LAUNCH);
+    updateLandingDisplay();
+    chartPanel.newRun();
+    telemetry.clear();
+    telemetry.interval = parseFloat(ui.telemetryRate.value);
+    flightRecorder.clear();
     SimulationState.isRunning = true;
+    updateTelemetryButtons();
 });
 
 ui.btnReset.addEventListener('click', () => {
+    stopReplay();
+    cancelChallengeReplay();
     resetMissionState();
-    sceneManager.reset();
+    SimulationStore.emit(STATE_EVENTS.RESET);
     initSimulation();
+    chartPanel.newRun();
+    updateTelemetryButtons();
+});
+
+ui.btnClearCharts.addEventListener('click', () => {
+    chartPanel.clear();
+});
+
+// Telemetry
+ui.telemetryRate.addEventListener('change', (e) => {
+    telemetry.interval = parseFloat(e.target.value);
+});
+
+ui.btnExportCsv.addEventListener('click', () => {
+    downloadFile(`${t('telemetry.fileName')}.csv`, telemetry.toCSV(), 'text/csv');
+});
+
+ui.btnExportJson.addEventListener('click', () => {
+    downloadFile(`${t('telemetry.fileName')}.json`, telemetry.toJSON(), 'application/json');
+});
+
+// Mission replay
+ui.btnReplay.addEventListener('click', () => {
+    if (SimulationState.replaying) {
+        stopReplay();
+    } else {
+        startReplay();
+    }
+});
+
+ui.btnReplayPlay.addEventListener('click', () => setReplayPlaying(!replay.playing));
+ui.btnReplayBack.addEventListener('click', () => stepReplay(-1));
+ui.btnReplayForward.addEventListener('click', () => stepReplay(1));
+
+ui.replayTimeline.addEventListener('input', (e) => {
+    replay.playing = false;
+    seekReplay(parseFloat(e.target.value));
+});
+
+ui.replaySpeed.addEventListener('change', (e) => {
+    replay.speed = parseFloat(e.target.value);
+});
+
+ui.replayEvents.addEventListener('change', (e) => {
+    const event = flightRecorder.events[parseInt(e.target.value, 10)];
+    e.target.value = '';
+    if (!event) return;
+    replay.playing = false;
+    seekReplay(event.time);
+});
+
+// Scenarios
+ui.scenarioSelect.addEventListener('change', updateScenarioDescription);
+
+ui.btnLoadScenario.addEventListener('click', () => {
+    try {
+        const scenario = getSelectedScenario();
+        if (!scenario) return;
+        applyScenario(scenario);
+        showScenarioMessage(t('scenario.loaded', { name: scenario.name }));
+    } catch (e) {
+        showScenarioMessage(e.message, true);
+    }
+});
+
+ui.btnDeleteScenario.addEventListener('click', () => {
+    const value = ui.scenarioSelect.value;
+    if (!value.startsWith('saved:')) return;
+    deleteSavedScenario(value.slice('saved:'.length));
+    renderScenarioList();
+    showScenarioMessage(t('scenario.deleted'));
+});
+
+ui.btnSaveScenario.addEventListener('click', () => {
+    try {
+        const scenario = captureScenario(ui.scenarioName.value.trim());
+        saveScenario(scenario);
+        renderScenarioList(`saved:${scenario.name}`);
+        showScenarioMessage(t('scenario.saved', { name: scenario.name }));
+    } catch (e) {
+        showScenarioMessage(e.message, true);
+    }
+});
+
+ui.btnShareScenario.addEventListener('click', () => {
+    const scenario = captureScenario(ui.scenarioName.value.trim() || t('scenario.sharedName'));
+    const url = scenarioUrl(scenario, `${window.location.origin}${window.location.pathname}`);
+    history.replaceState(null, '', url);
+
+    navigator.clipboard.writeText(url)
+        .then(() => showScenarioMessage(t('scenario.linkCopied')))
+        .catch(() => showScenarioMessage(t('scenario.copyFromAddressBar')));
+});
+
+ui.btnExportScenario.addEventListener('click', () => {
+    const scenario = captureScenario(ui.scenarioName.value.trim() || t('scenario.exportName'));
+    const filename = scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || t('scenario.fileName');
+    downloadFile(`${filename}.json`, scenarioToJSON(scenario), 'application/json');
+});
+
+ui.btnImportScenario.addEventListener('click', () => {
+    ui.scenarioFile.click();
+});
+
+ui.scenarioFile.addEventListener('change', () => {
+    const file = ui.scenarioFile.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            const scenario = scenarioFromJSON(text);
+            applyScenario(scenario);
+            showScenarioMessage(t('scenario.imported', { name: scenario.name }));
+        })
+        .catch(e => showScenarioMessage(e.message, true))
+        .finally(() => { ui.scenarioFile.value = ''; });
+});
+
+// Guided lessons
+ui.lessonSelect.addEventListener('change', updateLessonDescription);
+
+ui.btnStartLesson.addEventListener('click', () => {
+    try {
+        const lesson = getSelectedLesson();
+        if (lesson) startLesson(lesson);
+    } catch (e) {
+        showLessonMessage(e.message, true);
+    }
+});
+
+ui.btnStopLesson.addEventListener('click', () => {
+    stopLesson();
+    showLessonMessage(t('lesson.stopped'));
+});
+
+ui.btnDeleteLesson.addEventListener('click', () => {
+    const value = ui.lessonSelect.value;
+    if (!value.startsWith('saved:')) return;
+    deleteSavedLesson(value.slice('saved:'.length));
+    renderLessonList();
+    showLessonMessage(t('lesson.deleted'));
+});
+
+ui.btnExportLesson.addEventListener('click', () => {
+    const lesson = getSelectedLesson();
+    if (!lesson) return;
+    downloadFile(`${lesson.id || t('lesson.fileName')}.json`, lessonToJSON(lesson), 'application/json');
+});
+
+ui.btnImportLesson.addEventListener('click', () => {
+    ui.lessonFile.click();
+});
+
+ui.lessonFile.addEventListener('change', () => {
+    const file = ui.lessonFile.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            const lesson = lessonFromJSON(text);
+            saveLesson(lesson);
+            renderLessonList(`saved:${lesson.id}`);
+            showLessonMessage(t('lesson.imported', { title: localize(lesson.title) }));
+        })
+        .catch(e => showLessonMessage(e.message, true))
+        .finally(() => { ui.lessonFile.value = ''; });
+});
+
+ui.btnCheckPrediction.addEventListener('click', () => {
+    if (!lessonRunner || lessonRunner.finished || !lessonRunner.step.quiz) return;
+    const value = parseFloat(ui.lessonPrediction.value);
+    if (isNaN(value)) {
+        ui.lessonQuizResult.textContent = t('lesson.invalidPrediction');
+        ui.lessonQuizResult.style.color = 'var(--color-danger)';
+        return;
+    }
+    lessonRunner.predict(predictionFromDisplay(lessonRunner.step.quiz, SimulationState.units, value));
+    renderLesson();
+});
+
+ui.btnLessonHint.addEventListener('click', () => {
+    if (!lessonRunner) return;
+    if (lessonRunner.nextHint().length === 0) showLessonMessage(t('lesson.noHints'));
+    renderLesson();
+});
+
+ui.btnLessonNext.addEventListener('click', () => {
+    if (!lessonRunner || !lessonRunner.next(SimulationState)) return;
+    ui.lessonPrediction.value = '';
+    if (lessonRunner.finished) {
+        const { correct, total } = lessonRunner.score;
+        console.log(t('log.lessonFinished', { correct, total }));
+    }
+    renderLesson();
+});
+
+// Mission challenges
+ui.challengeSelect.addEventListener('change', updateChallengeInfo);
+ui.btnActivateChallenge.addEventListener('click', activateChallenge);
+ui.btnDeactivateChallenge.addEventListener('click', () => {
+    deactivateChallenge();
+    showChallengeMessage(t('challenge.deactivated'));
+});
+
+// Challenges are MISSION flights: another mode deactivates them
+SimulationStore.on(STATE_EVENTS.MODE, ({ mode }) => {
+    if (challenge.active && mode !== 'MISSION') {
+        deactivateChallenge();
+        showChallengeMessage(t('challenge.deactivated'));
+    }
+});
+
+// The fill shown against the challenge limit follows the gas and radius controls
+SimulationStore.subscribe(['balloon.moles', 'units'], () => {
+    if (challenge.active && !challenge.tracker) renderChallengeStatus();
+});
+
+// Events count towards the objectives of the current lesson step (e.g. the burst)
+Object.values(STATE_EVENTS).forEach(type => {
+    SimulationStore.on(type, () => {
+        if (!lessonRunner) return;
+        lessonRunner.notify(type);
+        if (lessonRunner.update(SimulationState)) renderLesson();
+    });
 });
 
+/**
+ * Point of a P–T path at a fraction of the animation: each segment takes the same time
+ * @param {Object[]} points - [{ pressure, temperature }], at least two
+ * @param {number} progress - 0 to 1
+ */
+function pointOnPath(points, progress) {
+    const segments = points.length - 1;
+    const position = Math.min(progress, 1) * segments;
+    const i = Math.min(Math.floor(position), segments - 1);
+    const f = position - i;
+    return {
+        pressure: points[i].pressure + (points[i + 1].pressure - points[i].pressure) * f,
+        temperature: points[i].temperature + (points[i + 1].temperature - points[i].temperature) * f
+    };
+}
+
 // --- Main Animation Loop ---
 function animate(currentTime) {
-    const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap dt
+    const deltaTime = Math.min((currentTime - lastTime) / 1000, MAX_FRAME_TIME); // Cap dt
     lastTime = currentTime;
 
     const s = SimulationState;
@@ -524,55 +2794,88 @@ function animate(currentTime) {
     if (s.animation.active) {
         s.animation.elapsed += deltaTime;
         const progress = Math.min(s.animation.elapsed / s.animation.duration, 1.0);
+        // The easing sets how the change is spread over the animation time (easing.js)
+        const eased = ease(s.animation.easing, progress);
 
         // Interpolate value
-        const value = s.animation.startValue + (s.animation.targetValue - s.animation.startValue) * progress;
+        const value = s.animation.startValue + (s.animation.targetValue - s.animation.startValue) * eased;
 
         if (s.animation.parameter === 'pressure') {
             s.env.pressure = value;
         } else if (s.animation.parameter === 'temperature') {
+            // For Gay-Lussac, simulationLoop updates P to keep V constant
             s.env.temperature = value;
-
-            // FIX: For Gay-Lussac, if T changes, P must change to keep V constant
-            if (s.mode === 'GAY-LUSSAC') {
-                // P = (nRT) / V
-                s.env.pressure = (s.balloon.moles * 8.314 * s.env.temperature) / s.balloon.constantVolume;
-            }
+        } else if (s.animation.parameter === 'moles') {
+            // For Avogadro, simulationLoop updates V at the constant P and T
+            s.balloon.moles = value;
+        } else if (s.animation.parameter === 'path') {
+            // Combined law: P and T move together (reaches the last point at progress 1)
+            const point = pointOnPath(s.animation.points, eased);
+            s.env.pressure = point.pressure;
+            s.env.temperature = point.temperature;
+        } else if (s.animation.parameter === 'cycle') {
+            // Thermodynamic cycle: P and T along the current process (V follows in simulationLoop)
+            const state = cycleRunner.stateAt(eased);
+            s.env.pressure = state.pressure;
+            s.env.temperature = state.temperature;
         }
 
-        // Stop when complete or limit reached
-        if (progress >= 1.0) {
+        // Stop when complete or limit reached (a cycle moves on in updateCycleRun)
+        if (progress >= 1.0 && s.animation.parameter !== 'cycle') {
             // Snap to target value
             if (s.animation.parameter === 'pressure') {
                 s.env.pressure = s.animation.targetValue;
             } else if (s.animation.parameter === 'temperature') {
                 s.env.temperature = s.animation.targetValue;
-
-                // Final snap for Gay-Lussac pressure
-                if (s.mode === 'GAY-LUSSAC') {
-                    s.env.pressure = (s.balloon.moles * 8.314 * s.env.temperature) / s.balloon.constantVolume;
-                }
+            } else if (s.animation.parameter === 'moles') {
+                s.balloon.moles = s.animation.targetValue;
             }
             s.animation.active = false;
-            console.log(`Animación completada. Valor final: ${s.animation.targetValue.toFixed(0)}`);
+            if (s.animation.parameter === 'path') {
+                console.log(t('log.pathDone', { pressure: formatNumber(s.env.pressure, 0), temperature: formatNumber(s.env.temperature, 0) }));
+            } else {
+                console.log(t('log.animationDone', { value: formatNumber(s.animation.targetValue, 0) }));
+            }
         }
     }
 
-    // Run physics
-    const result = simulationLoop(deltaTime);
+    // Run physics (a replay drives the state from the recorded frames instead)
+    let result = {};
+    if (s.replaying) {
+        updateReplay(deltaTime);
+    } else {
+        result = simulationLoop(deltaTime);
+    }
+
+    // Record telemetry and the replay (MISSION flights only)
+    if (s.mode === 'MISSION' && s.isRunning) {
+        telemetry.record(s);
+        flightRecorder.record(s);
+    }
+    if (challenge.run) updateChallengeRun();
+    if (s.animation.active && s.animation.parameter === 'cycle') updateCycleRun();
 
-    // Check for explosion
+    // Check for explosion: the scene shows it (and the predicted landing in MISSION)
     if (result.exploded) {
-        sceneManager.explode();
+        SimulationStore.emit(STATE_EVENTS.BURST, { mode: s.mode, altitude: s.env.altitude });
+    }
+
+    if (result.exploded && s.mode === 'MISSION') {
+        // Burst: the flight goes on, the payload descends under its parachute.
+        // Predicted landing point: computed by simulationLoop at burst
+        const landing = s.drift.landing;
+        updateLandingDisplay();
+
+        console.log(t('log.burstMission', { altitude: formatNumber(s.env.altitude, 0) }));
+        console.log(t('log.predictedLanding', { distance: formatNumber(landing.distance / 1000, 1), bearing: formatNumber(landing.bearing, 0) }));
+    } else if (result.exploded) {
         SimulationState.isRunning = false;
         SimulationState.animation.active = false;
+        updateTelemetryButtons();
 
-        console.log("¡EXPLOSIÓN! Resetando en 3 segundos...");
+        console.log(t('log.burst'));
 
         setTimeout(() => {
-            // Reset scene visual
-            sceneManager.reset();
-
             // Reset state
             if (s.mode === 'MISSION') {
                 resetMissionState();
@@ -585,21 +2888,62 @@ function animate(currentTime) {
                 SimulationState.balloon.radius = 1.0;
                 initSimulation();
             }
+            SimulationStore.emit(STATE_EVENTS.RESET);
+            chartPanel.newRun();
 
-            console.log("Simulación reiniciada");
+            console.log(t('log.restarted'));
         }, 3000);
     }
 
-    // Update UI and scene
-    updateUI();
+    // Touchdown after the parachute descent (MISSION)
+    if (result.landed) {
+        SimulationState.isRunning = false;
+        updateTelemetryButtons();
+        updateLandingDisplay();
+
+        const distance = Math.hypot(s.drift.x, s.drift.z);
+        SimulationStore.emit(STATE_EVENTS.LANDING, { x: s.drift.x, z: s.drift.z, distance });
+        console.log(t('log.landing', {
+            time: formatNumber(s.descent.descentTime / 60, 1),
+            velocity: formatNumber(s.descent.impactVelocity, 2),
+            distance: formatNumber(distance / 1000, 2)
+        }));
+    }
+
+    // Deliver this frame's events and changes: readouts and scene react to them
+    SimulationStore.flush();
+    if (!s.replaying) chartPanel.update(s);
     sceneManager.update(deltaTime);
+    if (sceneManager.showMolecules) updateKineticDisplay();
 
     requestAnimationFrame(animate);
 }
 
 // --- Start Application ---
+Object.entries(LANGUAGES).forEach(([code, language]) => {
+    ui.languageSelect.add(new Option(language.name, code));
+});
+loadCustomGases();
+applyLanguage(loadLanguage()); // Also fills the gas, wind and scenario lists
+addMixtureRow('HE', 90);
+addMixtureRow('AIR', 10);
+Object.assign(SimulationState.units, loadUnits());
+bindReadouts();
 initSimulation();
 updateControlVisibility();
+
+// Scenario from a shared link (?scenario=... or #scenario=...)
+try {
+    const shared = scenarioFromUrl(window.location);
+    if (shared) {
+        applyScenario(shared);
+        showScenarioMessage(t('scenario.loadedFromLink', { name: shared.name }));
+    }
+} catch (e) {
+    showScenarioMessage(e.message, true);
+}
+
 ui.status.style.color = '#00ff00';
-ui.status.textContent = '● ONLINE';
+ui.status.dataset.i18n = 'app.online'; // Translated with the page from now on
+ui.status.textContent = t('app.online');
 requestAnimationFrame(animate);
@@ -0,0 +1,194 @@
+// mission.js
+// Headless mission runner: simulates a full flight without DOM or Three.js.
+// Usable from Node scripts to batch-evaluate balloon configurations.
+import { createSimulationState } from './state.js';
+import { simulationLoop, fillBalloon, getAtmosphere, getEosConstants } from './physics.js';
+import { telemetrySample } from './telemetry.js';
+import { bearing } from './wind.js';
+import { applyPilotAction } from './pilot.js';
+import { t } from './i18n.js';
+
+// Default mission configuration (same values as the app UI defaults)
+export const DEFAULT_MISSION_CONFIG = {
+    gasType: 'HE',
+    eos: 'IDEAL',             // 'IDEAL' or 'VDW'
+    initialRadius: 1.0,       // m
+    massPayload: 0.5,         // kg
+    massBalloon: 0.2,         // kg
+    envelope: {},             // Overrides for the latex envelope (see state.js)
+    thermal: {},              // Overrides for the thermal model (see state.js)
+    descent: {},              // Overrides for the parachute descent (see state.js)
+    pilot: {},                // Overrides for the ballast and vent valve (see state.js)
+    windProfile: 'CALM',      // Key of WIND_PROFILES (wind.js)
+    windTable: null,          // Rows for the 'CUSTOM' profile: [{ altitude, speed, direction }]
+    fillPressure: 101325,     // Pa
+    fillTemperature: 293,     // K
+    seaLevelTemperature: 293, // K (ISA reference)
+    integrator: 'RK4',
+    fixedStep: 1 / 120,       // s
+    maxTime: 4 * 3600,        // s (simulation cut-off)
+    sampleInterval: 1,        // s between time series samples
+    stopOnFloat: true,        // End the run once the balloon floats (see FLOAT_TIME)
+    actions: [],              // Pilot action log [{ step, type, ... }] replayed at its physics step (see pilot.js)
+    onStep: null              // (s) => boolean, called after every physics step; true ends the run
+};
+
+// Float detection: the balloon is considered floating when its vertical
+// speed stays under FLOAT_SPEED for FLOAT_TIME seconds.
+const FLOAT_SPEED = 0.05; // m/s
+const FLOAT_TIME = 60;    // s
+
+/**
+ * Runs a complete MISSION flight: ascent, burst and parachute descent to touchdown.
+ * @param {Object} config - Mission configuration (see DEFAULT_MISSION_CONFIG)
+ * @returns {Object} { config, series, events }
+ *   series: telemetry samples (see TELEMETRY_FIELDS in telemetry.js)
+ *   events: { burst, burstAltitude, timeToBurst, maxVelocity, floatAltitude, landing, touchdown, endTime }
+ *   landing: predicted landing point after burst { x, z, distance, bearing, descentTime, path }
+ *   touchdown: simulated landing { x, z, distance, bearing, descentTime, impactVelocity }
+ */
+export function runMission(config = {}) {
+    const mission = createMission(config);
+    mission.advance(Infinity);
+    return mission.result();
+}
+
+/**
+ * Same flight as runMission(), advanced a few steps at a time so a browser
+ * can spread it over several tasks without freezing the page.
+ * @param {Object} config - Mission configuration (see DEFAULT_MISSION_CONFIG), massBalloon > 0
+ * @returns {Object} { advance(maxSteps), progress(), result() }
+ *   advance: simulates up to maxSteps physics steps, true once the flight has ended
+ *   progress: fraction of maxTime simulated so far (0-1)
+ *   result: { config, series, events } as returned by runMission()
+ */
+export function createMission(config = {}) {
+    const cfg = { ...DEFAULT_MISSION_CONFIG, ...config };
+    // The envelope heats up and cools down with its mass (thermal.js): it cannot be 0
+    if (!(cfg.massBalloon > 0)) throw new Error(t('mission.error.massBalloon', { value: cfg.massBalloon }));
+    const s = createSimulationState();
+
+    // Environment on the launch pad
+    s.mode = 'MISSION';
+    s.env.seaLevelTemperature = cfg.seaLevelTemperature;
+    const ground = getAtmosphere(0, cfg.seaLevelTemperature);
+    s.env.pressure = ground.pressure;
+    s.env.temperature = ground.temperature;
+
+    // Balloon
+    s.eos = cfg.eos;
+    s.balloon.gasType = cfg.gasType;
+    s.balloon.massPayload = cfg.massPayload;
+    s.balloon.massBalloon = cfg.massBalloon;
+    Object.assign(s.envelope, cfg.envelope);
+    Object.assign(s.thermal, cfg.thermal);
+    Object.assign(s.descent, cfg.descent);
+    Object.assign(s.pilot, cfg.pilot);
+    s.wind.profile = cfg.windProfile;
+    if (cfg.windTable) s.wind.table = cfg.windTable;
+    s.thermal.gasTemperature = ground.temperature;
+    s.thermal.filmTemperature = ground.temperature;
+    fillBalloon(s.balloon, cfg.initialRadius, cfg.fillPressure, cfg.fillTemperature, getEosConstants(s), s.envelope);
+
+    // Physics clock
+    s.physics.integrator = cfg.integrator;
+    s.physics.fixedStep = cfg.fixedStep;
+
+    // Launch
+    s.isRunning = true;
+
+    const series = [telemetrySample(s)];
+    const events = {
+        burst: false,
+        burstAltitude: null,
+        timeToBurst: null,
+        maxVelocity: 0,
+        floatAltitude: null,
+        landing: null,
+        touchdown: null,
+        endTime: 0
+    };
+
+    let nextSample = cfg.sampleInterval;
+    let slowSince = null;
+    let step = 0;
+    let nextAction = 0;
+    let finished = false;
+
+    // One fixed physics step; true when the flight ends
+    function stepOnce() {
+        // Pilot actions logged before this step (only while the balloon climbs, as in the app)
+        while (nextAction < cfg.actions.length && cfg.actions[nextAction].step <= step) {
+            if (s.flightPhase === 'ASCENT') applyPilotAction(s, cfg.actions[nextAction]);
+            nextAction++;
+        }
+
+        // One call = exactly one fixed physics step
+        const result = simulationLoop(cfg.fixedStep, s);
+        step++;
+        const stop = cfg.onStep ? cfg.onStep(s) : false;
+
+        events.maxVelocity = Math.max(events.maxVelocity, s.balloon.velocity);
+
+        if (result.exploded) {
+            events.burst = true;
+            events.burstAltitude = s.env.altitude;
+            events.timeToBurst = s.physics.time;
+            events.landing = s.drift.landing;
+            series.push(telemetrySample(s));
+            return stop;
+        }
+
+        if (result.landed) {
+            events.touchdown = {
+                x: s.drift.x,
+                z: s.drift.z,
+                distance: Math.hypot(s.drift.x, s.drift.z),
+                bearing: bearing(s.drift.x, s.drift.z),
+                descentTime: s.descent.descentTime,
+                impactVelocity: s.descent.impactVelocity
+            };
+            series.push(telemetrySample(s));
+            return true;
+        }
+
+        if (stop) {
+            series.push(telemetrySample(s));
+            return true;
+        }
+
+        if (s.physics.time >= nextSample) {
+            series.push(telemetrySample(s));
+            nextSample += cfg.sampleInterval;
+        }
+
+        // Float detection (includes a balloon that never leaves the ground)
+        if (cfg.stopOnFloat && s.flightPhase === 'ASCENT' && Math.abs(s.balloon.velocity) < FLOAT_SPEED) {
+            if (slowSince === null) slowSince = s.physics.time;
+            if (s.physics.time - slowSince >= FLOAT_TIME) {
+                events.floatAltitude = s.env.altitude;
+                series.push(telemetrySample(s));
+                return true;
+            }
+        } else {
+            slowSince = null;
+        }
+        return false;
+    }
+
+    return {
+        advance(maxSteps) {
+            for (let i = 0; i < maxSteps && !finished; i++) {
+                if (s.physics.time >= cfg.maxTime || stepOnce()) finished = true;
+            }
+            return finished;
+        },
+        progress() {
+            return finished ? 1 : Math.min(1, s.physics.time / cfg.maxTime);
+        },
+        result() {
+            events.endTime = s.physics.time;
+            return { config: cfg, series, events };
+        }
+    };
+}
@@ -1,139 +1,875 @@
 // physics.js
 import { SimulationState, GAS_PROPERTIES } from './state.js';
+import { integrate } from './integrators.js';
+import { envelopePressure, envelopeWallStress, envelopeTension, hasEnvelopeFailed } from './envelope.js';
+import { thermalRates } from './thermal.js';
+import { ventMolarFlow } from './pilot.js';
+import { getGamma } from './gases.js';
+import { getWind, getWindTable, bearing } from './wind.js';
 
 // Constants
-const R = 8.314; // Ideal Gas Constant (J/(mol·K))
+export const R = 8.314; // Ideal Gas Constant (J/(mol·K))
+
+// Standard gravity and dry air molar mass used by the ISA definition
+const G0 = 9.80665;     // m/s²
+const M_AIR = 0.0289644; // kg/mol
+
+// Sea level temperature references (Kelvin)
+export const SEA_LEVEL_REFERENCES = {
+    FRIENDLY: 293,  // 20°C, used by the educational modes
+    ISA: 288.15     // 15°C, official ISA value
+};
+
+// ISA layer definition (geopotential altitude).
+// lapseRate is dT/dh in K/m (negative = temperature decreases with altitude).
+// Base temperatures and pressures are derived in buildAtmosphereLayers().
+// Layer names are translated from the id ('layer.<id>' in the language bundles).
+const ISA_LAYER_TABLE = [
+    { id: 'TROPOSPHERE',    baseAltitude: 0,     lapseRate: -0.0065 },
+    { id: 'TROPOPAUSE',     baseAltitude: 11000, lapseRate: 0 },
+    { id: 'STRATOSPHERE_1', baseAltitude: 20000, lapseRate: 0.001 },
+    { id: 'STRATOSPHERE_2', baseAltitude: 32000, lapseRate: 0.0028 },
+    { id: 'STRATOPAUSE',    baseAltitude: 47000, lapseRate: 0 },
+    { id: 'MESOSPHERE_1',   baseAltitude: 51000, lapseRate: -0.0028 },
+    { id: 'MESOSPHERE_2',   baseAltitude: 71000, lapseRate: -0.002 },
+    { id: 'MESOPAUSE',      baseAltitude: 84852, lapseRate: 0 }
+];
+
+const layerCache = new Map();
 
 /**
- * International Standard Atmosphere (ISA) Model (Simplified for Troposphere)
- * @param {number} altitude - Altitude in meters
- * @returns {Object} { pressure, temperature }
+ * Builds the ISA layer table for a given sea level temperature.
+ * The whole temperature profile is shifted by (T0 - 288.15) and the base
+ * pressure of each layer is chained from the one below it.
+ * @param {number} seaLevelTemperature - T0 in Kelvin
+ * @returns {Array} Layers with { name, baseAltitude, lapseRate, baseTemperature, basePressure }
  */
-export function getAtmosphere(altitude) {
-    // Troposphere constants (0-11km)
-    const T0 = 293; // Sea level standard temp (modified to 20°C for user friendliness, usually 288.15K)
+export function buildAtmosphereLayers(seaLevelTemperature = SEA_LEVEL_REFERENCES.FRIENDLY) {
+    if (layerCache.has(seaLevelTemperature)) return layerCache.get(seaLevelTemperature);
+
     const P0 = 101325; // Sea level standard pressure (Pa)
-    const L = 0.0065; // Temperature lapse rate (K/m)
-    const g = 9.81;
-    const M_air = 0.0289644; // Molar mass of dry air (kg/mol)
+    const layers = [];
+    let baseTemperature = seaLevelTemperature;
+    let basePressure = P0;
+
+    ISA_LAYER_TABLE.forEach((def, i) => {
+        if (i > 0) {
+            // Carry T and P from the top of the previous layer
+            const prev = layers[i - 1];
+            const thickness = def.baseAltitude - prev.baseAltitude;
+            baseTemperature = prev.baseTemperature + prev.lapseRate * thickness;
+            basePressure = layerPressure(prev, def.baseAltitude);
+        }
+        layers.push({ ...def, baseTemperature, basePressure });
+    });
+
+    layerCache.set(seaLevelTemperature, layers);
+    return layers;
+}
+
+/**
+ * Pressure inside a single layer.
+ * Gradient layers: P = Pb * (Tb / (Tb + L·Δh))^(g·M / (R·L))
+ * Isothermal layers: P = Pb * exp(-g·M·Δh / (R·Tb))
+ */
+function layerPressure(layer, altitude) {
+    const dh = altitude - layer.baseAltitude;
+    if (layer.lapseRate === 0) {
+        return layer.basePressure * Math.exp((-G0 * M_AIR * dh) / (R * layer.baseTemperature));
+    }
+    const temperature = layer.baseTemperature + layer.lapseRate * dh;
+    const exponent = (G0 * M_AIR) / (R * layer.lapseRate);
+    return layer.basePressure * Math.pow(layer.baseTemperature / temperature, exponent);
+}
+
+/**
+ * Finds the ISA layer that contains a given altitude.
+ * Altitudes below sea level use the troposphere, altitudes above the
+ * mesopause use the last (isothermal) layer.
+ */
+export function getAtmosphereLayer(altitude, seaLevelTemperature = SEA_LEVEL_REFERENCES.FRIENDLY) {
+    const layers = buildAtmosphereLayers(seaLevelTemperature);
+    let layer = layers[0];
+    for (const candidate of layers) {
+        if (altitude >= candidate.baseAltitude) layer = candidate;
+    }
+    return layer;
+}
+
+/**
+ * International Standard Atmosphere (ISA) Model, 0-85 km
+ * (troposphere, tropopause, stratosphere 1 and 2, stratopause and mesosphere)
+ * @param {number} altitude - Altitude in meters
+ * @param {number} seaLevelTemperature - T0 in Kelvin (SEA_LEVEL_REFERENCES)
+ * @returns {Object} { pressure, temperature, layer }
+ */
+export function getAtmosphere(altitude, seaLevelTemperature = SEA_LEVEL_REFERENCES.FRIENDLY) {
+    const layer = getAtmosphereLayer(altitude, seaLevelTemperature);
 
     // Temperature at altitude
-    let temperature = T0 - (L * altitude);
+    let temperature = layer.baseTemperature + layer.lapseRate * (altitude - layer.baseAltitude);
 
     // Prevent absolute zero or negative physics glitches
     if (temperature < 1) temperature = 1;
 
-    // Pressure at altitude (Barometric formula)
-    // P = P0 * (1 - L*h/T0)^(g*M / R*L)
-    const exponent = (g * M_air) / (R * L);
-    const base = 1 - (L * altitude) / T0;
+    const pressure = layerPressure(layer, altitude);
 
-    // If base is negative (above atmosphere limit in this simple model), clamp pressure
-    let pressure = (base > 0) ? P0 * Math.pow(base, exponent) : 0;
+    return { pressure, temperature, layer: layer.id };
+}
 
-    return { pressure, temperature };
+/**
+ * Real roots of c3·x³ + c2·x² + c1·x + c0 = 0 (trigonometric / Cardano method)
+ * @returns {number[]} Real roots in ascending order
+ */
+export function solveCubic(c3, c2, c1, c0) {
+    // Normalize to x³ + A·x² + B·x + C = 0
+    const A = c2 / c3;
+    const B = c1 / c3;
+    const C = c0 / c3;
+
+    // Depressed cubic t³ + p·t + q = 0 with x = t - A/3
+    const p = B - (A * A) / 3;
+    const q = (2 * A * A * A) / 27 - (A * B) / 3 + C;
+    const shift = -A / 3;
+    const discriminant = (q * q) / 4 + (p * p * p) / 27;
+
+    let roots;
+    if (discriminant > 0) {
+        // One real root
+        const sqrtD = Math.sqrt(discriminant);
+        roots = [Math.cbrt(-q / 2 + sqrtD) + Math.cbrt(-q / 2 - sqrtD) + shift];
+    } else {
+        // Three real roots
+        const r = Math.sqrt(-p / 3);
+        const phi = Math.acos(Math.max(-1, Math.min(1, (-q / 2) / (r * r * r || 1))));
+        roots = [0, 1, 2].map(k => 2 * r * Math.cos((phi - 2 * Math.PI * k) / 3) + shift);
+    }
+    return roots.sort((x, y) => x - y);
+}
+
+/**
+ * Van der Waals constants for the active equation of state.
+ * @param {Object} s - Simulation state
+ * @returns {Object|null} { a, b } in SI units, or null for the ideal gas law
+ */
+export function getEosConstants(s = SimulationState) {
+    if (s.eos !== 'VDW') return null;
+    const gas = GAS_PROPERTIES[s.balloon.gasType];
+    return { a: gas.a || 0, b: gas.b || 0 };
+}
+
+/**
+ * Molar volume v = V/n from (P + a/v²)(v - b) = RT
+ * Expanded: P·v³ - (P·b + R·T)·v² + a·v - a·b = 0
+ * When three real roots exist (liquid-vapour region) the gas root (largest) is used.
+ */
+function vanDerWaalsMolarVolume(T, P, vdw) {
+    const { a, b } = vdw;
+    const roots = solveCubic(P, -(P * b + R * T), a, -a * b).filter(v => v > b);
+    return roots.length > 0 ? roots[roots.length - 1] : (R * T) / P;
 }
 
 /**
  * Calculate Volume using Ideal Gas Law: V = (nRT) / P
+ * or the van der Waals equation when vdw constants are given.
+ * @param {Object|null} vdw - { a, b } (see getEosConstants) or null for ideal gas
  */
-export function calculateVolume(n, T, P) {
+export function calculateVolume(n, T, P, vdw = null) {
     if (P <= 0) return Infinity; // Space vacuum expansion
-    return (n * R * T) / P;
+    if (!vdw) return (n * R * T) / P;
+    return n * vanDerWaalsMolarVolume(T, P, vdw);
 }
 
 /**
  * Calculate Moles based on initial conditions: n = (PV) / (RT)
+ * With van der Waals: n = V / v, where v is the molar volume at (P, T)
+ */
+export function calculateMoles(P, V, T, vdw = null) {
+    if (!vdw) return (P * V) / (R * T);
+    return V / vanDerWaalsMolarVolume(T, P, vdw);
+}
+
+/**
+ * Calculate Pressure: P = nRT / V (ideal) or P = nRT / (V - nb) - a·n² / V² (van der Waals)
+ */
+export function calculatePressure(n, T, V, vdw = null) {
+    if (!vdw) return (n * R * T) / V;
+    return (n * R * T) / (V - n * vdw.b) - (vdw.a * n * n) / (V * V);
+}
+
+/**
+ * Compressibility factor Z = PV / (nRT). Z = 1 for an ideal gas.
+ */
+export function compressibilityFactor(P, V, n, T) {
+    return (P * V) / (n * R * T);
+}
+
+/**
+ * Heat capacity ratio γ = Cp/Cv of the gas in the balloon
+ */
+export function getGasGamma(s = SimulationState) {
+    return getGamma(GAS_PROPERTIES[s.balloon.gasType]);
+}
+
+/**
+ * Temperature on the adiabat through a reference state: T / P^((γ−1)/γ) is constant,
+ * the same curve as PV^γ constant for an ideal gas
+ * @param {Object} reference - { pressure (Pa), temperature (K) }
+ */
+export function adiabaticTemperature(P, reference, gamma) {
+    return reference.temperature * Math.pow(P / reference.pressure, (gamma - 1) / gamma);
+}
+
+function sphereVolume(radius) {
+    return (4 / 3) * Math.PI * radius * radius * radius;
+}
+
+function sphereRadius(volume) {
+    // V = 4/3 * pi * r^3  =>  r = cbrt(3V / 4pi)
+    return Math.pow((3 * volume) / (4 * Math.PI), 1 / 3);
+}
+
+// Envelope equilibrium solver settings
+const BRACKET_GROWTH = 1.01;  // Radius factor used to bracket the root
+const MAX_STRETCH = 100;      // Search limit (far beyond any burst stretch)
+const ROOT_TOLERANCE = 1e-10; // Relative radius tolerance
+const ROOT_MAX_STEPS = 60;
+
+/**
+ * Gas-envelope equilibrium: finds the radius where the gas pressure equals the
+ * ambient pressure plus the elastic superpressure, P_gas(V(r)) = P_ext + ΔP(r / r0).
+ * The search starts at guessRadius (the previous radius), so the balloon follows the
+ * inflation branch and snaps through when that branch disappears.
+ * @param {number} n - Moles of gas
+ * @param {number} T - Gas temperature (K)
+ * @param {number} P - External pressure (Pa)
+ * @param {Object} envelope - Envelope parameters (see state.js)
+ * @param {Object|null} vdw - van der Waals constants (null = ideal gas)
+ * @param {number} guessRadius - Starting radius for the root search (m)
+ * @returns {Object} { radius, volume, stretch, superpressure, wallStress }
+ */
+export function solveEnvelope(n, T, P, envelope, vdw = null, guessRadius = envelope.unstretchedRadius) {
+    const r0 = envelope.unstretchedRadius;
+    const balance = r => calculatePressure(n, T, sphereVolume(r), vdw) - P - envelopePressure(r / r0, envelope);
+
+    // Slack envelope: the gas does not even fill the unstretched balloon
+    let radius = sphereRadius(calculateVolume(n, T, P, vdw));
+
+    if (radius > r0) {
+        // Bracket the root [lo, hi] with balance(lo) >= 0 > balance(hi)
+        let lo = Math.max(guessRadius, r0);
+        let hi;
+        if (balance(lo) >= 0) {
+            hi = lo * BRACKET_GROWTH;
+            while (balance(hi) >= 0 && hi < r0 * MAX_STRETCH) {
+                lo = hi;
+                hi *= BRACKET_GROWTH;
+            }
+        } else {
+            hi = lo;
+            lo = Math.max(hi / BRACKET_GROWTH, r0);
+            while (balance(lo) < 0 && lo > r0) {
+                hi = lo;
+                lo = Math.max(lo / BRACKET_GROWTH, r0);
+            }
+        }
+
+        // Regula falsi (Illinois variant) inside the bracket
+        let fLo = balance(lo);
+        let fHi = balance(hi);
+        let side = 0;
+        for (let i = 0; i < ROOT_MAX_STEPS && (hi - lo) > ROOT_TOLERANCE * hi; i++) {
+            const mid = (lo * fHi - hi * fLo) / (fHi - fLo);
+            const fMid = balance(mid);
+            if (fMid >= 0) {
+                lo = mid; fLo = fMid;
+                if (side === 1) fHi /= 2;
+                side = 1;
+            } else {
+                hi = mid; fHi = fMid;
+                if (side === -1) fLo /= 2;
+                side = -1;
+            }
+        }
+        radius = (lo + hi) / 2;
+    }
+
+    const stretch = radius / r0;
+    return {
+        radius,
+        volume: sphereVolume(radius),
+        stretch,
+        superpressure: envelopePressure(stretch, envelope),
+        wallStress: envelopeWallStress(stretch, envelope)
+    };
+}
+
+/**
+ * Fills a balloon to a given radius at the filling station conditions (P, T).
+ * Sets moles, volume and radius on the given balloon state.
+ * With an elastic envelope the gas is compressed by the envelope superpressure.
+ * @param {Object} balloon - balloon part of a simulation state
+ * @param {number} radius - Fill radius in meters
+ * @param {number} P - Fill pressure in Pa
+ * @param {number} T - Fill temperature in Kelvin
+ * @param {Object|null} vdw - van der Waals constants (null = ideal gas)
+ * @param {Object|null} envelope - Envelope parameters (null = no envelope)
+ */
+export function fillBalloon(balloon, radius, P, T, vdw = null, envelope = null) {
+    const volume = sphereVolume(radius);
+    const internalPressure = envelope ? P + envelopePressure(radius / envelope.unstretchedRadius, envelope) : P;
+    balloon.moles = calculateMoles(internalPressure, volume, T, vdw);
+    balloon.volume = volume;
+    balloon.radius = radius;
+}
+
+// Fixed step scheduling
+const MAX_SUBSTEPS = 240; // Safety guard against the "spiral of death" after long frames
+
+// Gravity falls with the distance to the Earth's centre
+const EARTH_RADIUS = 6371000; // m (mean radius)
+
+// Sutherland's law for the dynamic viscosity of air
+const SUTHERLAND = {
+    referenceViscosity: 1.716e-5,  // Pa·s at the reference temperature
+    referenceTemperature: 273.15,  // K
+    constant: 110.4                // K
+};
+
+// Drag coefficient of a smooth sphere against the Reynolds number (standard curve).
+// Cd is interpolated on log-log axes; below the first point the flow is Stokes flow (Cd = 24/Re).
+// The drop between 2·10⁵ and 4·10⁵ is the drag crisis: the boundary layer turns turbulent,
+// separates later and the wake narrows.
+const SPHERE_DRAG_TABLE = [
+    { reynolds: 0.1, cd: 244 },
+    { reynolds: 1, cd: 27 },
+    { reynolds: 10, cd: 4.3 },
+    { reynolds: 100, cd: 1.1 },
+    { reynolds: 1e3, cd: 0.47 },
+    { reynolds: 1e4, cd: 0.41 },
+    { reynolds: 1e5, cd: 0.48 },
+    { reynolds: 2e5, cd: 0.45 },
+    { reynolds: 3e5, cd: 0.3 },
+    { reynolds: 4e5, cd: 0.12 },
+    { reynolds: 1e6, cd: 0.15 },
+    { reynolds: 1e7, cd: 0.2 }
+];
+
+/**
+ * Gravitational acceleration at a geometric altitude: g(h) = g₀ · (R⊕ / (R⊕ + h))²
+ * (the ISA pressure formulas keep g₀, since their altitudes are geopotential)
+ * @param {number} altitude - m
+ * @returns {number} m/s²
+ */
+export function gravityAt(altitude) {
+    const ratio = EARTH_RADIUS / (EARTH_RADIUS + altitude);
+    return G0 * ratio * ratio;
+}
+
+/**
+ * Dynamic viscosity of air (Sutherland's law): μ = μ₀ · (T/T₀)^(3/2) · (T₀ + S) / (T + S)
+ * @param {number} temperature - K
+ * @returns {number} Pa·s
+ */
+export function airViscosity(temperature) {
+    const { referenceViscosity, referenceTemperature, constant } = SUTHERLAND;
+    return referenceViscosity * Math.pow(temperature / referenceTemperature, 1.5) *
+        (referenceTemperature + constant) / (temperature + constant);
+}
+
+/**
+ * Reynolds number of a sphere: Re = ρ · |u| · D / μ
+ * @param {number} airDensity - kg/m³
+ * @param {number} speed - Airspeed (m/s)
+ * @param {number} radius - m
+ * @param {number} viscosity - Pa·s
+ */
+export function reynoldsNumber(airDensity, speed, radius, viscosity) {
+    return airDensity * speed * 2 * radius / viscosity;
+}
+
+/**
+ * Drag coefficient of a smooth sphere, Cd(Re) (see SPHERE_DRAG_TABLE)
+ * @param {number} reynolds - Re
+ * @returns {number} Cd, 0 when Re is not positive (a sphere at rest has no drag) or NaN
+ */
+export function sphereDragCoefficient(reynolds) {
+    if (!(reynolds > 0)) return 0;
+    const first = SPHERE_DRAG_TABLE[0];
+    const last = SPHERE_DRAG_TABLE[SPHERE_DRAG_TABLE.length - 1];
+    if (reynolds < first.reynolds) return 24 / reynolds;
+    if (reynolds >= last.reynolds) return last.cd;
+
+    const upper = SPHERE_DRAG_TABLE.findIndex(point => point.reynolds > reynolds);
+    const a = SPHERE_DRAG_TABLE[upper - 1];
+    const b = SPHERE_DRAG_TABLE[upper];
+    const fraction = Math.log(reynolds / a.reynolds) / Math.log(b.reynolds / a.reynolds);
+    return a.cd * Math.pow(b.cd / a.cd, fraction);
+}
+
+// Terminal velocity search
+const TERMINAL_ITERATIONS = 60;
+
+/**
+ * Vertical velocity at which the drag of the sphere balances the net force, with Cd
+ * following the Reynolds number of that velocity: ½ · ρ · v² · Cd(Re(v)) · A = |F|.
+ * This is the plateau the ascent rate settles on. Solved by bisection: around the drag
+ * crisis the drag can decrease as the speed grows, and there may be several solutions.
+ * @param {number} netForce - Buoyancy minus weight (N)
+ * @returns {number} m/s (negative when the balloon sinks)
+ */
+export function terminalVelocity(netForce, airDensity, radius, viscosity) {
+    if (netForce === 0 || radius <= 0) return 0;
+    const force = Math.abs(netForce);
+    const area = Math.PI * radius * radius;
+    const drag = speed => 0.5 * airDensity * speed * speed *
+        sphereDragCoefficient(reynoldsNumber(airDensity, speed, radius, viscosity)) * area;
+
+    // The drag at the lowest Cd of the curve bounds the solution from above
+    const minimumCd = Math.min(...SPHERE_DRAG_TABLE.map(point => point.cd));
+    let low = 0;
+    let high = Math.sqrt(2 * force / (airDensity * minimumCd * area));
+    for (let i = 0; i < TERMINAL_ITERATIONS; i++) {
+        const middle = (low + high) / 2;
+        if (drag(middle) < force) low = middle;
+        else high = middle;
+    }
+    return Math.sign(netForce) * (low + high) / 2;
+}
+
+/**
+ * Ascent dynamics for a given altitude and velocity.
+ * Computes the atmosphere, balloon volume (elastic envelope) and the net acceleration.
+ * Drag acts on the velocity relative to the wind, which is what carries the balloon sideways.
+ * @param {Array} velocity - [vx, vy, vz] (m/s)
+ * @returns {Object} { acceleration: [ax, ay, az], pressure, temperature, volume, radius, shape, buoyancy, weight, drag, airDensity,
+ *                     gravity, viscosity, reynolds, dragCoefficient }
+ */
+function missionDynamics(s, altitude, velocity) {
+    const g = gravityAt(altitude);
+    const M_gas = GAS_PROPERTIES[s.balloon.gasType].molarMass;
+
+    // Atmosphere at this altitude
+    const { pressure, temperature } = getAtmosphere(altitude, s.env.seaLevelTemperature);
+
+    // Balloon volume: gas at its own temperature (thermal model), pressurized by the elastic envelope
+    const gasTemperature = s.thermal.enabled ? s.thermal.gasTemperature : temperature;
+    const shape = solveEnvelope(s.balloon.moles, gasTemperature, pressure, s.envelope, getEosConstants(s), s.balloon.radius);
+    const { volume, radius } = shape;
+
+    // Density of outside air: rho = (P * M) / (R * T)
+    const rhoAir = (pressure * M_AIR) / (R * temperature);
+
+    // Buoyancy Force (Archimedes): F_b = rho_air * V * g
+    const liftForce = rhoAir * volume * g;
+
+    // Weight Forces:
+    // Mass of gas: m_gas = n * M_gas
+    const massGas = s.balloon.moles * M_gas;
+    const totalMass = s.balloon.massPayload + s.balloon.massBalloon + massGas;
+    const gravityForce = totalMass * g;
+
+    // Net Force
+    const netForce = liftForce - gravityForce;
+
+    // Drag Force: F_d = 0.5 * rho_air * |u| * u * Cd * A, with u = v - wind
+    // Drag always opposes the motion relative to the air. Cd follows the Reynolds number
+    const wind = getWind(altitude, getWindTable(s.wind));
+    const relX = velocity[0] - wind.x;
+    const relY = velocity[1];
+    const relZ = velocity[2] - wind.z;
+    const airspeed = Math.hypot(relX, relY, relZ);
+    const viscosity = airViscosity(temperature);
+    const reynolds = reynoldsNumber(rhoAir, airspeed, radius, viscosity);
+    const Cd = sphereDragCoefficient(reynolds); // 0 at rest
+    const Area = Math.PI * radius * radius;
+    const dragFactor = -0.5 * rhoAir * airspeed * Cd * Area;
+    const dragX = dragFactor * relX;
+    const dragForce = dragFactor * relY;
+    const dragZ = dragFactor * relZ;
+
+    // Acceleration: F = ma
+    const acceleration = [dragX / totalMass, (netForce + dragForce) / totalMass, dragZ / totalMass];
+
+    return {
+        acceleration, pressure, temperature, volume, radius, shape,
+        buoyancy: liftForce, weight: gravityForce, drag: dragForce, airDensity: rhoAir,
+        gravity: g, viscosity, reynolds, dragCoefficient: Cd
+    };
+}
+
+/**
+ * Stores the envelope equilibrium in the state (volume, radius, stretch, stress, tension)
  */
-export function calculateMoles(P, V, T) {
-    return (P * V) / (R * T);
+function applyEnvelopeShape(s, shape) {
+    s.balloon.volume = shape.volume;
+    s.balloon.radius = shape.radius;
+    s.envelope.stretch = shape.stretch;
+    s.envelope.superpressure = shape.superpressure;
+    s.envelope.wallStress = shape.wallStress;
+    s.balloon.tension = envelopeTension(shape.stretch, s.envelope);
+}
+
+/**
+ * Advances the gas and envelope temperatures by one step (explicit Euler, operator split
+ * from the motion). Without the thermal model the gas follows the ambient temperature.
+ */
+function stepThermal(s, dt, state) {
+    const thermal = s.thermal;
+    if (!thermal.enabled) {
+        thermal.gasTemperature = state.temperature;
+        thermal.filmTemperature = state.temperature;
+        return;
+    }
+
+    const rates = thermalRates(thermal, {
+        moles: s.balloon.moles,
+        gamma: getGasGamma(s),
+        radius: state.radius,
+        volume: state.volume,
+        massBalloon: s.balloon.massBalloon,
+        ambientTemperature: state.temperature,
+        airDensity: state.airDensity,
+        pressure: state.pressure,
+        // Hydrostatic pressure change seen by the rising balloon: dP/dt = -ρ·g·v
+        pressureRate: -state.airDensity * state.gravity * s.balloon.velocity,
+        velocity: s.balloon.velocity
+    });
+
+    thermal.gasTemperature += rates.gasRate * dt;
+    thermal.filmTemperature += rates.filmRate * dt;
+}
+
+/**
+ * Vents gas through the pilot valve for one step (explicit Euler, operator split).
+ * The flow is driven by the envelope superpressure.
+ */
+function stepValve(s, dt) {
+    const flow = ventMolarFlow(
+        s.pilot,
+        s.envelope.superpressure,
+        s.env.pressure + s.envelope.superpressure,
+        s.thermal.gasTemperature,
+        GAS_PROPERTIES[s.balloon.gasType].molarMass
+    );
+    const vented = Math.min(flow * dt, s.balloon.moles);
+    s.balloon.moles -= vented;
+    s.pilot.gasReleased += vented;
+}
+
+/**
+ * Temperature and pressure of the gas inside the balloon.
+ * In MISSION the gas is pressurized by the envelope and has its own temperature.
+ * @returns {Object} { pressure, temperature }
+ */
+export function getGasState(s = SimulationState) {
+    if (s.mode !== 'MISSION') {
+        return { pressure: s.env.pressure, temperature: s.env.temperature };
+    }
+    return {
+        pressure: s.env.pressure + s.envelope.superpressure,
+        temperature: s.thermal.gasTemperature
+    };
+}
+
+/**
+ * Advances the mission by exactly one fixed physics step.
+ */
+function stepMission(s, dt) {
+    // State vector [x, altitude, z] in scene axes
+    const accelFn = (x, v) => missionDynamics(s, x[1], v).acceleration;
+    const next = integrate(s.physics.integrator,
+        [s.drift.x, s.env.altitude, s.drift.z],
+        [s.drift.velocityX, s.balloon.velocity, s.drift.velocityZ], dt, accelFn);
+
+    [s.drift.x, s.env.altitude, s.drift.z] = next.x;
+    [s.drift.velocityX, s.balloon.velocity, s.drift.velocityZ] = next.v;
+
+    // Floor collision: the payload rests on the ground, so the wind does not drag it
+    if (s.env.altitude < 0) {
+        s.env.altitude = 0;
+        s.balloon.velocity = 0;
+        s.drift.velocityX = 0;
+        s.drift.velocityZ = 0;
+    }
+
+    // Sync environment and balloon with the new altitude
+    const state = missionDynamics(s, s.env.altitude, [s.drift.velocityX, s.balloon.velocity, s.drift.velocityZ]);
+    s.env.pressure = state.pressure;
+    s.env.temperature = state.temperature;
+    s.env.gravity = state.gravity;
+    applyEnvelopeShape(s, state.shape);
+    stepThermal(s, dt, state);
+    stepValve(s, dt);
+
+    // Forces at the end of the step (for telemetry)
+    s.forces.buoyancy = state.buoyancy;
+    s.forces.weight = state.weight;
+    s.forces.drag = state.drag;
+    s.forces.acceleration = state.acceleration[1];
+    s.forces.airDensity = state.airDensity;
+    s.forces.reynolds = state.reynolds;
+    s.forces.dragCoefficient = state.dragCoefficient;
+    s.forces.terminalVelocity = terminalVelocity(state.buoyancy - state.weight, state.airDensity, state.radius, state.viscosity);
+}
+
+/**
+ * Mass falling under the parachute: payload plus the latex fragments still tied to it
+ */
+export function descentMass(s) {
+    return s.balloon.massPayload + s.balloon.massBalloon * s.descent.fragmentFraction;
+}
+
+/**
+ * Terminal velocity under the parachute: weight = drag  =>  v = √(2mg / (ρ·Cd·A))
+ * @param {Object} s - Simulation state
+ * @param {number} airDensity - kg/m³
+ * @param {number} gravity - m/s² (defaults to the current altitude's)
+ * @returns {number} m/s
+ */
+export function parachuteTerminalVelocity(s, airDensity, gravity = s.env.gravity) {
+    const { parachuteCd, parachuteArea } = s.descent;
+    return Math.sqrt((2 * descentMass(s) * gravity) / (airDensity * parachuteCd * parachuteArea));
+}
+
+/**
+ * Descent dynamics after burst: payload and fragments under the parachute.
+ * The canopy drag acts on the velocity relative to the wind, like the balloon's.
+ * @param {Array} velocity - [vx, vy, vz] (m/s)
+ * @returns {Object} { acceleration: [ax, ay, az], pressure, temperature, weight, drag, airDensity, gravity, airspeed }
+ */
+function descentDynamics(s, altitude, velocity) {
+    const g = gravityAt(altitude);
+    const { pressure, temperature } = getAtmosphere(altitude, s.env.seaLevelTemperature);
+    const rhoAir = (pressure * M_AIR) / (R * temperature);
+
+    const mass = descentMass(s);
+    const gravityForce = mass * g;
+
+    const wind = getWind(altitude, getWindTable(s.wind));
+    const relX = velocity[0] - wind.x;
+    const relY = velocity[1];
+    const relZ = velocity[2] - wind.z;
+    const airspeed = Math.hypot(relX, relY, relZ);
+    const dragFactor = -0.5 * rhoAir * airspeed * s.descent.parachuteCd * s.descent.parachuteArea;
+    const dragForce = dragFactor * relY;
+
+    const acceleration = [dragFactor * relX / mass, (dragForce - gravityForce) / mass, dragFactor * relZ / mass];
+
+    return {
+        acceleration, pressure, temperature, weight: gravityForce, drag: dragForce, airDensity: rhoAir,
+        gravity: g, airspeed
+    };
+}
+
+/**
+ * Advances the descent by one fixed physics step.
+ * @returns {boolean} true on touchdown (the state is then interpolated to altitude 0)
+ */
+function stepDescent(s, dt) {
+    // First step after burst: the gas escapes and the envelope is gone
+    if (s.balloon.moles > 0) {
+        s.balloon.moles = 0;
+        s.balloon.volume = 0;
+        s.balloon.radius = 0;
+        s.envelope.superpressure = 0;
+        s.envelope.wallStress = 0;
+    }
+
+    const accelFn = (x, v) => descentDynamics(s, x[1], v).acceleration;
+    const start = [s.drift.x, s.env.altitude, s.drift.z];
+    const startVelocity = [s.drift.velocityX, s.balloon.velocity, s.drift.velocityZ];
+    const next = integrate(s.physics.integrator, start, startVelocity, dt, accelFn);
+
+    // Touchdown: interpolate to the exact instant the payload reaches the ground
+    let fraction = 1;
+    if (next.x[1] <= 0) {
+        fraction = start[1] / (start[1] - next.x[1]);
+        next.x = next.x.map((value, i) => start[i] + (value - start[i]) * fraction);
+        next.v = next.v.map((value, i) => startVelocity[i] + (value - startVelocity[i]) * fraction);
+        next.x[1] = 0;
+    }
+
+    [s.drift.x, s.env.altitude, s.drift.z] = next.x;
+    [s.drift.velocityX, s.balloon.velocity, s.drift.velocityZ] = next.v;
+
+    const state = descentDynamics(s, s.env.altitude, next.v);
+    s.env.pressure = state.pressure;
+    s.env.temperature = state.temperature;
+    s.env.gravity = state.gravity;
+    s.thermal.gasTemperature = state.temperature;
+    s.thermal.filmTemperature = state.temperature;
+
+    s.forces.buoyancy = 0;
+    s.forces.weight = state.weight;
+    s.forces.drag = state.drag;
+    s.forces.acceleration = state.acceleration[1];
+    s.forces.airDensity = state.airDensity;
+    // The canopy keeps its Cd: Re is given for its diameter
+    const canopyRadius = Math.sqrt(s.descent.parachuteArea / Math.PI);
+    s.forces.reynolds = reynoldsNumber(state.airDensity, state.airspeed, canopyRadius, airViscosity(state.temperature));
+    s.forces.dragCoefficient = s.descent.parachuteCd;
+    s.forces.terminalVelocity = -parachuteTerminalVelocity(s, state.airDensity, state.gravity);
+
+    if (fraction < 1) {
+        s.physics.time += dt * fraction;
+        s.descent.descentTime = s.physics.time - s.descent.burstTime;
+        s.descent.impactVelocity = Math.hypot(...next.v);
+        return true;
+    }
+    s.physics.time += dt;
+    return false;
+}
+
+// Landing prediction
+const PREDICTION_STEP = 1;        // s
+const PREDICTION_PATH_INTERVAL = 10; // s between stored path points
+
+/**
+ * Predicts where the payload will land after burst, drifting with the wind profile.
+ * The payload is assumed to fall at the parachute terminal velocity of each layer,
+ * the usual model of balloon flight predictors.
+ * @param {Object} s - Simulation state at the burst point
+ * @returns {Object} { x, z, distance, bearing, descentTime, path: [[x, y, z], ...] }
+ */
+export function predictLanding(s = SimulationState) {
+    const table = getWindTable(s.wind);
+
+    let x = s.drift.x;
+    let z = s.drift.z;
+    let altitude = s.env.altitude;
+    let time = 0;
+    const path = [[x, altitude, z]];
+
+    while (altitude > 0) {
+        const { pressure, temperature } = getAtmosphere(altitude, s.env.seaLevelTemperature);
+        const descentRate = parachuteTerminalVelocity(s, (pressure * M_AIR) / (R * temperature), gravityAt(altitude));
+        const dt = Math.min(PREDICTION_STEP, altitude / descentRate);
+        const wind = getWind(altitude, table);
+
+        x += wind.x * dt;
+        z += wind.z * dt;
+        altitude -= descentRate * dt;
+        time += dt;
+
+        if (time % PREDICTION_PATH_INTERVAL < PREDICTION_STEP) path.push([x, Math.max(altitude, 0), z]);
+    }
+    path.push([x, 0, z]);
+
+    return { x, z, distance: Math.hypot(x, z), bearing: bearing(x, z), descentTime: time, path };
 }
 
 /**
  * Main Physics Loop
- * @param {number} deltaTime - Time step in seconds
- * @returns {Object} Status of the frame (e.g., { exploded: boolean })
+ * In MISSION mode the physics advances on a fixed internal step: the frame time is
+ * accumulated and consumed in as many substeps as needed, so the trajectory does not
+ * depend on the display frame rate. The render position (positionX/Y/Z) is interpolated
+ * between the last two physics states.
+ * @param {number} deltaTime - Frame time in seconds
+ * @param {Object} s - Simulation state to advance (defaults to the app singleton)
+ * @returns {Object} Status of the frame (e.g., { exploded: boolean, landed: boolean })
  */
-export function simulationLoop(deltaTime) {
-    const s = SimulationState;
+export function simulationLoop(deltaTime, s = SimulationState) {
 
-    // --- 1. ENVIRONMENT UPDATE ---
+    // --- 1. MISSION: FIXED STEP INTEGRATION ---
     if (s.mode === 'MISSION' && s.isRunning) {
-        // Update altitude based on velocity
-        s.env.altitude += s.balloon.velocity * deltaTime;
-        s.balloon.positionY = s.env.altitude;
-
-        // Get new atmospheric conditions
-        const envData = getAtmosphere(s.env.altitude);
-        s.env.pressure = envData.pressure;
-        s.env.temperature = envData.temperature;
+        const clock = s.physics;
+        clock.accumulator += deltaTime;
+
+        let substeps = 0;
+        while (clock.accumulator >= clock.fixedStep && substeps < MAX_SUBSTEPS) {
+            s.balloon.previousAltitude = s.env.altitude;
+            s.drift.previousX = s.drift.x;
+            s.drift.previousZ = s.drift.z;
+            clock.accumulator -= clock.fixedStep;
+            substeps++;
+
+            // Descent under the parachute until touchdown
+            if (s.flightPhase === 'DESCENT') {
+                if (stepDescent(s, clock.fixedStep)) {
+                    s.flightPhase = 'LANDED';
+                    clock.accumulator = 0;
+                    s.balloon.positionX = s.drift.x;
+                    s.balloon.positionY = s.env.altitude;
+                    s.balloon.positionZ = s.drift.z;
+                    return { exploded: false, landed: true };
+                }
+                continue;
+            }
+
+            stepMission(s, clock.fixedStep);
+            clock.time += clock.fixedStep;
+
+            if (hasEnvelopeFailed(s.envelope.stretch, s.envelope)) {
+                clock.accumulator = 0;
+                s.balloon.positionX = s.drift.x;
+                s.balloon.positionY = s.env.altitude;
+                s.balloon.positionZ = s.drift.z;
+                s.flightPhase = 'DESCENT';
+                s.pilot.valveOpen = false; // The valve is lost with the envelope
+                s.descent.burstTime = clock.time;
+                s.drift.landing = predictLanding(s);
+                return { exploded: true };
+            }
+        }
+
+        // Drop time we could not simulate instead of trying to catch up forever
+        if (substeps === MAX_SUBSTEPS) clock.accumulator = 0;
+
+        // Render state: interpolate between the previous and current physics states
+        clock.alpha = clock.accumulator / clock.fixedStep;
+        s.balloon.positionY = s.balloon.previousAltitude +
+            (s.env.altitude - s.balloon.previousAltitude) * clock.alpha;
+        s.balloon.positionX = s.drift.previousX + (s.drift.x - s.drift.previousX) * clock.alpha;
+        s.balloon.positionZ = s.drift.previousZ + (s.drift.z - s.drift.previousZ) * clock.alpha;
+
+        return { exploded: false };
     }
 
     // --- 2. GAS LAWS (Balloon State) ---
-    // In MISSION mode, P and T are dictated by atmosphere.
-    // In other modes, they are controlled by sliders (handled in main.js or UI logic),
+    // In other modes, P and T are controlled by sliders (handled in main.js or UI logic),
     // so here we just recalculate Volume based on current P, T, and n.
 
-    // Exception: Gay-Lussac (Volume Constant)
+    // Exceptions: Gay-Lussac (Volume Constant) and adiabatic (Temperature follows Pressure)
     if (s.mode === 'GAY-LUSSAC') {
         // Volume stays constant, internal pressure changes with temperature
         // Keep the constantVolume stored when mode was entered
         // The radius stays the same visually
         // We don't update s.balloon.volume or s.balloon.radius here
+        if (s.balloon.constantVolume > 0) {
+            s.env.pressure = calculatePressure(s.balloon.moles, s.env.temperature, s.balloon.constantVolume, getEosConstants(s));
+        }
+    } else if (s.mode === 'ADIABATIC') {
+        // No heat exchanged: the gas cools as it expands (and warms when compressed).
+        // T follows P along the adiabat through the state stored when the mode was entered,
+        // then the volume comes from the equation of state (PV^γ constant for an ideal gas)
+        const reference = s.balloon.adiabaticReference;
+        if (reference.pressure > 0) {
+            s.env.temperature = adiabaticTemperature(s.env.pressure, reference, getGasGamma(s));
+        }
+        s.balloon.volume = calculateVolume(s.balloon.moles, s.env.temperature, s.env.pressure, getEosConstants(s));
+        s.balloon.radius = sphereRadius(s.balloon.volume);
+    } else if (s.mode === 'MISSION') {
+        // After touchdown there is no balloon left to solve
+        if (s.flightPhase !== 'ASCENT') return { exploded: false };
+
+        // Mission on the launch pad: gas inside the elastic envelope, in equilibrium with the air
+        s.thermal.gasTemperature = s.env.temperature;
+        s.thermal.filmTemperature = s.env.temperature;
+        const shape = solveEnvelope(s.balloon.moles, s.env.temperature, s.env.pressure, s.envelope, getEosConstants(s), s.balloon.radius);
+        applyEnvelopeShape(s, shape);
+        return { exploded: false };
     } else {
-        // Boyle, Charles, Mission, IDLE -> Volume changes
-        s.balloon.volume = calculateVolume(s.balloon.moles, s.env.temperature, s.env.pressure);
+        // Boyle, Charles, Avogadro (n changes), combined law, IDLE -> Volume changes
+        s.balloon.volume = calculateVolume(s.balloon.moles, s.env.temperature, s.env.pressure, getEosConstants(s));
 
         // Recalculate Radius: V = 4/3 * pi * r^3  =>  r = cbrt(3V / 4pi)
-        s.balloon.radius = Math.pow((3 * s.balloon.volume) / (4 * Math.PI), 1 / 3);
-    }
-
-    // --- 3. FORCES & MOVEMENT (Mission Mode Only) ---
-    if (s.mode === 'MISSION' && s.isRunning) {
-        const g = s.env.gravity;
-        const M_air = 0.0289644; // kg/mol
-        const M_gas = GAS_PROPERTIES[s.balloon.gasType].molarMass;
-
-        // Density of outside air: rho = (P * M) / (R * T)
-        const rhoAir = (s.env.pressure * M_air) / (R * s.env.temperature);
-
-        // Density of gas inside (assuming equilibrium P and T)
-        const rhoGas = (s.env.pressure * M_gas) / (R * s.env.temperature);
-
-        // Buoyancy Force (Archimedes): F_b = rho_air * V * g
-        const liftForce = rhoAir * s.balloon.volume * g;
-
-        // Weight Forces:
-        // Mass of gas: m_gas = n * M_gas
-        const massGas = s.balloon.moles * M_gas;
-        const totalMass = s.balloon.massPayload + s.balloon.massBalloon + massGas;
-        const gravityForce = totalMass * g;
-
-        // Net Force
-        const netForce = liftForce - gravityForce;
-
-        // Drag Force (Simplified): F_d = 0.5 * rho_air * v^2 * Cd * A
-        // Drag always opposes motion
-        const Cd = 0.47;
-        const Area = Math.PI * s.balloon.radius * s.balloon.radius;
-        const dragForce = -Math.sign(s.balloon.velocity) * 0.5 * rhoAir * (s.balloon.velocity * s.balloon.velocity) * Cd * Area;
-
-        // Acceleration: F = ma
-        const totalForce = netForce + dragForce;
-        const acceleration = totalForce / totalMass;
-
-        // Euler Integration
-        s.balloon.velocity += acceleration * deltaTime;
-
-        // Floor collision
-        if (s.env.altitude < 0) {
-            s.env.altitude = 0;
-            s.balloon.positionY = 0;
-            s.balloon.velocity = 0;
-        }
+        s.balloon.radius = sphereRadius(s.balloon.volume);
     }
 
-    // --- 4. LIMITS & EXPLOSION ---
+    // --- 3. LIMITS & EXPLOSION ---
+    // Educational modes have no envelope model: the burst limit is a maximum radius
+    s.balloon.tension = Math.min(s.balloon.radius / s.balloon.maxRadius, 1.0);
     if (s.balloon.radius >= s.balloon.maxRadius) {
         return { exploded: true };
     }
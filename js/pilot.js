@@ -0,0 +1,63 @@
+// pilot.js
+// In-flight pilot actions (MISSION mode): ballast drop and gas venting valve.
+// Pure module: works on any simulation state, so headless runs can use it too.
+import { R } from './physics.js';
+
+/**
+ * Drops one ballast step. The ballast is part of the payload, so massPayload decreases.
+ * @param {Object} s - Simulation state
+ * @returns {number} Mass actually dropped (kg), 0 when the ballast is exhausted
+ */
+export function dropBallast(s) {
+    const pilot = s.pilot;
+    const amount = Math.min(pilot.ballastStep, pilot.ballast, s.balloon.massPayload);
+    if (amount <= 0) return 0;
+
+    pilot.ballast -= amount;
+    pilot.ballastDropped += amount;
+    s.balloon.massPayload -= amount;
+    return amount;
+}
+
+/**
+ * Applies a logged pilot action (challenge runs are verified by replaying their log)
+ * @param {Object} action - { type: 'BALLAST' } or { type: 'VALVE', open }
+ */
+export function applyPilotAction(s, action) {
+    if (action.type === 'BALLAST') {
+        dropBallast(s);
+    } else if (action.type === 'VALVE') {
+        s.pilot.valveOpen = Boolean(action.open);
+    }
+}
+
+/**
+ * Gas flow through the vent valve (orifice equation, incompressible for small ΔP):
+ * ṁ = Cd · A · √(2 · ρ_gas · ΔP)   =>   ṅ = ṁ / M
+ * @param {Object} pilot - Valve parameters (see state.js)
+ * @param {number} superpressure - ΔP = P_int - P_ext (Pa)
+ * @param {number} internalPressure - Pa
+ * @param {number} gasTemperature - K
+ * @param {number} molarMass - kg/mol
+ * @returns {number} mol/s leaving the balloon (0 with the valve closed or no overpressure)
+ */
+export function ventMolarFlow(pilot, superpressure, internalPressure, gasTemperature, molarMass) {
+    if (!pilot.valveOpen || superpressure <= 0) return 0;
+    const gasDensity = (internalPressure * molarMass) / (R * gasTemperature);
+    const massFlow = pilot.valveCd * pilot.valveArea * Math.sqrt(2 * gasDensity * superpressure);
+    return massFlow / molarMass;
+}
+
+/**
+ * Fraction of ballast and gas still on board (1 = untouched)
+ * @returns {Object} { ballast, gas }
+ */
+export function pilotBudget(s) {
+    const pilot = s.pilot;
+    const ballastTotal = pilot.ballast + pilot.ballastDropped;
+    const gasTotal = s.balloon.moles + pilot.gasReleased;
+    return {
+        ballast: ballastTotal > 0 ? pilot.ballast / ballastTotal : 0,
+        gas: gasTotal > 0 ? s.balloon.moles / gasTotal : 0
+    };
+}
@@ -0,0 +1,193 @@
+// replay.js
+// Mission replay: the flight state is recorded at a fixed interval of simulated time
+// and played back (scrubbing, speed, frame stepping) without running the physics again.
+// Pure module: it reads and writes a simulation state, the scene and readouts follow it.
+import { getAtmosphereLayer } from './physics.js';
+
+// Recorded state values, interpolated linearly between frames
+export const REPLAY_FIELDS = [
+    'physics.time',
+    'env.altitude', 'env.pressure', 'env.temperature', 'env.gravity',
+    'balloon.positionX', 'balloon.positionY', 'balloon.positionZ',
+    'balloon.velocity', 'balloon.volume', 'balloon.radius', 'balloon.moles',
+    'balloon.tension', 'balloon.massPayload',
+    'envelope.stretch', 'envelope.superpressure', 'envelope.wallStress',
+    'thermal.gasTemperature', 'thermal.filmTemperature',
+    'drift.x', 'drift.z', 'drift.velocityX', 'drift.velocityZ',
+    'forces.buoyancy', 'forces.weight', 'forces.drag', 'forces.acceleration', 'forces.airDensity',
+    'forces.reynolds', 'forces.dragCoefficient', 'forces.terminalVelocity',
+    'pilot.ballast', 'pilot.ballastDropped', 'pilot.gasReleased',
+    'descent.descentTime', 'descent.impactVelocity'
+];
+
+// Discrete values: taken from the last frame at or before the replay time
+const DISCRETE_FIELDS = ['flightPhase', 'pilot.valveOpen'];
+
+// Flight phase -> event type
+const PHASE_EVENTS = {
+    'DESCENT': 'BURST',
+    'LANDED': 'LANDING'
+};
+
+function readPath(s, path) {
+    return path.split('.').reduce((object, key) => object[key], s);
+}
+
+function writePath(s, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((object, key) => object[key], s)[last] = value;
+}
+
+/**
+ * Snapshot of the recorded fields of a simulation state
+ * @returns {Object} { time, values, discrete }
+ */
+export function captureFrame(s) {
+    return {
+        time: s.physics.time,
+        values: REPLAY_FIELDS.map(path => readPath(s, path)),
+        discrete: DISCRETE_FIELDS.map(path => readPath(s, path))
+    };
+}
+
+/**
+ * Writes a frame (recorded or interpolated) back into a simulation state
+ */
+export function applyFrame(s, frame) {
+    REPLAY_FIELDS.forEach((path, i) => writePath(s, path, frame.values[i]));
+    DISCRETE_FIELDS.forEach((path, i) => writePath(s, path, frame.discrete[i]));
+    s.balloon.previousAltitude = s.env.altitude;
+    s.drift.previousX = s.drift.x;
+    s.drift.previousZ = s.drift.z;
+}
+
+export class FlightRecorder {
+    /**
+     * @param {number} interval - Seconds of simulated time between frames
+     */
+    constructor(interval = 0.5) {
+        this.interval = interval;
+        this.clear();
+    }
+
+    clear() {
+        this.frames = [];
+        // [{ time, type }] sorted by time; LAYER events also carry { layer, direction, altitude }
+        // (layer id, 1 = up / -1 = down, boundary altitude in m), the UI builds their labels
+        this.events = [];
+        this.lastSeen = null; // { time, altitude, layer } at the previous call to record()
+    }
+
+    get hasData() {
+        return this.frames.length > 1;
+    }
+
+    get startTime() {
+        return this.frames.length > 0 ? this.frames[0].time : 0;
+    }
+
+    get endTime() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+    }
+
+    /**
+     * Called every rendered frame of a flight. Stores a frame when the interval has
+     * elapsed, and always when the flight crosses an atmosphere layer or changes phase,
+     * so those moments can be reached exactly during the replay.
+     * @param {Object} s - Simulation state
+     * @returns {boolean} true if a frame was stored
+     */
+    record(s) {
+        const time = s.physics.time;
+        const altitude = s.env.altitude;
+        const layer = getAtmosphereLayer(altitude, s.env.seaLevelTemperature);
+        const last = this.frames[this.frames.length - 1];
+        let force = false;
+
+        if (!last) {
+            this.events.push({ time, type: 'LAUNCH' });
+            force = true;
+        } else if (time <= last.time) {
+            return false;
+        }
+
+        if (this.lastSeen && layer.id !== this.lastSeen.layer.id) {
+            // Boundary between both layers, crossed between the previous call and this one
+            const upper = layer.baseAltitude > this.lastSeen.layer.baseAltitude ? layer : this.lastSeen.layer;
+            const f = (upper.baseAltitude - this.lastSeen.altitude) / (altitude - this.lastSeen.altitude);
+            const crossing = this.lastSeen.time + (time - this.lastSeen.time) * Math.min(Math.max(f, 0), 1);
+            this.events.push({
+                time: crossing,
+                type: 'LAYER',
+                layer: layer.id,
+                direction: altitude > this.lastSeen.altitude ? 1 : -1,
+                altitude: upper.baseAltitude
+            });
+            force = true;
+        }
+
+        if (last && s.flightPhase !== last.discrete[0] && PHASE_EVENTS[s.flightPhase]) {
+            this.events.push({ time, type: PHASE_EVENTS[s.flightPhase] });
+            force = true;
+        }
+
+        this.lastSeen = { time, altitude, layer };
+        if (!force && time - last.time < this.interval) return false;
+
+        this.frames.push(captureFrame(s));
+        return true;
+    }
+
+    /**
+     * Index of the last frame at or before a time (binary search)
+     */
+    indexAt(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.frames[mid].time <= time) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Flight state at any time of the recording, interpolated between frames
+     * @returns {Object} Frame { time, values, discrete }
+     */
+    frameAt(time) {
+        const i = this.indexAt(time);
+        const a = this.frames[i];
+        const b = this.frames[i + 1];
+        if (!b || time <= a.time) return a;
+
+        const f = (time - a.time) / (b.time - a.time);
+        return {
+            time,
+            values: a.values.map((value, k) => value + (b.values[k] - value) * f),
+            discrete: a.discrete
+        };
+    }
+
+    /**
+     * Time of the neighbouring recorded frame, for frame-by-frame stepping
+     * @param {number} direction - 1 = next frame, -1 = previous frame
+     */
+    stepTime(time, direction) {
+        const i = this.indexAt(time);
+        if (direction > 0) {
+            return this.frames[Math.min(i + 1, this.frames.length - 1)].time;
+        }
+        // Between two frames, the previous one is the frame at i
+        return this.frames[time > this.frames[i].time ? i : Math.max(i - 1, 0)].time;
+    }
+
+    /**
+     * First event in the interval (from, to], or null
+     */
+    eventBetween(from, to) {
+        return this.events.find(event => event.time > from && event.time <= to) || null;
+    }
+}
@@ -0,0 +1,376 @@
+// scenarios.js
+// Named scenarios: a complete simulation setup (mode, gas, sliders, animation targets,
+// MISSION envelope, weather and flight settings) that can be saved in localStorage,
+// exported as JSON and shared in a URL.
+// Pure module: it does not touch the DOM, main.js applies scenarios to the UI.
+import { createSimulationState } from './state.js';
+import { WIND_PROFILES, normalizeWindTable } from './wind.js';
+import { EASINGS } from './easing.js';
+import { normalizeCycle } from './cycles.js';
+import { t } from './i18n.js';
+
+export const SCENARIO_VERSION = 1;
+const STORAGE_KEY = 'scenarios.saved';
+const URL_PARAM = 'scenario';
+
+const MODES = ['IDLE', 'BOYLE', 'CHARLES', 'GAY-LUSSAC', 'AVOGADRO', 'COMBINED', 'ADIABATIC', 'CYCLE', 'MISSION'];
+
+// MISSION settings saved with a scenario: the same groups as a challenge run
+// (captureMissionConfig() in challenges.js). Booleans are switches, numbers are SI.
+const MISSION_SETTINGS = {
+    envelope: ['unstretchedRadius', 'thickness', 'modulus', 'mooneyRatio', 'criticalStretch', 'burstStress'],
+    thermal: ['enabled', 'daytime', 'infrared', 'solarAbsorptivity', 'emissivity', 'internalTransfer', 'externalTransfer'],
+    descent: ['parachuteArea', 'parachuteCd', 'fragmentFraction'],
+    pilot: ['ballast', 'ballastStep', 'valveArea', 'valveCd']
+};
+
+// Settings that divide or scale the physics and cannot be zero
+const POSITIVE_SETTINGS = [
+    'envelope.unstretchedRadius', 'envelope.thickness', 'envelope.modulus', 'envelope.criticalStretch',
+    'envelope.burstStress', 'descent.parachuteArea', 'descent.parachuteCd', 'pilot.ballastStep'
+];
+
+/**
+ * MISSION settings of a simulation state, one object per group of MISSION_SETTINGS
+ * @param {Object} s - Simulation state
+ */
+export function captureMissionSettings(s) {
+    const settings = {};
+    Object.entries(MISSION_SETTINGS).forEach(([group, fields]) => {
+        settings[group] = {};
+        fields.forEach(field => { settings[group][field] = s[group][field]; });
+    });
+    return settings;
+}
+
+const DEFAULT_STATE = createSimulationState();
+
+// Default setup (same values as the app on start-up). Scenarios only need the
+// fields that differ from it.
+export const DEFAULT_SCENARIO = {
+    version: SCENARIO_VERSION,
+    name: '',                  // Untitled scenarios get a translated name in normalizeScenario()
+    description: '',
+    mode: 'IDLE',
+    gasType: 'HE',
+    customGas: null,           // { name, molarMass, gamma, a, b } when gasType is a custom gas
+    eos: 'IDEAL',
+    seaLevelTemperature: 293,  // K
+    initialRadius: 1.0,        // m
+    massPayload: 1.0,          // kg
+    maxRadius: 5.0,            // m (burst limit, educational modes)
+    fillPressure: 101325,      // Pa
+    fillTemperature: 293,      // K
+    windProfile: 'CALM',
+    windTable: DEFAULT_STATE.wind.table,  // Rows of the 'CUSTOM' profile (see wind.js)
+    // MISSION: latex envelope, thermal model, parachute, ballast and valve (see state.js)
+    ...captureMissionSettings(DEFAULT_STATE),
+    animation: {
+        direction: 1,          // 1 = increase, -1 = decrease
+        duration: 10,          // s (per process in a cycle)
+        easing: 'LINEAR',      // Key of EASINGS (easing.js)
+        limits: { pressureMin: 10000, pressureMax: 200000, temperatureMin: 100, temperatureMax: 500, molesMin: 20, molesMax: 500 },
+        // COMBINED: points (Pa, K) the animation goes through
+        path: [{ pressure: 150000, temperature: 400 }, { pressure: 60000, temperature: 250 }],
+        // CYCLE: processes { process, target, value (m³, K or Pa) }, see cycles.js
+        cycle: []
+    }
+};
+
+// Classroom library shipped with the app. Names and descriptions are in the
+// language bundles ('scenario.<id>.name' and 'scenario.<id>.description').
+export const BUILTIN_SCENARIOS = [
+    {
+        id: 'boyle-compression',
+        mode: 'BOYLE',
+        animation: { direction: 1, limits: { pressureMax: 202650 } }
+    },
+    {
+        id: 'boyle-burst',
+        mode: 'BOYLE',
+        maxRadius: 2.0,
+        animation: { direction: -1, limits: { pressureMin: 10000 } }
+    },
+    {
+        id: 'charles-heating',
+        mode: 'CHARLES',
+        animation: { direction: 1, limits: { temperatureMax: 400 } }
+    },
+    {
+        id: 'charles-cryogenic',
+        mode: 'CHARLES',
+        animation: { direction: -1, limits: { temperatureMin: 100 } }
+    },
+    {
+        id: 'gay-lussac-heating',
+        mode: 'GAY-LUSSAC',
+        animation: { direction: 1, limits: { temperatureMax: 450 } }
+    },
+    {
+        id: 'avogadro-inflate',
+        mode: 'AVOGADRO',
+        animation: { direction: 1, limits: { molesMax: 400 } }
+    },
+    {
+        id: 'combined-ascent',
+        mode: 'COMBINED',
+        animation: { path: [{ pressure: 50000, temperature: 255 }, { pressure: 26500, temperature: 223 }] }
+    },
+    {
+        id: 'adiabatic-ascent',
+        mode: 'ADIABATIC',
+        animation: { direction: -1, limits: { pressureMin: 26500 } }
+    },
+    {
+        // Carnot cycle of the default fill (174 mol of helium, 4.19 m³ at 101325 Pa and 293 K)
+        id: 'carnot-cycle',
+        mode: 'CYCLE',
+        animation: {
+            duration: 5,
+            easing: 'EASE_IN_OUT',
+            cycle: [
+                { process: 'ISOTHERMAL', target: 'volume', value: 8.378 },
+                { process: 'ADIABATIC', target: 'temperature', value: 219.75 },
+                { process: 'ISOTHERMAL', target: 'volume', value: 6.449 },
+                { process: 'ADIABATIC', target: 'temperature', value: 293 }
+            ]
+        }
+    },
+    {
+        id: 'real-gas-co2',
+        mode: 'IDLE',
+        gasType: 'CO2',
+        eos: 'VDW',
+        fillPressure: 200000,
+        fillTemperature: 220
+    },
+    {
+        id: 'mission-standard',
+        mode: 'MISSION',
+        seaLevelTemperature: 288.15,
+        massPayload: 1.0
+    },
+    {
+        id: 'mission-jet-stream',
+        mode: 'MISSION',
+        windProfile: 'JET_STREAM',
+        massPayload: 1.0
+    },
+    {
+        id: 'mission-hydrogen',
+        mode: 'MISSION',
+        gasType: 'H2',
+        initialRadius: 1.3,
+        massPayload: 2.0
+    }
+];
+
+/**
+ * Complete scenario from the classroom library, named in the current language
+ * @param {string} id - BUILTIN_SCENARIOS id
+ * @returns {Object|null} Scenario, or null if the id is unknown
+ */
+export function getBuiltinScenario(id) {
+    const builtin = BUILTIN_SCENARIOS.find(sc => sc.id === id);
+    if (!builtin) return null;
+    return normalizeScenario({
+        ...builtin,
+        name: t(`scenario.${id}.name`),
+        description: t(`scenario.${id}.description`)
+    });
+}
+
+function finite(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(t('scenario.error.invalidValue', { field }));
+    return number;
+}
+
+/**
+ * Validates the path of the combined law animation
+ * @param {Object[]} path - [{ pressure (Pa), temperature (K) }], at least one point
+ * @returns {Object[]} Copy of the path
+ */
+export function normalizeCombinedPath(path) {
+    if (!Array.isArray(path) || path.length === 0) throw new Error(t('scenario.error.emptyPath'));
+    return path.map((point, i) => {
+        const pressure = finite(point && point.pressure, `animation.path.${i}.pressure`);
+        const temperature = finite(point && point.temperature, `animation.path.${i}.temperature`);
+        if (pressure <= 0 || temperature <= 0) throw new Error(t('scenario.error.invalidPathPoint', { point: i + 1 }));
+        return { pressure, temperature };
+    });
+}
+
+/**
+ * Validates the MISSION settings of a scenario, filling the missing ones from the defaults
+ * @param {Object} scenario - Scenario with the groups of MISSION_SETTINGS (possibly partial)
+ */
+function normalizeMissionSettings(scenario) {
+    Object.entries(MISSION_SETTINGS).forEach(([group, fields]) => {
+        const values = { ...DEFAULT_SCENARIO[group], ...scenario[group] };
+        scenario[group] = {};
+        fields.forEach(field => {
+            const name = `${group}.${field}`;
+            const value = values[field];
+            if (typeof DEFAULT_SCENARIO[group][field] === 'boolean') {
+                if (typeof value !== 'boolean') throw new Error(t('scenario.error.invalidValue', { field: name }));
+                scenario[group][field] = value;
+                return;
+            }
+            const number = finite(value, name);
+            if (number < 0 || (number === 0 && POSITIVE_SETTINGS.includes(name))) {
+                throw new Error(t('scenario.error.invalidValue', { field: name }));
+            }
+            scenario[group][field] = number;
+        });
+    });
+    // The ballast is part of the payload
+    if (scenario.pilot.ballast > scenario.massPayload) throw new Error(t('scenario.error.invalidValue', { field: 'pilot.ballast' }));
+}
+
+/**
+ * Validates a scenario (e.g. from an imported file or a URL) and fills the missing
+ * fields from DEFAULT_SCENARIO.
+ * @param {Object} data - Parsed scenario
+ * @returns {Object} Complete scenario
+ */
+export function normalizeScenario(data) {
+    if (!data || typeof data !== 'object') throw new Error(t('scenario.error.invalid'));
+    if (data.version > SCENARIO_VERSION) throw new Error(t('scenario.error.newerVersion'));
+
+    const scenario = { ...DEFAULT_SCENARIO, ...data };
+    const animation = { ...DEFAULT_SCENARIO.animation, ...data.animation };
+    const limits = { ...DEFAULT_SCENARIO.animation.limits, ...animation.limits };
+    scenario.animation = {
+        direction: animation.direction === -1 ? -1 : 1,
+        duration: finite(animation.duration, 'animation.duration'),
+        easing: animation.easing,
+        limits,
+        path: normalizeCombinedPath(animation.path || DEFAULT_SCENARIO.animation.path),
+        cycle: normalizeCycle(animation.cycle || [])
+    };
+    if (scenario.animation.duration <= 0) throw new Error(t('scenario.error.invalidValue', { field: 'animation.duration' }));
+    if (!EASINGS[scenario.animation.easing]) throw new Error(t('scenario.error.unknownEasing', { easing: scenario.animation.easing }));
+
+    if (!MODES.includes(scenario.mode)) throw new Error(t('scenario.error.unknownMode', { mode: scenario.mode }));
+    if (scenario.eos !== 'IDEAL' && scenario.eos !== 'VDW') throw new Error(t('scenario.error.unknownEos', { eos: scenario.eos }));
+    if (!WIND_PROFILES[scenario.windProfile]) throw new Error(t('scenario.error.unknownWind', { profile: scenario.windProfile }));
+
+    ['seaLevelTemperature', 'initialRadius', 'massPayload', 'maxRadius', 'fillPressure', 'fillTemperature'].forEach(field => {
+        scenario[field] = finite(scenario[field], field);
+    });
+    normalizeMissionSettings(scenario);
+    if (!Array.isArray(scenario.windTable)) throw new Error(t('scenario.error.invalidValue', { field: 'windTable' }));
+    scenario.windTable = normalizeWindTable(scenario.windTable.map(row => ({
+        altitude: Number(row && row.altitude),
+        speed: Number(row && row.speed),
+        direction: Number(row && row.direction)
+    })));
+    Object.keys(limits).forEach(field => {
+        limits[field] = finite(limits[field], `animation.limits.${field}`);
+    });
+    // The animations drive P, T or n between these limits: they must stay positive
+    ['pressure', 'temperature', 'moles'].forEach(quantity => {
+        if (limits[`${quantity}Min`] <= 0) throw new Error(t('scenario.error.invalidValue', { field: `animation.limits.${quantity}Min` }));
+        if (limits[`${quantity}Max`] <= limits[`${quantity}Min`]) throw new Error(t('scenario.error.invalidValue', { field: `animation.limits.${quantity}Max` }));
+    });
+
+    scenario.version = SCENARIO_VERSION;
+    scenario.name = String(scenario.name || t('scenario.unnamed'));
+    return scenario;
+}
+
+/**
+ * Scenario as a JSON document (export file)
+ */
+export function scenarioToJSON(scenario) {
+    const { id, ...data } = scenario;
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Parses an exported JSON document
+ */
+export function scenarioFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('scenario.error.invalidJson'));
+    }
+    return normalizeScenario(data);
+}
+
+// Base64url of the UTF-8 JSON, safe to put in a query string or hash
+export function encodeScenario(scenario) {
+    const { id, ...data } = scenario;
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeScenario(encoded) {
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return normalizeScenario(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (e) {
+        throw new Error(t('scenario.error.invalidLink', { message: e.message }));
+    }
+}
+
+/**
+ * Shareable link to a scenario (in the hash, so it never reaches the server)
+ * @param {string} baseUrl - Page URL without query or hash
+ */
+export function scenarioUrl(scenario, baseUrl) {
+    return `${baseUrl}#${URL_PARAM}=${encodeScenario(scenario)}`;
+}
+
+/**
+ * Reads a scenario from the query string (?scenario=) or the hash (#scenario=)
+ * @param {Object} location - window.location or any { search, hash }
+ * @returns {Object|null} Scenario, or null if the URL has none
+ */
+export function scenarioFromUrl(location) {
+    const query = new URLSearchParams(location.search);
+    const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const encoded = query.get(URL_PARAM) || hash.get(URL_PARAM);
+    return encoded ? decodeScenario(encoded) : null;
+}
+
+/**
+ * Scenarios saved by the user, by name
+ */
+export function loadSavedScenarios() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const scenarios = {};
+        Object.entries(saved).forEach(([name, data]) => {
+            try {
+                scenarios[name] = normalizeScenario(data);
+            } catch (e) {
+                console.warn(t('warn.savedScenarioInvalid', { name }), e);
+            }
+        });
+        return scenarios;
+    } catch (e) {
+        console.warn(t('warn.scenariosLoad'), e);
+        return {};
+    }
+}
+
+export function saveScenario(scenario) {
+    if (!scenario.name || !scenario.name.trim()) throw new Error(t('scenario.error.needsName'));
+    const saved = loadSavedScenarios();
+    saved[scenario.name.trim()] = { ...scenario, name: scenario.name.trim() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+export function deleteSavedScenario(name) {
+    const saved = loadSavedScenarios();
+    delete saved[name];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
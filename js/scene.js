@@ -1,7 +1,23 @@
 // scene.js
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { SimulationState } from './state.js';
+import { SimulationState, SimulationStore, STATE_EVENTS, GAS_PROPERTIES } from './state.js';
+import { getGasState } from './physics.js';
+import { KineticGas } from './kinetic.js';
+import { SkyEnvironment } from './sky.js';
+
+// Distance from the payload to the parachute canopy (m)
+const PARACHUTE_LINE_LENGTH = 2;
+
+// Flight path buffer (MISSION)
+const MAX_PATH_POINTS = 20000;
+const PATH_POINT_SPACING = 5; // m between stored points
+
+// Molecular view: particles drawn inside the balloon (see kinetic.js)
+const MOLECULE_COUNT = 3000;
+const MOLECULE_SIZE = 0.02; // m (drawn radius, not to scale)
+const BALLOON_OPACITY = 0.9;
+const BALLOON_OPACITY_MOLECULES = 0.25; // See-through envelope while the particles are shown
 
 export class SceneManager {
     constructor(containerId) {
@@ -49,8 +65,35 @@ export class SceneManager {
         this.floorMesh = this.createFloor();
         this.scene.add(this.floorMesh);
 
+        // Sky, clouds, atmospheric layers, ground and altitude ruler (MISSION)
+        this.sky = new SkyEnvironment(this.scene);
+
         this.particles = null; // For explosion
 
+        // Molecular view of the gas (off by default)
+        this.kineticGas = new KineticGas(MOLECULE_COUNT);
+        this.molecules = this.createMolecules();
+        this.scene.add(this.molecules);
+        this.showMolecules = false;
+        this.colorSlow = new THREE.Color(0x3366ff);
+        this.colorFast = new THREE.Color(0xffaa33);
+
+        // Payload under its parachute (MISSION descent after burst)
+        this.payloadGroup = this.createPayload();
+        this.scene.add(this.payloadGroup);
+
+        // 3D flight path (MISSION) and predicted landing point after burst
+        this.flightPath = this.createFlightPath();
+        this.scene.add(this.flightPath);
+        this.landingMarker = null;
+
+        // Balloon colour: blue (safe) to red (danger)
+        this.colorSafe = new THREE.Color(0x4a90e2);
+        this.colorDanger = new THREE.Color(0xff3333);
+
+        // The meshes follow the state through the store (only what changed)
+        this.bindState();
+
         // Handle Resize
         window.addEventListener('resize', () => this.onWindowResize(), false);
 
@@ -79,6 +122,33 @@ export class SceneManager {
         });
     }
 
+    bindState() {
+        const s = SimulationState;
+
+        SimulationStore.subscribe(['balloon.radius'], () => this.updateBalloonSize(), { immediate: true });
+        SimulationStore.subscribe(['balloon.tension'], () => this.updateBalloonColor(), { immediate: true });
+        SimulationStore.subscribe(
+            ['mode', 'flightPhase', 'balloon.positionX', 'balloon.positionY', 'balloon.positionZ'],
+            () => this.updatePosition(), { immediate: true });
+        SimulationStore.subscribe(['descent.parachuteArea'], () => this.updateCanopy(), { immediate: true });
+        SimulationStore.subscribe(['mode'], () => this.sky.setEnabled(s.mode === 'MISSION'), { immediate: true });
+        SimulationStore.subscribe(['env.altitude', 'env.seaLevelTemperature'],
+            () => this.sky.setAltitude(s.env.altitude, s.env.seaLevelTemperature), { immediate: true });
+        SimulationStore.subscribe(['language', 'units'], () => this.sky.updateLabels(s.units), { immediate: true });
+
+        SimulationStore.on(STATE_EVENTS.MODE, () => {
+            this.reset();
+            this.clearTrajectory();
+        });
+        SimulationStore.on(STATE_EVENTS.RESET, () => this.reset());
+        SimulationStore.on(STATE_EVENTS.LAUNCH, () => this.clearTrajectory());
+        SimulationStore.on(STATE_EVENTS.BURST, ({ mode }) => {
+            this.explode();
+            // Predicted landing point: computed by simulationLoop at burst
+            if (mode === 'MISSION' && s.drift.landing) this.showLanding(s.drift.landing);
+        });
+    }
+
     createBalloon() {
         const geometry = new THREE.SphereGeometry(1, 64, 64);
         const material = new THREE.MeshPhysicalMaterial({
@@ -88,7 +158,7 @@ export class SceneManager {
             clearcoat: 1.0,
             clearcoatRoughness: 0.1,
             transparent: true,
-            opacity: 0.9,
+            opacity: BALLOON_OPACITY,
             transmission: 0.2 // Glass-like look
         });
         const mesh = new THREE.Mesh(geometry, material);
@@ -96,12 +166,211 @@ export class SceneManager {
         return mesh;
     }
 
+    createMolecules() {
+        const mesh = new THREE.InstancedMesh(
+            new THREE.IcosahedronGeometry(MOLECULE_SIZE, 1),
+            new THREE.MeshBasicMaterial({ color: 0xffffff }),
+            MOLECULE_COUNT
+        );
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.frustumCulled = false; // Instances move every frame, the bounding sphere is not recomputed
+        mesh.visible = false;
+        return mesh;
+    }
+
+    /**
+     * Shows or hides the gas particles inside the balloon
+     */
+    setMoleculesVisible(visible) {
+        this.showMolecules = visible;
+        const material = this.balloonMesh.material;
+        material.opacity = visible ? BALLOON_OPACITY_MOLECULES : BALLOON_OPACITY;
+        material.depthWrite = !visible;
+        // Fresh particles at the current state when shown again
+        if (visible) this.kineticGas.radius = 0;
+        this.molecules.visible = visible && this.balloonMesh.visible;
+    }
+
+    /**
+     * Moves the particles one frame and writes their instances, coloured by
+     * speed (slow blue to fast orange, around the rms speed)
+     */
+    updateMolecules(deltaTime) {
+        const s = SimulationState;
+        const gas = this.kineticGas;
+        gas.step(deltaTime, {
+            radius: s.balloon.radius,
+            temperature: getGasState(s).temperature,
+            molarMass: GAS_PROPERTIES[s.balloon.gasType].molarMass,
+            moles: s.balloon.moles
+        });
+
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+        const rms = gas.rmsSpeed();
+        const p = gas.positions;
+        const v = gas.velocities;
+        for (let i = 0; i < gas.count; i++) {
+            const j = i * 3;
+            matrix.makeTranslation(p[j], p[j + 1], p[j + 2]);
+            this.molecules.setMatrixAt(i, matrix);
+            const speed = Math.hypot(v[j], v[j + 1], v[j + 2]);
+            color.lerpColors(this.colorSlow, this.colorFast, Math.min(speed / (2 * rms), 1));
+            this.molecules.setColorAt(i, color);
+        }
+        this.molecules.instanceMatrix.needsUpdate = true;
+        this.molecules.instanceColor.needsUpdate = true;
+        this.molecules.position.copy(this.balloonMesh.position);
+    }
+
     createFloor() {
         const geometry = new THREE.GridHelper(200, 50, 0x00f2ff, 0x2a2a2a);
         geometry.position.y = -1.05; // Slightly below balloon start
         return geometry;
     }
 
+    createPayload() {
+        const group = new THREE.Group();
+
+        // Payload box
+        const box = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 0.3, 0.4),
+            new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.3, roughness: 0.6 })
+        );
+        group.add(box);
+
+        // Canopy: open hemisphere of unit radius, scaled with the parachute area
+        const canopy = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0xff6600, side: THREE.DoubleSide, roughness: 0.8 })
+        );
+        canopy.position.y = PARACHUTE_LINE_LENGTH;
+        canopy.scale.set(1, 0.6, 1);
+        group.add(canopy);
+
+        // Shroud lines from the canopy rim to the payload
+        const linePoints = [];
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            linePoints.push(new THREE.Vector3(0, 0.15, 0));
+            linePoints.push(new THREE.Vector3(Math.cos(angle), PARACHUTE_LINE_LENGTH, Math.sin(angle)));
+        }
+        const lines = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(linePoints),
+            new THREE.LineBasicMaterial({ color: 0xaaaaaa })
+        );
+        group.add(lines);
+
+        group.userData = { canopy, lines };
+        group.visible = false;
+        return group;
+    }
+
+    updateCanopy() {
+        // Canopy radius from its reference area: A = π r²
+        const radius = Math.sqrt(SimulationState.descent.parachuteArea / Math.PI);
+        const { canopy, lines } = this.payloadGroup.userData;
+        canopy.scale.set(radius, 0.6 * radius, radius);
+        lines.scale.set(radius, 1, radius);
+    }
+
+    updateBalloonSize() {
+        // Scale is proportional to radius. Initial radius is 1.0.
+        const scale = SimulationState.balloon.radius;
+        this.balloonMesh.scale.set(scale, scale, scale);
+    }
+
+    updateBalloonColor() {
+        // Interpolate from Blue (safe) to Red (danger): wall stress in MISSION, radius limit otherwise
+        const tension = SimulationState.balloon.tension;
+        this.balloonMesh.material.color.lerpColors(this.colorSafe, this.colorDanger, Math.pow(tension, 3)); // Exponential for dramatic effect near end
+    }
+
+    updatePosition() {
+        const s = SimulationState;
+        // In Mission mode, it moves up and drifts with the wind. In others, it stays at 0.
+        // After burst the payload keeps falling under its parachute.
+        if (s.mode === 'MISSION' && s.flightPhase !== 'ASCENT') {
+            this.payloadGroup.position.set(s.balloon.positionX, s.balloon.positionY, s.balloon.positionZ);
+            this.payloadGroup.visible = true;
+        } else {
+            this.balloonMesh.position.set(s.balloon.positionX, s.balloon.positionY, s.balloon.positionZ);
+        }
+    }
+
+    createFlightPath() {
+        // Preallocated buffer: points are appended while the balloon climbs
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_PATH_POINTS * 3), 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.LineBasicMaterial({ color: 0x00f2ff, transparent: true, opacity: 0.8 });
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false; // The bounding sphere is not recomputed as the path grows
+        return line;
+    }
+
+    addPathPoint(x, y, z) {
+        const geometry = this.flightPath.geometry;
+        const count = geometry.drawRange.count;
+        if (count >= MAX_PATH_POINTS) return;
+
+        const positions = geometry.attributes.position;
+        if (count > 0) {
+            const dx = x - positions.getX(count - 1);
+            const dy = y - positions.getY(count - 1);
+            const dz = z - positions.getZ(count - 1);
+            if (dx * dx + dy * dy + dz * dz < PATH_POINT_SPACING * PATH_POINT_SPACING) return;
+        }
+
+        positions.setXYZ(count, x, y, z);
+        positions.needsUpdate = true;
+        geometry.setDrawRange(0, count + 1);
+    }
+
+    /**
+     * Draws the predicted descent (dashed) and a marker at the landing point
+     * @param {Object} landing - See predictLanding() in physics.js
+     */
+    showLanding(landing) {
+        this.removeLandingMarker();
+        this.landingMarker = new THREE.Group();
+
+        const points = landing.path.map(([x, y, z]) => new THREE.Vector3(x, y, z));
+        const descent = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({ color: 0xffaa00, dashSize: 40, gapSize: 25 })
+        );
+        descent.computeLineDistances();
+        this.landingMarker.add(descent);
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(3, 5, 32),
+            new THREE.MeshBasicMaterial({ color: 0xffaa00, side: THREE.DoubleSide })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(landing.x, this.floorMesh.position.y + 0.01, landing.z);
+        this.landingMarker.add(ring);
+
+        this.scene.add(this.landingMarker);
+    }
+
+    removeLandingMarker() {
+        if (!this.landingMarker) return;
+        this.landingMarker.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.scene.remove(this.landingMarker);
+        this.landingMarker = null;
+    }
+
+    // Removes the flight path and landing marker (kept after a reset until the next launch)
+    clearTrajectory() {
+        this.flightPath.geometry.setDrawRange(0, 0);
+        this.removeLandingMarker();
+    }
+
     createExplosion(position) {
         const particleCount = 500;
         const geometry = new THREE.BufferGeometry();
@@ -137,83 +406,108 @@ export class SceneManager {
         this.createExplosion(this.balloonMesh.position.clone());
     }
 
+    updateExplosion(deltaTime) {
+        const positions = this.particles.geometry.attributes.position.array;
+        const velocities = this.particles.userData.velocities;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] += velocities[i] * deltaTime;
+            positions[i + 1] += velocities[i + 1] * deltaTime;
+            positions[i + 2] += velocities[i + 2] * deltaTime;
+        }
+        this.particles.geometry.attributes.position.needsUpdate = true;
+        this.particles.material.opacity -= deltaTime * 0.5;
+
+        if (this.particles.material.opacity <= 0) {
+            this.scene.remove(this.particles);
+            this.particles = null;
+        }
+    }
+
     update(deltaTime) {
         const s = SimulationState;
 
         if (this.particles) {
             // Update explosion
-            const positions = this.particles.geometry.attributes.position.array;
-            const velocities = this.particles.userData.velocities;
-
-            for (let i = 0; i < positions.length; i += 3) {
-                positions[i] += velocities[i] * deltaTime;
-                positions[i + 1] += velocities[i + 1] * deltaTime;
-                positions[i + 2] += velocities[i + 2] * deltaTime;
-            }
-            this.particles.geometry.attributes.position.needsUpdate = true;
-            this.particles.material.opacity -= deltaTime * 0.5;
-
-            if (this.particles.material.opacity <= 0) {
-                this.scene.remove(this.particles);
-                this.particles = null;
-            }
-            this.renderer.render(this.scene, this.camera);
-            return;
+            this.updateExplosion(deltaTime);
         }
 
-        if (!this.balloonMesh.visible) return;
+        // Gas particles while the balloon is whole
+        this.molecules.visible = this.showMolecules && this.balloonMesh.visible;
+        if (this.molecules.visible) this.updateMolecules(deltaTime);
 
-        // 1. Update Balloon Size
-        // Scale is proportional to radius. Initial radius is 1.0.
-        const scale = s.balloon.radius;
-        this.balloonMesh.scale.set(scale, scale, scale);
-
-        // 2. Update Balloon Position
-        // In Mission mode, it moves up. In others, it stays at 0 (or we could animate bobbing)
-        this.balloonMesh.position.y = s.balloon.positionY;
+        // Size, position and colour follow the state (see bindState)
+        // After burst in MISSION the payload keeps falling under its parachute
+        const descending = s.mode === 'MISSION' && s.flightPhase !== 'ASCENT';
 
-        // 3. Update Color (Tension)
-        // Interpolate from Blue (safe) to Red (danger)
-        const tension = Math.min(s.balloon.radius / s.balloon.maxRadius, 1.0);
-        const colorSafe = new THREE.Color(0x4a90e2);
-        const colorDanger = new THREE.Color(0xff3333);
-
-        this.balloonMesh.material.color.lerpColors(colorSafe, colorDanger, Math.pow(tension, 3)); // Exponential for dramatic effect near end
+        if (!descending && !this.balloonMesh.visible) {
+            // Educational burst: only the explosion is animated until the reset
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
 
-        // 4. Camera Follow (Mission Mode)
         if (s.mode === 'MISSION' && s.isRunning) {
-            // Closely follow balloon during ascent
+            this.addPathPoint(s.balloon.positionX, s.balloon.positionY, s.balloon.positionZ);
+        }
+
+        // Camera Follow (Mission Mode): balloon during ascent, payload during descent and after touchdown
+        if (s.mode === 'MISSION' && (s.isRunning || s.replaying || descending)) {
+            // Closely follow balloon during ascent and drift
+            const targetX = s.balloon.positionX;
             const targetY = s.balloon.positionY;
+            const targetZ = s.balloon.positionZ;
 
             // Smooth camera target tracking
+            this.controls.target.x += (targetX - this.controls.target.x) * 8.0 * deltaTime;
             this.controls.target.y += (targetY - this.controls.target.y) * 8.0 * deltaTime;
+            this.controls.target.z += (targetZ - this.controls.target.z) * 8.0 * deltaTime;
 
             // Also adjust camera position to maintain close view
             const desiredCameraY = targetY + 2; // Slightly above balloon
-            const desiredCameraZ = 5 + s.balloon.radius; // Adjust distance based on size
+            const desiredCameraZ = targetZ + 5 + s.balloon.radius; // Adjust distance based on size
 
+            this.camera.position.x += (targetX - this.camera.position.x) * 5.0 * deltaTime;
             this.camera.position.y += (desiredCameraY - this.camera.position.y) * 5.0 * deltaTime;
             this.camera.position.z += (desiredCameraZ - this.camera.position.z) * 3.0 * deltaTime;
         } else {
             // Reset target to origin when not in mission or not running
+            this.controls.target.x += (0 - this.controls.target.x) * 3.0 * deltaTime;
             this.controls.target.y += (0 - this.controls.target.y) * 3.0 * deltaTime;
+            this.controls.target.z += (0 - this.controls.target.z) * 3.0 * deltaTime;
 
             // Reset camera position smoothly
+            this.camera.position.x += (0 - this.camera.position.x) * 2.0 * deltaTime;
             this.camera.position.y += (2 - this.camera.position.y) * 2.0 * deltaTime;
             this.camera.position.z += (5 - this.camera.position.z) * 2.0 * deltaTime;
         }
 
         // Update controls
         this.controls.update();
+        this.sky.update(this.camera, s);
 
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Shows the balloon or the payload for a flight phase without the burst
+     * animation (mission replay, when jumping across the burst)
+     */
+    showFlightPhase(flightPhase) {
+        if (this.particles) {
+            this.scene.remove(this.particles);
+            this.particles = null;
+        }
+        this.balloonMesh.visible = flightPhase === 'ASCENT';
+        this.payloadGroup.visible = flightPhase !== 'ASCENT';
+    }
+
     reset() {
         this.balloonMesh.visible = true;
-        this.balloonMesh.scale.set(1, 1, 1);
-        this.balloonMesh.position.set(0, 0, 0);
-        this.balloonMesh.material.color.setHex(0x4a90e2);
+        this.payloadGroup.visible = false;
+        // Back in sync with the state, which may not change again before the next frame
+        this.updateBalloonSize();
+        this.updateBalloonColor();
+        this.updatePosition();
         if (this.particles) {
             this.scene.remove(this.particles);
             this.particles = null;
@@ -0,0 +1,445 @@
+// sky.js
+// Flight environment of the MISSION view: a sky that goes from blue to black as the air
+// thins, haze (fog) proportional to the air density, cloud layers, the boundaries of the
+// ISA layers, an altitude ruler next to the balloon and the ground below.
+// The scene is in real metres (the balloon's y is its altitude), but the camera only sees
+// up to its far plane: the sky and the far ground are drawn around the camera instead
+// (see updateGround()). Used by scene.js; the educational modes keep the plain backdrop.
+import * as THREE from 'three';
+import { getAtmosphere, buildAtmosphereLayers } from './physics.js';
+import { t } from './i18n.js';
+import { formatQuantity } from './units.js';
+
+// Sky dome colours: clear sky at sea level, black at the top of the atmosphere
+const SKY_RADIUS = 1800; // m, inside the camera far plane
+const SKY_COLORS = {
+    zenith: 0x2a6fc9,
+    horizon: 0x9cc9ec,
+    spaceZenith: 0x000000,
+    spaceHorizon: 0x0a0e17
+};
+
+// Haze: FogExp2 density with sea level air, scaled by the density ratio ρ/ρ₀
+const FOG_DENSITY = 0.0008; // 1/m
+
+// Cloud decks (world-fixed pattern, tile = m of sky covered by one texture repetition)
+const CLOUD_SIZE = 3600; // m, side of the drawn deck around the camera
+const CLOUD_LAYERS = [
+    { altitude: 1200, thickness: 80, opacity: 0.85, tile: 900, puffs: 14 }, // Cumulus
+    { altitude: 4500, thickness: 60, opacity: 0.6, tile: 1500, puffs: 10 }, // Altocumulus
+    { altitude: 9000, thickness: 40, opacity: 0.35, tile: 2500, puffs: 6 }  // Cirrus, under the tropopause
+];
+
+// Translucent planes at the base of each ISA layer
+const LAYER_PLANE_SIZE = 3000;    // m
+const LAYER_PLANE_OPACITY = 0.08;
+const LAYER_LABEL_DISTANCE = 200; // m in front of the camera
+
+// Ground: patchwork of fields under the camera. Below GROUND_MAX_DEPTH it is drawn
+// closer and shrunk by the same factor, so it keeps its apparent size and recedes
+const GROUND_LEVEL = -1.1;        // m, just under the launch pad grid
+const GROUND_MAX_DEPTH = 1000;    // m
+const GROUND_RADIUS = 1700;       // m, drawn (faded out at the edge)
+const GROUND_TILE = 2000;         // m of real ground per texture repetition
+
+// Altitude ruler: a tick every metre, a labelled one every RULER_MAJOR metres
+const RULER_MAJOR = 10;            // m
+const RULER_BELOW = 20;            // m of ruler under the balloon
+const RULER_ABOVE = 30;            // m
+const RULER_OFFSET = 1.5;          // m beside the balloon surface
+const RULER_COLOR = 0x00f2ff;
+
+// Text sprites keep their size on screen (fraction of the view height at distance 1)
+const LABEL_HEIGHT = 0.04;
+
+/**
+ * Air density relative to sea level: ρ/ρ₀ = (P/T) / (P₀/T₀)
+ */
+function densityRatio(altitude, seaLevelTemperature) {
+    const air = getAtmosphere(Math.max(altitude, 0), seaLevelTemperature);
+    const ground = getAtmosphere(0, seaLevelTemperature);
+    return (air.pressure / air.temperature) / (ground.pressure / ground.temperature);
+}
+
+/**
+ * Canvas texture with soft white puffs, wrapped at the edges so it tiles
+ */
+function createCloudTexture(puffs) {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    for (let i = 0; i < puffs; i++) {
+        const x = Math.random() * size;
+        const y = Math.random() * size;
+        const radius = size * (0.06 + Math.random() * 0.12);
+        // Drawn at the neighbouring tiles too, so the puffs cross the edges
+        for (const dx of [-size, 0, size]) {
+            for (const dy of [-size, 0, size]) {
+                const gradient = context.createRadialGradient(x + dx, y + dy, 0, x + dx, y + dy, radius);
+                gradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+                gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+                context.fillStyle = gradient;
+                context.fillRect(x + dx - radius, y + dy - radius, radius * 2, radius * 2);
+            }
+        }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+
+/**
+ * Canvas texture of fields in a few tones of green and brown, tiled
+ */
+function createGroundTexture() {
+    const size = 256;
+    const cells = 8;
+    const tones = ['#2f4a2a', '#3b5a2e', '#4a5a32', '#5a4e34', '#34502f'];
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    const cell = size / cells;
+    for (let i = 0; i < cells; i++) {
+        for (let j = 0; j < cells; j++) {
+            context.fillStyle = tones[Math.floor(Math.random() * tones.length)];
+            context.fillRect(i * cell, j * cell, cell, cell);
+        }
+    }
+    // Roads between the fields
+    context.strokeStyle = 'rgba(160, 160, 150, 0.5)';
+    context.lineWidth = 2;
+    context.strokeRect(0, 0, size, size);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+
+/**
+ * Radial alpha mask: opaque at the centre, transparent at the edge
+ */
+function createFadeTexture() {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.6, '#ffffff');
+    gradient.addColorStop(1, '#000000');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * Text sprite with a constant size on screen (see setLabelText)
+ */
+function createLabel() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 64;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthTest: false,
+        sizeAttenuation: false,
+        fog: false
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(LABEL_HEIGHT * canvas.width / canvas.height, LABEL_HEIGHT, 1);
+    sprite.center.set(0, 0.5); // Anchored at the left edge of the text
+    sprite.userData.text = null;
+    return sprite;
+}
+
+function setLabelText(sprite, text) {
+    if (sprite.userData.text === text) return;
+    sprite.userData.text = text;
+    const texture = sprite.material.map;
+    const canvas = texture.image;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 32px sans-serif';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(10, 14, 23, 0.8)';
+    context.strokeText(text, 4, canvas.height / 2);
+    context.fillStyle = '#e0f7ff';
+    context.fillText(text, 4, canvas.height / 2);
+    texture.needsUpdate = true;
+}
+
+export class SkyEnvironment {
+    /**
+     * @param {THREE.Scene} scene - Its background and fog are taken over while the sky is shown
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = false;
+        this.units = null; // Display units of the labels (see updateLabels)
+
+        // Plain backdrop of the educational modes, restored when the sky is hidden
+        this.backdrop = { background: scene.background, fog: scene.fog };
+        this.fog = new THREE.FogExp2(SKY_COLORS.horizon, FOG_DENSITY);
+
+        this.colors = {
+            zenith: new THREE.Color(SKY_COLORS.zenith),
+            horizon: new THREE.Color(SKY_COLORS.horizon),
+            spaceZenith: new THREE.Color(SKY_COLORS.spaceZenith),
+            spaceHorizon: new THREE.Color(SKY_COLORS.spaceHorizon),
+            currentZenith: new THREE.Color(),
+            currentHorizon: new THREE.Color()
+        };
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.dome = this.createDome();
+        this.clouds = this.createClouds();
+        this.layers = this.createLayerPlanes();
+        this.ground = this.createGround();
+        this.ruler = this.createRuler();
+        this.group.add(this.dome, this.clouds, this.layers, this.ground, this.ruler);
+        scene.add(this.group);
+    }
+
+    createDome() {
+        const geometry = new THREE.SphereGeometry(SKY_RADIUS, 32, 16);
+        const count = geometry.attributes.position.count;
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.BackSide,
+            depthWrite: false,
+            depthTest: false,
+            fog: false
+        });
+        const dome = new THREE.Mesh(geometry, material);
+        dome.renderOrder = -1; // Drawn first, behind everything
+        return dome;
+    }
+
+    createClouds() {
+        const group = new THREE.Group();
+        CLOUD_LAYERS.forEach(layer => {
+            const texture = createCloudTexture(layer.puffs);
+            texture.repeat.set(CLOUD_SIZE / layer.tile, CLOUD_SIZE / layer.tile);
+            // Two sheets per deck, the upper one shifted, give it some depth
+            [0, layer.thickness].forEach((height, i) => {
+                const sheetTexture = i === 0 ? texture : texture.clone();
+                const mesh = new THREE.Mesh(
+                    new THREE.PlaneGeometry(CLOUD_SIZE, CLOUD_SIZE),
+                    new THREE.MeshBasicMaterial({
+                        map: sheetTexture,
+                        transparent: true,
+                        opacity: layer.opacity,
+                        depthWrite: false,
+                        side: THREE.DoubleSide
+                    })
+                );
+                mesh.rotation.x = -Math.PI / 2;
+                mesh.position.y = layer.altitude + height;
+                mesh.userData = { tile: layer.tile, shift: i * 0.37 };
+                group.add(mesh);
+            });
+        });
+        return group;
+    }
+
+    createLayerPlanes() {
+        const group = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({
+            color: RULER_COLOR,
+            transparent: true,
+            opacity: LAYER_PLANE_OPACITY,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        // Boundaries: the base of every layer above the ground
+        buildAtmosphereLayers().filter(layer => layer.baseAltitude > 0).forEach(layer => {
+            const plane = new THREE.Mesh(new THREE.PlaneGeometry(LAYER_PLANE_SIZE, LAYER_PLANE_SIZE), material);
+            plane.rotation.x = -Math.PI / 2;
+            plane.position.y = layer.baseAltitude;
+            const label = createLabel();
+            label.position.y = layer.baseAltitude;
+            label.userData.layer = layer;
+            plane.userData.label = label;
+            group.add(plane, label);
+        });
+        return group;
+    }
+
+    createGround() {
+        const texture = createGroundTexture();
+        const mesh = new THREE.Mesh(
+            new THREE.CircleGeometry(GROUND_RADIUS, 64),
+            new THREE.MeshBasicMaterial({
+                map: texture,
+                alphaMap: createFadeTexture(),
+                transparent: true,
+                depthWrite: false
+            })
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.renderOrder = -1; // Under the launch pad grid and the flight path
+        return mesh;
+    }
+
+    createRuler() {
+        const group = new THREE.Group();
+        const points = [
+            new THREE.Vector3(0, -RULER_BELOW, 0),
+            new THREE.Vector3(0, RULER_ABOVE, 0)
+        ];
+        const labels = [];
+        for (let i = -RULER_BELOW; i <= RULER_ABOVE; i++) {
+            const major = i % RULER_MAJOR === 0;
+            points.push(new THREE.Vector3(0, i, 0), new THREE.Vector3(major ? 0.5 : 0.2, i, 0));
+            if (major) {
+                const label = createLabel();
+                label.position.set(0.6, i, 0);
+                label.userData.offset = i;
+                labels.push(label);
+                group.add(label);
+            }
+        }
+        const ticks = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: RULER_COLOR, transparent: true, opacity: 0.8 })
+        );
+        group.add(ticks);
+        group.userData = { labels, base: null };
+        return group;
+    }
+
+    /**
+     * Shows the flight environment (MISSION) or goes back to the plain backdrop
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        this.scene.background = enabled ? null : this.backdrop.background;
+        this.scene.fog = enabled ? this.fog : this.backdrop.fog;
+    }
+
+    /**
+     * Sky colours and haze for an altitude: both follow the air density
+     * @param {number} altitude - m
+     * @param {number} seaLevelTemperature - K (ISA reference)
+     */
+    setAltitude(altitude, seaLevelTemperature) {
+        const ratio = densityRatio(altitude, seaLevelTemperature);
+        const c = this.colors;
+        // The zenith darkens first; the horizon keeps some blue up to the stratosphere
+        c.currentZenith.lerpColors(c.spaceZenith, c.zenith, Math.sqrt(ratio));
+        c.currentHorizon.lerpColors(c.spaceHorizon, c.horizon, Math.pow(ratio, 0.3));
+
+        const positions = this.dome.geometry.attributes.position;
+        const colors = this.dome.geometry.attributes.color;
+        const color = new THREE.Color();
+        for (let i = 0; i < positions.count; i++) {
+            const height = Math.max(positions.getY(i) / SKY_RADIUS, 0);
+            color.lerpColors(c.currentHorizon, c.currentZenith, Math.pow(height, 0.6));
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
+
+        this.fog.color.copy(c.currentHorizon);
+        this.fog.density = FOG_DENSITY * ratio;
+    }
+
+    /**
+     * Texts of the layer labels and the ruler (language and altitude units)
+     * @param {Object} units - Display units (see units.js)
+     */
+    updateLabels(units) {
+        this.layers.children.filter(object => object.isSprite).forEach(label => {
+            const { id, baseAltitude } = label.userData.layer;
+            setLabelText(label, `${t(`layer.${id}`)} · ${formatQuantity(units, 'altitude', baseAltitude)}`);
+        });
+        this.units = units;
+        this.ruler.userData.base = null; // Redrawn on the next update
+    }
+
+    /**
+     * Moves the environment with the camera and the ruler with the balloon (every frame)
+     * @param {THREE.Camera} camera
+     * @param {Object} s - Simulation state
+     */
+    update(camera, s) {
+        if (!this.enabled) return;
+        const { x, z } = camera.position;
+
+        this.dome.position.copy(camera.position);
+
+        // Cloud decks and layer planes are at their real altitude; their pattern stays
+        // fixed on the ground while the drawn sheet follows the camera
+        this.clouds.children.forEach(mesh => {
+            mesh.position.x = x;
+            mesh.position.z = z;
+            mesh.material.map.offset.set(x / mesh.userData.tile + mesh.userData.shift, -z / mesh.userData.tile);
+        });
+        this.layers.children.forEach(object => {
+            if (object.isSprite) {
+                object.position.set(x, object.position.y, z - LAYER_LABEL_DISTANCE);
+            } else {
+                object.position.x = x;
+                object.position.z = z;
+            }
+        });
+
+        this.updateGround(camera);
+        this.updateRuler(s);
+    }
+
+    /**
+     * Ground under the camera. Seen from a depth d larger than GROUND_MAX_DEPTH it is drawn
+     * at GROUND_MAX_DEPTH with its pattern shrunk by GROUND_MAX_DEPTH / d: the apparent size
+     * is the real one, and the fields get smaller as the balloon climbs.
+     */
+    updateGround(camera) {
+        const { x, y, z } = camera.position;
+        const depth = Math.max(y - GROUND_LEVEL, 1e-3);
+        const drawnDepth = Math.min(depth, GROUND_MAX_DEPTH);
+        const shrink = drawnDepth / depth;
+
+        this.ground.position.set(x, y - drawnDepth, z);
+        // Real metres covered by the drawn disk, in texture repetitions
+        const texture = this.ground.material.map;
+        const repeat = 2 * GROUND_RADIUS / (GROUND_TILE * shrink);
+        texture.repeat.set(repeat, repeat);
+        // Keeps the real point under the camera at the centre of the disk
+        texture.offset.set(x / GROUND_TILE - repeat / 2, -z / GROUND_TILE - repeat / 2);
+    }
+
+    /**
+     * Ruler beside the balloon (or the payload after burst), ticks at whole metres
+     */
+    updateRuler(s) {
+        const ruler = this.ruler;
+        const altitude = s.balloon.positionY;
+        const base = Math.floor(altitude / RULER_MAJOR) * RULER_MAJOR;
+        const side = s.flightPhase === 'ASCENT' ? s.balloon.radius : 0;
+        ruler.position.set(s.balloon.positionX + side + RULER_OFFSET, base, s.balloon.positionZ);
+
+        if (ruler.userData.base === base || !this.units) return;
+        ruler.userData.base = base;
+        ruler.userData.labels.forEach(label => {
+            const value = base + label.userData.offset;
+            label.visible = value >= 0;
+            if (label.visible) setLabelText(label, formatQuantity(this.units, 'altitude', value));
+        });
+    }
+}
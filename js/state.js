@@ -1,70 +1,346 @@
 // state.js
 
 // Configuration for different gases
+// molarMass in kg/mol, gamma = Cp/Cv (heat capacity ratio).
+// a (Pa·m⁶/mol²) and b (m³/mol) are the van der Waals constants.
+// Custom gases and mixtures are added at runtime by gases.js.
+// Built-in gas names are in the language bundles ('gas.<id>.name', see getGasName in gases.js).
 export const GAS_PROPERTIES = {
-    'HE': { name: 'Helio', molarMass: 0.0040026 }, // kg/mol
-    'NE': { name: 'Neón', molarMass: 0.0201797 },
-    'AR': { name: 'Argón', molarMass: 0.039948 }
+    'HE': { symbol: 'He', molarMass: 0.0040026, gamma: 5 / 3, a: 0.00346, b: 2.38e-5 },
+    'NE': { symbol: 'Ne', molarMass: 0.0201797, gamma: 5 / 3, a: 0.0208, b: 1.67e-5 },
+    'AR': { symbol: 'Ar', molarMass: 0.039948, gamma: 5 / 3, a: 0.1355, b: 3.20e-5 },
+    'H2': { symbol: 'H₂', molarMass: 0.00201588, gamma: 1.41, a: 0.02476, b: 2.661e-5 },
+    'CH4': { symbol: 'CH₄', molarMass: 0.0160425, gamma: 1.31, a: 0.2283, b: 4.278e-5 },
+    'N2': { symbol: 'N₂', molarMass: 0.0280134, gamma: 1.40, a: 0.1370, b: 3.87e-5 },
+    'AIR': { symbol: 'Aire', molarMass: 0.0289644, gamma: 1.40, a: 0.1358, b: 3.64e-5 },
+    'CO2': { symbol: 'CO₂', molarMass: 0.0440095, gamma: 1.29, a: 0.3640, b: 4.267e-5 }
 };
 
-const initialState = {
-    mode: 'IDLE', // 'IDLE', 'BOYLE', 'CHARLES', 'GAY-LUSSAC', 'MISSION'
-    isRunning: false,
+/**
+ * Creates a fresh, independent simulation state.
+ * Used for the app singleton and for headless runs (see mission.js).
+ */
+export function createSimulationState() {
+    return {
+        mode: 'IDLE', // 'IDLE', 'BOYLE', 'CHARLES', 'GAY-LUSSAC', 'AVOGADRO', 'COMBINED', 'ADIABATIC', 'CYCLE', 'MISSION'
+        isRunning: false,
+        flightPhase: 'ASCENT', // MISSION: 'ASCENT', 'DESCENT' (after burst), 'LANDED'
+        replaying: false, // MISSION: the state holds a recorded frame, the physics is paused (replay.js)
+        eos: 'IDEAL', // Equation of state: 'IDEAL' (PV = nRT) or 'VDW' (van der Waals)
+        // Display units (see units.js). Only the UI converts: the state itself is always SI
+        units: { pressure: 'Pa', temperature: 'K', volume: 'm3', altitude: 'm' },
+        // UI language (see i18n.js); readouts subscribe to it to re-render their text
+        language: 'es',
 
-    // Environmental Parameters
-    env: {
-        altitude: 0,      // meters
-        pressure: 101325, // Pa
-        temperature: 293, // Kelvin (20°C)
-        gravity: 9.81     // m/s²
+        // Environmental Parameters
+        env: {
+            altitude: 0,      // meters
+            pressure: 101325, // Pa
+            temperature: 293, // Kelvin (20°C)
+            seaLevelTemperature: 293, // ISA reference T0: 293 (friendly) or 288.15 (standard)
+            gravity: 9.80665  // m/s², g(h) at the current altitude (MISSION)
+        },
+
+        // Balloon Physics State
+        balloon: {
+            gasType: 'HE',    // Key of GAS_PROPERTIES
+            moles: 0,         // Will be calculated on init
+            volume: 0,        // m³
+            radius: 1.0,      // m
+            maxRadius: 5.0,   // Burst limit (educational modes)
+            tension: 0,       // 0 = relaxed, 1 = burst (drives the danger bar and colour)
+            positionX: 0,     // Visual position (interpolated between physics steps)
+            positionY: 0,
+            positionZ: 0,
+            previousAltitude: 0, // Altitude at the previous physics step
+            velocity: 0,      // m/s (Vertical)
+            massPayload: 0.5, // kg (Basket + Equipment) - Reduced for ascent
+            massBalloon: 0.2, // kg (Rubber) - Reduced for ascent
+            constantVolume: 0, // For Gay-Lussac mode
+            // For adiabatic mode: state the adiabat goes through (Pa, K), stored when the mode is entered
+            adiabaticReference: { pressure: 0, temperature: 0 }
+        },
+
+        // Latex envelope (MISSION mode): Mooney-Rivlin hyperelastic membrane
+        envelope: {
+            unstretchedRadius: 0.5, // m (r0)
+            thickness: 0.0001,      // m (unstretched wall thickness t0)
+            modulus: 3e5,           // Pa (shear modulus μ)
+            mooneyRatio: 0.1,       // C2/C1
+            criticalStretch: 10,    // λ at which the latex tears
+            burstStress: 2e8,       // Pa (true wall stress at rupture)
+            stretch: 1,             // λ = r / r0
+            superpressure: 0,       // Pa (P_int - P_ext)
+            wallStress: 0           // Pa
+        },
+
+        // Lumped thermal model of gas and envelope (MISSION mode)
+        thermal: {
+            enabled: true,
+            daytime: true,            // Solar heating (day) or none (night)
+            infrared: true,           // Infrared exchange with Earth and sky
+            gasTemperature: 293,      // K
+            filmTemperature: 293,     // K (envelope)
+            solarAbsorptivity: 0.3,   // Translucent latex
+            emissivity: 0.8,
+            internalTransfer: 3,      // W/(m²·K), gas <-> envelope
+            externalTransfer: 5       // W/(m²·K), envelope <-> air at sea level, still air
+        },
+
+        // In-flight pilot controls (MISSION mode)
+        pilot: {
+            ballast: 0.3,        // kg of ballast left (part of massPayload)
+            ballastStep: 0.05,   // kg released per drop
+            ballastDropped: 0,   // kg released so far
+            valveOpen: false,
+            valveArea: 5e-4,     // m² (vent orifice)
+            valveCd: 0.6,        // Discharge coefficient of the orifice
+            gasReleased: 0       // mol vented so far
+        },
+
+        // Descent after burst (MISSION mode): payload under a parachute plus the latex fragments
+        descent: {
+            parachuteArea: 0.5,    // m² (canopy reference area)
+            parachuteCd: 1.5,      // Drag coefficient of the canopy
+            fragmentFraction: 0.8, // Part of the latex that stays tied to the payload
+            burstTime: 0,          // s (mission time at burst)
+            descentTime: 0,        // s (burst -> touchdown)
+            impactVelocity: 0      // m/s at touchdown
+        },
+
+        // Horizontal wind (MISSION mode)
+        wind: {
+            profile: 'CALM', // Key of WIND_PROFILES (wind.js)
+            // User-defined profile ('CUSTOM'): direction the wind blows from, degrees from north
+            table: [
+                { altitude: 0, speed: 5, direction: 270 },
+                { altitude: 10000, speed: 25, direction: 270 },
+                { altitude: 30000, speed: 10, direction: 90 }
+            ]
+        },
+
+        // Horizontal drift from the launch site (MISSION mode). Scene axes: +X east, -Z north.
+        drift: {
+            x: 0,          // m
+            z: 0,          // m
+            velocityX: 0,  // m/s
+            velocityZ: 0,  // m/s
+            previousX: 0,  // Position at the previous physics step
+            previousZ: 0,
+            landing: null  // Predicted landing point after burst: { x, z, distance, bearing, descentTime, path }
+        },
+
+        // Forces acting on the balloon at the last physics step (MISSION mode)
+        forces: {
+            buoyancy: 0,     // N
+            weight: 0,       // N
+            drag: 0,         // N
+            acceleration: 0, // m/s²
+            airDensity: 0,   // kg/m³
+            reynolds: 0,     // Reynolds number of the balloon (canopy after burst)
+            dragCoefficient: 0,
+            terminalVelocity: 0 // m/s, vertical velocity where drag balances the net force
+        },
+
+        // Fixed step physics clock (MISSION mode)
+        physics: {
+            integrator: 'RK4',   // 'EULER', 'SEMI_IMPLICIT', 'RK4'
+            fixedStep: 1 / 120,  // seconds per physics step
+            accumulator: 0,      // Unsimulated frame time
+            time: 0,             // Simulated mission time (s)
+            alpha: 0             // Interpolation factor for rendering
+        },
+
+        // Animation state for educational modes
+        animation: {
+            active: false,
+            startValue: 0,
+            targetValue: 0,
+            currentValue: 0,
+            duration: 10, // seconds (per process in a thermodynamic cycle)
+            easing: 'LINEAR', // Key of EASINGS (easing.js)
+            elapsed: 0,
+            parameter: '', // 'pressure', 'temperature', 'moles' (Avogadro), 'path' (combined law) or 'cycle'
+            direction: 1, // 1 for increase, -1 for decrease
+            // Animation targets (Pa, K, mol): where each direction ends
+            limits: { pressureMin: 10000, pressureMax: 200000, temperatureMin: 100, temperatureMax: 500, molesMin: 20, molesMax: 500 },
+            // Combined law: P and T go through these points (Pa, K) in order
+            path: [{ pressure: 150000, temperature: 400 }, { pressure: 60000, temperature: 250 }],
+            points: [], // Path being animated, from the P and T at the start
+            // Thermodynamic cycle: processes run in order (see cycles.js)
+            cycle: []
+        }
+    };
+}
+
+// --- Reactive store ---
+// SimulationState is a deep Proxy: a write at any depth ('env.pressure',
+// 'wind.table.2.speed') marks its path as changed. SimulationStore.flush(), called
+// once per frame by main.js, delivers the queued events and then notifies each
+// subscriber once with the changed paths it is interested in.
+// Headless runs (mission.js) use plain states from createSimulationState().
+
+// Typed events (SimulationStore.emit / on)
+export const STATE_EVENTS = {
+    MODE: 'mode',       // { mode, previous }
+    LAUNCH: 'launch',   // MISSION flight started
+    BURST: 'burst',     // { mode, altitude }
+    LANDING: 'landing', // MISSION touchdown after the parachute descent
+    RESET: 'reset'      // Back to the launch pad / initial balloon
+};
+
+const RAW = Symbol('raw');
+const proxies = new WeakMap(); // Plain object -> its observing proxy
+const dirtyPaths = new Set();
+const subscriptions = new Set();
+const listeners = new Map();   // Event type -> Set of callbacks
+let queuedEvents = [];
+
+function markDirty(path, property) {
+    dirtyPaths.add(path ? `${path}.${property}` : property);
+}
+
+function observe(target, path) {
+    let proxy = proxies.get(target);
+    if (proxy) return proxy;
+
+    proxy = new Proxy(target, {
+        get(obj, property) {
+            if (property === RAW) return obj;
+            const value = obj[property];
+            if (value !== null && typeof value === 'object' && typeof property === 'string') {
+                return observe(value, path ? `${path}.${property}` : property);
+            }
+            return value;
+        },
+        set(obj, property, value) {
+            // Store plain objects, never proxies
+            const raw = (value !== null && typeof value === 'object' && value[RAW]) || value;
+            if (obj[property] !== raw) {
+                obj[property] = raw;
+                markDirty(path, String(property));
+            }
+            return true;
+        },
+        deleteProperty(obj, property) {
+            if (property in obj) {
+                delete obj[property];
+                markDirty(path, String(property));
+            }
+            return true;
+        }
+    });
+    proxies.set(target, proxy);
+    return proxy;
+}
+
+// A subscription to 'env' sees 'env.pressure', one to 'env.pressure' sees 'env' replaced
+function pathsOverlap(subscribed, changed) {
+    return subscribed === '*' || subscribed === changed ||
+        changed.startsWith(`${subscribed}.`) || subscribed.startsWith(`${changed}.`);
+}
+
+const initialState = createSimulationState();
+
+export const SimulationState = observe(initialState, '');
+
+export const SimulationStore = {
+    /**
+     * Calls back (at the next flush) when a path, a parent or a child of it changes
+     * @param {string|string[]} paths - e.g. 'env.pressure', ['balloon.radius', 'mode'], '*'
+     * @param {Function} callback - (changedPaths) => void
+     * @param {Object} options - { immediate: true } also calls back right away
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(paths, callback, { immediate = false } = {}) {
+        const subscription = { paths: [].concat(paths), callback };
+        subscriptions.add(subscription);
+        if (immediate) callback(subscription.paths);
+        return () => subscriptions.delete(subscription);
     },
 
-    // Balloon Physics State
-    balloon: {
-        gasType: 'HE',    // 'HE', 'NE', 'AR'
-        moles: 0,         // Will be calculated on init
-        volume: 0,        // m³
-        radius: 1.0,      // m
-        maxRadius: 5.0,   // Burst limit
-        positionY: 0,     // Visual/Physics position
-        velocity: 0,      // m/s (Vertical)
-        massPayload: 0.5, // kg (Basket + Equipment) - Reduced for ascent
-        massBalloon: 0.2, // kg (Rubber) - Reduced for ascent
-        constantVolume: 0 // For Gay-Lussac mode
+    /**
+     * Listens to a typed event (STATE_EVENTS)
+     * @returns {Function} Stop listening
+     */
+    on(type, callback) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(callback);
+        return () => listeners.get(type).delete(callback);
     },
 
-    // Animation state for educational modes
-    animation: {
-        active: false,
-        startValue: 0,
-        targetValue: 0,
-        currentValue: 0,
-        duration: 10, // seconds
-        elapsed: 0,
-        parameter: '', // 'pressure' or 'temperature'
-        direction: 1 // 1 for increase, -1 for decrease
-    }
-};
+    // Queues an event, delivered in order at the next flush
+    emit(type, detail = {}) {
+        queuedEvents.push({ type, detail });
+    },
+
+    /**
+     * Delivers the queued events, then the change notifications.
+     * Writes made by the callbacks are delivered at the next flush.
+     */
+    flush() {
+        const events = queuedEvents;
+        queuedEvents = [];
+        events.forEach(({ type, detail }) => {
+            (listeners.get(type) || []).forEach(callback => callback(detail));
+        });
 
-// Simple reactive state using Proxy
-const handler = {
-    set(target, property, value) {
-        target[property] = value;
-        // We could add event dispatching here if needed
-        return true;
+        if (dirtyPaths.size === 0) return;
+        const changed = Array.from(dirtyPaths);
+        dirtyPaths.clear();
+        subscriptions.forEach(subscription => {
+            const matched = changed.filter(path => subscription.paths.some(p => pathsOverlap(p, path)));
+            if (matched.length > 0) subscription.callback(matched);
+        });
     }
 };
 
-export const SimulationState = new Proxy(initialState, handler);
-
 // Helper to reset state for mission
 export function resetMissionState() {
     SimulationState.env.altitude = 0;
+    SimulationState.env.gravity = 9.80665;
     SimulationState.env.pressure = 101325;
-    SimulationState.env.temperature = 293;
+    SimulationState.env.temperature = SimulationState.env.seaLevelTemperature;
+    SimulationState.balloon.positionX = 0;
     SimulationState.balloon.positionY = 0;
+    SimulationState.balloon.positionZ = 0;
+    SimulationState.balloon.previousAltitude = 0;
     SimulationState.balloon.velocity = 0;
     SimulationState.balloon.radius = 1.0;
+    SimulationState.balloon.tension = 0;
+    SimulationState.envelope.stretch = 1;
+    SimulationState.envelope.superpressure = 0;
+    SimulationState.envelope.wallStress = 0;
+    SimulationState.thermal.gasTemperature = SimulationState.env.temperature;
+    SimulationState.thermal.filmTemperature = SimulationState.env.temperature;
+    // The landing prediction is kept (like the telemetry) until the next launch
+    SimulationState.drift.x = 0;
+    SimulationState.drift.z = 0;
+    SimulationState.drift.velocityX = 0;
+    SimulationState.drift.velocityZ = 0;
+    SimulationState.drift.previousX = 0;
+    SimulationState.drift.previousZ = 0;
+    // Ballast goes back into the payload and the valve closes
+    SimulationState.balloon.massPayload += SimulationState.pilot.ballastDropped;
+    SimulationState.pilot.ballast += SimulationState.pilot.ballastDropped;
+    SimulationState.pilot.ballastDropped = 0;
+    SimulationState.pilot.valveOpen = false;
+    SimulationState.pilot.gasReleased = 0;
+    SimulationState.descent.burstTime = 0;
+    SimulationState.descent.descentTime = 0;
+    SimulationState.descent.impactVelocity = 0;
+    SimulationState.forces.buoyancy = 0;
+    SimulationState.forces.weight = 0;
+    SimulationState.forces.drag = 0;
+    SimulationState.forces.acceleration = 0;
+    SimulationState.forces.airDensity = 0;
+    SimulationState.forces.reynolds = 0;
+    SimulationState.forces.dragCoefficient = 0;
+    SimulationState.forces.terminalVelocity = 0;
+    SimulationState.physics.accumulator = 0;
+    SimulationState.physics.time = 0;
+    SimulationState.physics.alpha = 0;
     SimulationState.isRunning = false;
+    SimulationState.flightPhase = 'ASCENT';
     SimulationState.animation.active = false;
 }
@@ -0,0 +1,121 @@
+// telemetry.js
+// Flight telemetry recorder (MISSION mode) with CSV and JSON export.
+// Pure module: it only reads a simulation state, so it also works in Node.
+import { getWind, getWindTable } from './wind.js';
+
+// Recorded channels: sample key, CSV column header
+export const TELEMETRY_FIELDS = [
+    { key: 'time', header: 'time_s' },
+    { key: 'altitude', header: 'altitude_m' },
+    { key: 'east', header: 'east_m' },
+    { key: 'north', header: 'north_m' },
+    { key: 'pressure', header: 'pressure_Pa' },
+    { key: 'temperature', header: 'temperature_K' },
+    { key: 'gasTemperature', header: 'gas_temperature_K' },
+    { key: 'filmTemperature', header: 'envelope_temperature_K' },
+    { key: 'moles', header: 'gas_mol' },
+    { key: 'volume', header: 'volume_m3' },
+    { key: 'radius', header: 'radius_m' },
+    { key: 'superpressure', header: 'superpressure_Pa' },
+    { key: 'wallStress', header: 'wall_stress_Pa' },
+    { key: 'velocity', header: 'velocity_m_s' },
+    { key: 'windSpeed', header: 'wind_speed_m_s' },
+    { key: 'windDirection', header: 'wind_direction_deg' },
+    { key: 'acceleration', header: 'acceleration_m_s2' },
+    { key: 'massPayload', header: 'payload_kg' },
+    { key: 'buoyancy', header: 'buoyancy_N' },
+    { key: 'weight', header: 'weight_N' },
+    { key: 'drag', header: 'drag_N' },
+    { key: 'airDensity', header: 'air_density_kg_m3' },
+    { key: 'gravity', header: 'gravity_m_s2' },
+    { key: 'reynolds', header: 'reynolds' },
+    { key: 'dragCoefficient', header: 'drag_coefficient' },
+    { key: 'terminalVelocity', header: 'terminal_velocity_m_s' }
+];
+
+/**
+ * Takes a telemetry sample from a simulation state
+ * @param {Object} s - Simulation state
+ * @returns {Object} One value per TELEMETRY_FIELDS key
+ */
+export function telemetrySample(s) {
+    const wind = getWind(s.env.altitude, getWindTable(s.wind));
+    return {
+        time: s.physics.time,
+        altitude: s.env.altitude,
+        east: s.drift.x,
+        north: -s.drift.z,
+        pressure: s.env.pressure,
+        temperature: s.env.temperature,
+        gasTemperature: s.thermal.gasTemperature,
+        filmTemperature: s.thermal.filmTemperature,
+        moles: s.balloon.moles,
+        volume: s.balloon.volume,
+        radius: s.balloon.radius,
+        superpressure: s.envelope.superpressure,
+        wallStress: s.envelope.wallStress,
+        velocity: s.balloon.velocity,
+        windSpeed: wind.speed,
+        windDirection: wind.direction,
+        acceleration: s.forces.acceleration,
+        massPayload: s.balloon.massPayload,
+        buoyancy: s.forces.buoyancy,
+        weight: s.forces.weight,
+        drag: s.forces.drag,
+        airDensity: s.forces.airDensity,
+        gravity: s.env.gravity,
+        reynolds: s.forces.reynolds,
+        dragCoefficient: s.forces.dragCoefficient,
+        terminalVelocity: s.forces.terminalVelocity
+    };
+}
+
+export class TelemetryRecorder {
+    /**
+     * @param {number} interval - Seconds of simulated time between samples (0 = every frame)
+     */
+    constructor(interval = 0) {
+        this.interval = interval;
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+    }
+
+    clear() {
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+    }
+
+    /**
+     * Records a sample if the configured interval has elapsed.
+     * Frames where the physics clock did not advance are skipped.
+     * @param {Object} s - Simulation state
+     * @returns {boolean} true if a sample was stored
+     */
+    record(s) {
+        const time = s.physics.time;
+        if (time <= this.lastSampleTime) return false;
+        if (this.interval > 0 && time - this.lastSampleTime < this.interval) return false;
+
+        this.samples.push(telemetrySample(s));
+        this.lastSampleTime = time;
+        return true;
+    }
+
+    get hasData() {
+        return this.samples.length > 0;
+    }
+
+    toCSV() {
+        const header = TELEMETRY_FIELDS.map(f => f.header).join(',');
+        const rows = this.samples.map(sample => TELEMETRY_FIELDS.map(f => sample[f.key]).join(','));
+        return [header, ...rows].join('\n');
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            fields: TELEMETRY_FIELDS,
+            interval: this.interval,
+            samples: this.samples
+        }, null, 2);
+    }
+}
@@ -0,0 +1,61 @@
+// thermal.js
+// Lumped thermal model of the lifting gas and the latex envelope (MISSION mode).
+// Two nodes: the gas (exchanges heat with the envelope and cools/warms with pressure changes)
+// and the envelope film (convection with ambient air and with the gas, solar and infrared radiation).
+import { R } from './physics.js';
+
+const SIGMA = 5.670374e-8;   // Stefan-Boltzmann constant (W/(m²·K⁴))
+const SOLAR_CONSTANT = 1361; // W/m² at the top of the atmosphere
+const P0 = 101325;           // Sea level pressure (Pa)
+const RHO0 = 1.225;          // Sea level air density (kg/m³)
+const LATEX_HEAT_CAPACITY = 1900; // J/(kg·K)
+
+// Effective temperature of the infrared environment seen by the balloon:
+// half of the sky is the Earth (~288 K), the other half cold space.
+const IR_ENVIRONMENT_TEMPERATURE = 242; // K
+
+/**
+ * Solar flux reaching the balloon. The atmosphere above absorbs part of it,
+ * proportionally to the remaining air column (P / P0).
+ */
+function solarFlux(pressure) {
+    return SOLAR_CONSTANT * (1 - 0.27 * (pressure / P0));
+}
+
+/**
+ * Temperature rates of the gas and the envelope
+ * @param {Object} thermal - Thermal state and parameters (see state.js)
+ * @param {Object} ctx - Flight conditions:
+ *   { moles, gamma, radius, volume, massBalloon, ambientTemperature, airDensity, pressure, pressureRate, velocity }
+ *   pressureRate: dP/dt of the surrounding air (Pa/s)
+ * @returns {Object} { gasRate, filmRate } in K/s
+ */
+export function thermalRates(thermal, ctx) {
+    const Tg = thermal.gasTemperature;
+    const Tf = thermal.filmTemperature;
+    const area = 4 * Math.PI * ctx.radius * ctx.radius;
+    const crossSection = Math.PI * ctx.radius * ctx.radius;
+
+    // Convection coefficients: the outside one grows with air density and airspeed
+    const hIn = thermal.internalTransfer;
+    const hOut = thermal.externalTransfer * Math.sqrt(ctx.airDensity / RHO0) * (1 + 0.3 * Math.abs(ctx.velocity));
+
+    // --- Envelope (film) ---
+    let filmPower = hOut * area * (ctx.ambientTemperature - Tf) + hIn * area * (Tg - Tf);
+    if (thermal.daytime) {
+        filmPower += thermal.solarAbsorptivity * solarFlux(ctx.pressure) * crossSection;
+    }
+    if (thermal.infrared) {
+        filmPower += thermal.emissivity * SIGMA * area *
+            (Math.pow(IR_ENVIRONMENT_TEMPERATURE, 4) - Math.pow(Tf, 4));
+    }
+    const filmRate = filmPower / (ctx.massBalloon * LATEX_HEAT_CAPACITY);
+
+    // --- Gas ---
+    // n·Cp·dT = δQ + V·dP  (the V·dP term gives the adiabatic cooling during ascent)
+    const cpMolar = (ctx.gamma * R) / (ctx.gamma - 1);
+    const gasPower = hIn * area * (Tf - Tg) + ctx.volume * ctx.pressureRate;
+    const gasRate = gasPower / (ctx.moles * cpMolar);
+
+    return { gasRate, filmRate };
+}
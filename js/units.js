@@ -0,0 +1,108 @@
+// units.js
+// Display units for pressure, temperature, volume and altitude.
+// The simulation state is always SI (Pa, K, m³, m): values are converted only
+// when they are shown or typed in. Pure module: main.js applies it to the DOM.
+import { t, formatNumber, formatPrecision } from './i18n.js';
+
+const STORAGE_KEY = 'units.selected';
+
+// display = SI · scale + offset. step is the increment of the numeric inputs.
+export const UNIT_DEFINITIONS = {
+    pressure: {
+        'Pa': { symbol: 'Pa', scale: 1, offset: 0, decimals: 0, step: 1000 },
+        'kPa': { symbol: 'kPa', scale: 1e-3, offset: 0, decimals: 2, step: 1 },
+        'atm': { symbol: 'atm', scale: 1 / 101325, offset: 0, decimals: 4, step: 0.01 },
+        'mmHg': { symbol: 'mmHg', scale: 760 / 101325, offset: 0, decimals: 1, step: 10 },
+        'bar': { symbol: 'bar', scale: 1e-5, offset: 0, decimals: 4, step: 0.01 }
+    },
+    temperature: {
+        'K': { symbol: 'K', scale: 1, offset: 0, decimals: 0, step: 1 },
+        'C': { symbol: '°C', scale: 1, offset: -273.15, decimals: 0, step: 1 },
+        'F': { symbol: '°F', scale: 1.8, offset: -459.67, decimals: 0, step: 1 }
+    },
+    volume: {
+        'm3': { symbol: 'm³', scale: 1, offset: 0, decimals: 2, step: 0.01 },
+        'L': { symbol: 'L', scale: 1000, offset: 0, decimals: 0, step: 1 }
+    },
+    altitude: {
+        'm': { symbol: 'm', scale: 1, offset: 0, decimals: 0, step: 1 },
+        'ft': { symbol: 'ft', scale: 1 / 0.3048, offset: 0, decimals: 0, step: 1 }
+    }
+};
+
+export const DEFAULT_UNITS = { pressure: 'Pa', temperature: 'K', volume: 'm3', altitude: 'm' };
+
+/**
+ * Unit in use for a quantity
+ * @param {Object} units - { pressure, temperature, volume, altitude } (see state.js)
+ * @param {string} quantity - Key of UNIT_DEFINITIONS
+ */
+export function getUnit(units, quantity) {
+    const definitions = UNIT_DEFINITIONS[quantity];
+    return definitions[units[quantity]] || definitions[DEFAULT_UNITS[quantity]];
+}
+
+// SI -> display unit
+export function toDisplay(units, quantity, value) {
+    const unit = getUnit(units, quantity);
+    return value * unit.scale + unit.offset;
+}
+
+// Display unit -> SI
+export function fromDisplay(units, quantity, value) {
+    const unit = getUnit(units, quantity);
+    return (value - unit.offset) / unit.scale;
+}
+
+/**
+ * SI value as a number string in the display unit (no symbol) for number inputs,
+ * which always take a decimal point whatever the language
+ * @param {number} extraDecimals - Added to the unit precision (readouts that need more)
+ */
+export function formatValue(units, quantity, value, extraDecimals = 0) {
+    const unit = getUnit(units, quantity);
+    return toDisplay(units, quantity, value).toFixed(unit.decimals + extraDecimals);
+}
+
+// Same as formatValue, with the decimal separator of the current language (text readouts)
+export function formatAmount(units, quantity, value, extraDecimals = 0) {
+    const unit = getUnit(units, quantity);
+    return formatNumber(toDisplay(units, quantity, value), unit.decimals + extraDecimals);
+}
+
+// SI value with the display unit symbol, e.g. "1,0000 atm"
+export function formatQuantity(units, quantity, value, extraDecimals = 0) {
+    return `${formatAmount(units, quantity, value, extraDecimals)} ${getUnit(units, quantity).symbol}`;
+}
+
+/**
+ * Products and ratios of displayed values (PV, V/T, P/T), whose magnitude
+ * depends on the chosen units
+ */
+export function formatDerived(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1000) return formatNumber(value, 0);
+    if (abs >= 1) return formatNumber(value, 2);
+    return formatPrecision(value, 4);
+}
+
+/**
+ * Units chosen in this browser (falls back to the SI defaults)
+ */
+export function loadUnits() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const units = { ...DEFAULT_UNITS };
+        Object.keys(UNIT_DEFINITIONS).forEach(quantity => {
+            if (UNIT_DEFINITIONS[quantity][saved[quantity]]) units[quantity] = saved[quantity];
+        });
+        return units;
+    } catch (e) {
+        console.warn(t('warn.unitsLoad'), e);
+        return { ...DEFAULT_UNITS };
+    }
+}
+
+export function saveUnits(units) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+}
@@ -0,0 +1,120 @@
+// wind.js
+// Horizontal wind profiles (MISSION mode): wind speed and direction as a function of altitude.
+// Directions follow the meteorological convention: where the wind blows FROM,
+// in degrees clockwise from north (270 = west wind, blowing towards the east).
+// Scene axes: +X = east, -Z = north.
+import { t } from './i18n.js';
+
+// Built-in profiles. Tables are sorted by altitude (m); between rows the wind
+// components are interpolated linearly, outside the table the last row is kept.
+// Profile names are in the language bundles ('wind.profile.<id>').
+export const WIND_PROFILES = {
+    'CALM': {
+        table: [
+            { altitude: 0, speed: 0, direction: 0 }
+        ]
+    },
+    'JET_STREAM': {
+        // Mid-latitude westerlies with a jet at the tropopause and weak
+        // easterlies in the summer stratosphere
+        table: [
+            { altitude: 0, speed: 4, direction: 250 },
+            { altitude: 1000, speed: 8, direction: 260 },
+            { altitude: 5000, speed: 22, direction: 270 },
+            { altitude: 9000, speed: 40, direction: 270 },
+            { altitude: 11000, speed: 50, direction: 275 },
+            { altitude: 13000, speed: 35, direction: 275 },
+            { altitude: 16000, speed: 15, direction: 270 },
+            { altitude: 20000, speed: 4, direction: 200 },
+            { altitude: 25000, speed: 8, direction: 90 },
+            { altitude: 32000, speed: 15, direction: 90 }
+        ]
+    },
+    'CUSTOM': {
+        table: null // Uses the table stored in SimulationState.wind.table
+    }
+};
+
+/**
+ * Wind table in use for a wind state (see state.js)
+ * @param {Object} wind - { profile, table }
+ * @returns {Array} [{ altitude, speed, direction }]
+ */
+export function getWindTable(wind) {
+    const profile = WIND_PROFILES[wind.profile];
+    return profile && profile.table ? profile.table : wind.table;
+}
+
+/**
+ * Converts speed and meteorological direction into scene velocity components
+ * @returns {Object} { x, z } in m/s
+ */
+export function windComponents(speed, direction) {
+    const angle = direction * Math.PI / 180;
+    return {
+        x: -speed * Math.sin(angle), // Towards the east
+        z: speed * Math.cos(angle)   // Towards the south (+Z)
+    };
+}
+
+/**
+ * Wind at a given altitude. The components (not speed and direction) are
+ * interpolated, so veering winds do not spin through the wrong side.
+ * @param {number} altitude - m
+ * @param {Array} table - Profile rows sorted by altitude
+ * @returns {Object} { x, z, speed, direction }
+ */
+export function getWind(altitude, table) {
+    if (!table || table.length === 0) return { x: 0, z: 0, speed: 0, direction: 0 };
+
+    let x, z;
+    const first = table[0];
+    const last = table[table.length - 1];
+
+    if (altitude <= first.altitude || table.length === 1) {
+        ({ x, z } = windComponents(first.speed, first.direction));
+    } else if (altitude >= last.altitude) {
+        ({ x, z } = windComponents(last.speed, last.direction));
+    } else {
+        let i = 1;
+        while (table[i].altitude < altitude) i++;
+        const lower = table[i - 1];
+        const upper = table[i];
+        const f = (altitude - lower.altitude) / (upper.altitude - lower.altitude);
+        const a = windComponents(lower.speed, lower.direction);
+        const b = windComponents(upper.speed, upper.direction);
+        x = a.x + (b.x - a.x) * f;
+        z = a.z + (b.z - a.z) * f;
+    }
+
+    const speed = Math.hypot(x, z);
+    // Back to "blowing from", clockwise from north
+    const direction = speed > 0 ? (Math.atan2(-x, z) * 180 / Math.PI + 360) % 360 : 0;
+    return { x, z, speed, direction };
+}
+
+/**
+ * Validates and sorts a user-defined wind table
+ * @param {Array} rows - [{ altitude, speed, direction }]
+ * @returns {Array} Sorted copy of the table
+ */
+export function normalizeWindTable(rows) {
+    const table = rows
+        .filter(row => !isNaN(row.altitude) && !isNaN(row.speed) && !isNaN(row.direction))
+        .map(row => ({ altitude: row.altitude, speed: row.speed, direction: ((row.direction % 360) + 360) % 360 }))
+        .sort((a, b) => a.altitude - b.altitude);
+
+    if (table.length === 0) throw new Error(t('wind.error.emptyTable'));
+    if (table.some(row => row.altitude < 0)) throw new Error(t('wind.error.negativeAltitude'));
+    if (table.some(row => row.speed < 0)) throw new Error(t('wind.error.negativeSpeed'));
+    return table;
+}
+
+/**
+ * Compass bearing (degrees clockwise from north) of a point seen from the launch site.
+ * The launch site itself has no bearing: 0, as the direction of a calm wind.
+ */
+export function bearing(x, z) {
+    if (x === 0 && z === 0) return 0;
+    return (Math.atan2(x, -z) * 180 / Math.PI + 360) % 360;
+}